@@ -33,6 +33,7 @@ function createCruxDashboard() {
     dashboardSheet = spreadsheet.insertSheet("Dashboard");
 
     const lastRow = dataSheet.getLastRow();
+    const columns = getColumnLetters(dataSheet);
 
     // Add title
     dashboardSheet
@@ -48,21 +49,34 @@ function createCruxDashboard() {
       .setFontColor("#666666");
 
     // Chart 1: Core Web Vitals Score Distribution (Stacked Bar)
-    createCWVDistributionChart(spreadsheet, dashboardSheet, dataSheet, lastRow);
+    createCWVDistributionChart(
+      spreadsheet,
+      dashboardSheet,
+      dataSheet,
+      lastRow,
+      columns
+    );
 
     // Chart 2: P75 Comparison (Column Chart)
-    createP75ComparisonChart(spreadsheet, dashboardSheet, dataSheet, lastRow);
+    createP75ComparisonChart(
+      spreadsheet,
+      dashboardSheet,
+      dataSheet,
+      lastRow,
+      columns
+    );
 
     // Chart 3: Form Factor Comparison (Grouped Column)
     createFormFactorComparisonChart(
       spreadsheet,
       dashboardSheet,
       dataSheet,
-      lastRow
+      lastRow,
+      columns
     );
 
     // Add summary statistics
-    createSummaryStats(dashboardSheet, dataSheet, lastRow);
+    createSummaryStats(dashboardSheet, dataSheet, lastRow, columns);
 
     Logger.log("Dashboard created successfully!");
     SpreadsheetApp.setActiveSheet(dashboardSheet);
@@ -79,8 +93,18 @@ function createCWVDistributionChart(
   spreadsheet,
   dashboardSheet,
   dataSheet,
-  lastRow
+  lastRow,
+  columns
 ) {
+  // Tabs written with a `metrics` selection may have no LCP columns.
+  const lcpColumns = ["LCP (Good)", "LCP (Needs Improvement)", "LCP (Poor)"];
+  if (!lcpColumns.every((label) => columns[label])) {
+    Logger.log(
+      "Skipped CWV distribution chart: no LCP columns in the data sheet"
+    );
+    return;
+  }
+
   try {
     const chartBuilder = dashboardSheet
       .newChart()
@@ -99,8 +123,14 @@ function createCWVDistributionChart(
       .setOption("vAxis", { title: "URL / Form Factor" });
 
     // Add data ranges for URL/Platform and Core Web Vitals
-    chartBuilder.addRange(dataSheet.getRange("C2:C" + lastRow)); // URL
-    chartBuilder.addRange(dataSheet.getRange("D2:F" + lastRow)); // LCP Good/Needs/Poor
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "URL", lastRow))
+    );
+    lcpColumns.forEach((label) => {
+      chartBuilder.addRange(
+        dataSheet.getRange(columnRange(columns, label, lastRow))
+      );
+    }); // LCP Good/Needs/Poor
 
     dashboardSheet.insertChart(chartBuilder.build());
     Logger.log("Created CWV distribution chart");
@@ -116,7 +146,8 @@ function createP75ComparisonChart(
   spreadsheet,
   dashboardSheet,
   dataSheet,
-  lastRow
+  lastRow,
+  columns
 ) {
   try {
     const chartBuilder = dashboardSheet
@@ -136,10 +167,18 @@ function createP75ComparisonChart(
       .setOption("colors", ["#4285F4", "#34A853", "#FBBC04", "#EA4335"]);
 
     // Add P75 values for core metrics
-    chartBuilder.addRange(dataSheet.getRange("C2:C" + lastRow)); // URL
-    chartBuilder.addRange(dataSheet.getRange("G2:G" + lastRow)); // LCP P75
-    chartBuilder.addRange(dataSheet.getRange("O2:O" + lastRow)); // INP P75
-    chartBuilder.addRange(dataSheet.getRange("W2:W" + lastRow)); // FCP P75
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "URL", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "LCP (75th Percentile)", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "INP (75th Percentile)", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "FCP (75th Percentile)", lastRow))
+    );
 
     dashboardSheet.insertChart(chartBuilder.build());
     Logger.log("Created P75 comparison chart");
@@ -155,7 +194,8 @@ function createFormFactorComparisonChart(
   spreadsheet,
   dashboardSheet,
   dataSheet,
-  lastRow
+  lastRow,
+  columns
 ) {
   try {
     const chartBuilder = dashboardSheet
@@ -176,11 +216,21 @@ function createFormFactorComparisonChart(
       .setOption("colors", ["#0CCE6B", "#36A2EB", "#FF6384", "#FFCE56"]);
 
     // Add Good% for each metric by form factor
-    chartBuilder.addRange(dataSheet.getRange("B2:B" + lastRow)); // Platform
-    chartBuilder.addRange(dataSheet.getRange("D2:D" + lastRow)); // LCP Good
-    chartBuilder.addRange(dataSheet.getRange("L2:L" + lastRow)); // INP Good
-    chartBuilder.addRange(dataSheet.getRange("P2:P" + lastRow)); // CLS Good
-    chartBuilder.addRange(dataSheet.getRange("T2:T" + lastRow)); // FCP Good
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "Platform", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "LCP (Good)", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "INP (Good)", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "CLS (Good)", lastRow))
+    );
+    chartBuilder.addRange(
+      dataSheet.getRange(columnRange(columns, "FCP (Good)", lastRow))
+    );
 
     dashboardSheet.insertChart(chartBuilder.build());
     Logger.log("Created form factor comparison chart");
@@ -192,7 +242,7 @@ function createFormFactorComparisonChart(
 /**
  * Creates summary statistics table
  */
-function createSummaryStats(dashboardSheet, dataSheet, lastRow) {
+function createSummaryStats(dashboardSheet, dataSheet, lastRow, columns) {
   try {
     // Add summary section
     dashboardSheet
@@ -208,9 +258,17 @@ function createSummaryStats(dashboardSheet, dataSheet, lastRow) {
 
     // Calculate averages for LCP
     const lcpGoodAvg =
-      "=AVERAGE('" + dataSheet.getName() + "'!D2:D" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "LCP (Good)", lastRow) +
+      ")";
     const lcpP75Avg =
-      "=AVERAGE('" + dataSheet.getName() + "'!G2:G" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "LCP (75th Percentile)", lastRow) +
+      ")";
     dashboardSheet
       .getRange("A57:D57")
       .setValues([
@@ -224,9 +282,17 @@ function createSummaryStats(dashboardSheet, dataSheet, lastRow) {
 
     // Calculate averages for INP
     const inpGoodAvg =
-      "=AVERAGE('" + dataSheet.getName() + "'!L2:L" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "INP (Good)", lastRow) +
+      ")";
     const inpP75Avg =
-      "=AVERAGE('" + dataSheet.getName() + "'!O2:O" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "INP (75th Percentile)", lastRow) +
+      ")";
     dashboardSheet
       .getRange("A58:D58")
       .setValues([
@@ -240,9 +306,17 @@ function createSummaryStats(dashboardSheet, dataSheet, lastRow) {
 
     // Calculate averages for CLS
     const clsGoodAvg =
-      "=AVERAGE('" + dataSheet.getName() + "'!P2:P" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "CLS (Good)", lastRow) +
+      ")";
     const clsP75Avg =
-      "=AVERAGE('" + dataSheet.getName() + "'!S2:S" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "CLS (75th Percentile)", lastRow) +
+      ")";
     dashboardSheet
       .getRange("A59:D59")
       .setValues([
@@ -256,9 +330,17 @@ function createSummaryStats(dashboardSheet, dataSheet, lastRow) {
 
     // Calculate averages for FCP
     const fcpGoodAvg =
-      "=AVERAGE('" + dataSheet.getName() + "'!T2:T" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "FCP (Good)", lastRow) +
+      ")";
     const fcpP75Avg =
-      "=AVERAGE('" + dataSheet.getName() + "'!W2:W" + lastRow + ")";
+      "=AVERAGE('" +
+      dataSheet.getName() +
+      "'!" +
+      columnRange(columns, "FCP (75th Percentile)", lastRow) +
+      ")";
     dashboardSheet
       .getRange("A60:D60")
       .setValues([
@@ -273,8 +355,70 @@ function createSummaryStats(dashboardSheet, dataSheet, lastRow) {
     // Format as percentages
     dashboardSheet.getRange("B57:B60").setNumberFormat("0.00%");
 
+    // Share of rows passing the Core Web Vitals assessment. Tabs last
+    // written before the assessment column existed have no CWV Assessment.
+    if (columns["CWV Assessment"]) {
+      const assessmentRange =
+        "'" +
+        dataSheet.getName() +
+        "'!" +
+        columnRange(columns, "CWV Assessment", lastRow);
+      dashboardSheet
+        .getRange("A62:B62")
+        .setValues([
+          [
+            "CWV Pass Rate",
+            "=IFERROR(COUNTIF(" +
+              assessmentRange +
+              ',"PASS")/(COUNTIF(' +
+              assessmentRange +
+              ',"PASS")+COUNTIF(' +
+              assessmentRange +
+              ',"FAIL")),"-")',
+          ],
+        ]);
+      dashboardSheet.getRange("A62").setFontWeight("bold");
+      dashboardSheet.getRange("B62").setNumberFormat("0.00%");
+    }
+
     Logger.log("Created summary statistics");
   } catch (error) {
     Logger.log("Failed to create summary stats: " + error.message);
   }
 }
+
+/**
+ * Maps the data tab's header labels to column letters. Charts look their
+ * columns up by label, so they work for every sheet schema version (with or
+ * without the FID columns) and for tabs written with a `metrics` selection.
+ */
+function getColumnLetters(dataSheet) {
+  const headers = dataSheet
+    .getRange(1, 1, 1, dataSheet.getLastColumn())
+    .getValues()[0];
+  const letters = {};
+
+  headers.forEach((label, index) => {
+    let column = index + 1;
+    let letter = "";
+    while (column > 0) {
+      const remainder = (column - 1) % 26;
+      letter = String.fromCharCode(65 + remainder) + letter;
+      column = Math.floor((column - 1) / 26);
+    }
+    letters[label] = letter;
+  });
+
+  return letters;
+}
+
+/**
+ * A1 range covering one labelled column's data rows, e.g. "G2:G40".
+ */
+function columnRange(columns, label, lastRow) {
+  const letter = columns[label];
+  if (!letter) {
+    throw new Error("Column '" + label + "' not found in the data sheet");
+  }
+  return letter + "2:" + letter + lastRow;
+}
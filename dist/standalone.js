@@ -25,43 +25,315 @@ class CruxExtractor_ {
    * @type {Object}
    * @property {number} SLEEP_DURATION_MS - Delay in milliseconds between API calls to avoid rate limits
    * @property {number} HTTP_STATUS_OK - Expected HTTP status code for successful responses
-   * @property {number} COLUMN_COUNT - Number of columns in the spreadsheet output
+   * @property {number} COLUMN_COUNT - Number of columns in the spreadsheet output (default `metrics`)
+   * @property {number} LEGACY_COLUMN_COUNT - Record-tab columns at schema version 2 (with the FID block)
    * @property {number} HEADER_ROW - Row number where headers are placed
    * @property {number} HEADER_START_COL - Column number where headers start
+   * @property {string} RECORD_API_URL - records:queryRecord endpoint (latest 28-day window)
+   * @property {string} HISTORY_API_URL - records:queryHistoryRecord endpoint (weekly time series)
+   * @property {number} TIMESERIES_COLUMN_COUNT - Number of columns in the history-mode output (default `metrics`)
+   * @property {number} MAX_COLLECTION_PERIODS - Upper bound the History API accepts for collectionPeriodCount
+   * @property {number[]} RETRYABLE_STATUS_CODES - Transient HTTP statuses that fetchData() retries
+   * @property {number} MAX_RETRY_DELAY_MS - Cap on a single backoff or Retry-After wait
+   * @property {number} LCP_BREAKDOWN_COLUMN_COUNT - Number of columns in the LCP breakdown tab
+   * @property {number} GROUP_COLUMN_COUNT - Number of columns in the `urlGroups` tab
+   * @property {number} LONG_COLUMN_COUNT - Number of columns in `outputFormat: "long"` rows
+   * @property {number} SCHEMA_VERSION - Layout version written to new data tabs (see getSchemaVersion())
+   * @property {string} SCHEMA_METADATA_KEY - Developer-metadata key holding a tab's schema version
+   * @property {string} CHECKPOINT_PROPERTY_PREFIX - Script-property key prefix for resumable-run checkpoints
+   * @property {number} CONTINUATION_DELAY_MS - Delay before the one-off trigger that continues a resumable run
+   * @property {string[]} FORM_FACTORS - Accepted form factor tokens; ALL_FORM_FACTORS is sent as an omitted field
+   * @property {string} SCHEDULE_PROPERTY_PREFIX - Script-property key prefix for the schedules installSchedule() creates
+   * @property {string[]} CONFIG_SHEET_HEADERS - Columns a `configSheetName` tab may have; only URL is required
+   * @property {string[]} SINK_TYPES - Built-in `sinks` (see createSink())
+   * @property {number} HTTP_SINK_BATCH_SIZE - Default rows per request for the "http" sink
+   * @property {number} HTTP_SINK_MAX_RETRIES - Default retries per batch for the "http" sink
    */
   static get CONFIG() {
     return {
       SLEEP_DURATION_MS: 400,
       HTTP_STATUS_OK: 200,
-      COLUMN_COUNT: 31,
+      COLUMN_COUNT: 45,
+      LEGACY_COLUMN_COUNT: 49,
       HEADER_ROW: 1,
       HEADER_START_COL: 1,
       HISTORY_SHEET_NAME: "executionHistory",
-      HISTORY_COLUMN_COUNT: 8,
+      HISTORY_COLUMN_COUNT: 12,
+      RECORD_API_URL:
+        "https://chromeuxreport.googleapis.com/v1/records:queryRecord?alt=json&key=",
+      HISTORY_API_URL:
+        "https://chromeuxreport.googleapis.com/v1/records:queryHistoryRecord?alt=json&key=",
+      TIMESERIES_COLUMN_COUNT: 43,
+      MAX_COLLECTION_PERIODS: 40,
+      RETRYABLE_STATUS_CODES: [429, 500, 502, 503, 504],
+      MAX_RETRY_DELAY_MS: 60000,
+      LCP_BREAKDOWN_COLUMN_COUNT: 11,
+      GROUP_COLUMN_COUNT: 15,
+      LONG_COLUMN_COUNT: 13,
+      SCHEMA_VERSION: 3,
+      SCHEMA_METADATA_KEY: "cruxExtractor.schemaVersion",
+      CHECKPOINT_PROPERTY_PREFIX: "cruxExtractor.checkpoint",
+      CONTINUATION_DELAY_MS: 60000,
+      FORM_FACTORS: ["PHONE", "DESKTOP", "TABLET", "ALL_FORM_FACTORS"],
+      SCHEDULE_PROPERTY_PREFIX: "cruxExtractor.schedule",
+      CONFIG_SHEET_HEADERS: [
+        "URL",
+        "Form Factors",
+        "Label",
+        "Enabled",
+        "Group",
+      ],
+      SINK_TYPES: ["sheets", "csv", "json", "http"],
+      HTTP_SINK_BATCH_SIZE: 500,
+      HTTP_SINK_MAX_RETRIES: 3,
     };
   }
 
+  /**
+   * Histogram metrics that can be written, in default column order. Each
+   * contributes four columns (Good, Needs Improvement, Poor, 75th Percentile).
+   * These are also the values accepted by the `metrics` option. FID is not
+   * listed: the API no longer returns it (see getMetricColumns()).
+   * @type {Array<{key: string, label: string}>}
+   */
+  static get METRICS() {
+    return [
+      { key: "largest_contentful_paint", label: "LCP" },
+      { key: "interaction_to_next_paint", label: "INP" },
+      { key: "cumulative_layout_shift", label: "CLS" },
+      { key: "first_contentful_paint", label: "FCP" },
+      { key: "experimental_time_to_first_byte", label: "TTFB" },
+      { key: "round_trip_time", label: "RTT" },
+    ];
+  }
+
+  /**
+   * Official Core Web Vitals thresholds, keyed by metric name, in status-column
+   * order. A p75 at or below `good` is Good, above `poor` is Poor, and anything
+   * between Needs Improvement. Overridable per metric with `cwvThresholds`.
+   * See https://web.dev/articles/vitals
+   *
+   * @returns {Object<string, {good: number, poor: number}>} Thresholds per metric
+   */
+  static get CWV_THRESHOLDS() {
+    return {
+      largest_contentful_paint: { good: 2500, poor: 4000 },
+      interaction_to_next_paint: { good: 200, poor: 500 },
+      cumulative_layout_shift: { good: 0.1, poor: 0.25 },
+    };
+  }
+
+  /**
+   * Fraction-valued dimensions written after the metric columns, in column
+   * order: `navigation_types` (how pages were loaded, e.g. from the bfcache
+   * or a prerender) and `form_factors` (device share, reported only for
+   * records aggregated across form factors).
+   *
+   * @returns {{metric: string, key: string, label: string}[]} One entry per column
+   */
+  static get FRACTIONS() {
+    return [
+      { metric: "navigation_types", key: "navigate", label: "Navigate" },
+      {
+        metric: "navigation_types",
+        key: "navigate_cache",
+        label: "Navigate Cache",
+      },
+      { metric: "navigation_types", key: "reload", label: "Reload" },
+      { metric: "navigation_types", key: "restore", label: "Restore" },
+      {
+        metric: "navigation_types",
+        key: "back_forward",
+        label: "Back/Forward",
+      },
+      {
+        metric: "navigation_types",
+        key: "back_forward_cache",
+        label: "Back/Forward Cache",
+      },
+      { metric: "navigation_types", key: "prerender", label: "Prerender" },
+      { metric: "form_factors", key: "desktop", label: "Desktop" },
+      { metric: "form_factors", key: "phone", label: "Phone" },
+      { metric: "form_factors", key: "tablet", label: "Tablet" },
+    ];
+  }
+
+  /**
+   * Column label for a FRACTIONS entry, e.g. "Navigation Type (Reload)".
+   *
+   * @param {{metric: string, label: string}} fraction - A FRACTIONS entry
+   * @returns {string} Column label
+   */
+  static fractionLabel({ metric, label }) {
+    const prefix =
+      metric === "navigation_types" ? "Navigation Type" : "Form Factor Share";
+    return `${prefix} (${label})`;
+  }
+
   /**
    * Creates a new CruxExtractor_ instance.
    *
    * @param {Object} config - Configuration object
-   * @param {string[]} config.urls - Array of URLs to fetch CrUX data for
+   * @param {string[]} [config.urls=[]] - Array of page URLs to fetch CrUX data for
+   * @param {string[]} [config.origins=[]] - Array of origins (scheme + host) to fetch
+   *   origin-level CrUX data for. At least one URL or origin is required
    * @param {string} config.spreadsheetId - Google Sheets spreadsheet ID
    * @param {string} config.apiKey - Google API key with Chrome UX Report API access
    * @param {string[]} [config.formFactor=["PHONE", "DESKTOP", "ALL_FORM_FACTORS"]] - Form factors to query
-   * @param {string} [config.cruxUrl] - Base URL for CrUX API endpoint
+   * @param {string[]} [config.effectiveConnectionType=["ALL_CONNECTION_TYPES"]] - Connection
+   *   types to query: 4G, 3G, 2G, slow-2G, offline, or ALL_CONNECTION_TYPES (aggregated).
+   *   Record mode only
+   * @param {string} [config.cruxUrl] - Base URL for CrUX API endpoint. Defaults to
+   *   queryRecord, or queryHistoryRecord in history mode
    * @param {string} [config.sheetTabName="cruxData"] - Name of the sheet tab to write data to
-   * @throws {Error} If any required parameter is missing or empty
+   * @param {string} [config.mode="record"] - "record" for the latest 28-day snapshot,
+   *   "history" for one row per weekly collection period from the History API
+   * @param {number} [config.collectionPeriodCount=25] - History mode: number of
+   *   collection periods to request (1-40; 25 is roughly six months of weeks)
+   * @param {string} [config.historyTabName="cruxHistory"] - History mode: tab to write rows to
+   * @param {number} [config.maxRetries=3] - Retries per request after a network
+   *   error or a retryable status (429, 5xx). 0 disables retrying
+   * @param {number} [config.retryBaseDelayMs=1000] - First backoff delay; doubles
+   *   on each further retry, with jitter
+   * @param {string} [config.onDuplicate="skip"] - What to do with a row whose key
+   *   (date/period, platform, URL, scope, connection type) is already in the tab:
+   *   "skip" it, "overwrite" the existing row in place, or "append" regardless
+   * @param {boolean} [config.lcpBreakdown=false] - Also write LCP subparts and
+   *   resource type to a separate tab. Record mode only
+   * @param {string} [config.lcpBreakdownTabName="lcpBreakdown"] - Tab for the LCP breakdown rows
+   * @param {string[]} [config.metrics] - Metrics to request and write, as CrUX API
+   *   metric names (see METRICS). Sent as the request's `metrics` field; the
+   *   metric columns are built from it. Omit for every metric in the default layout
+   * @param {string} [config.outputFormat="wide"] - "wide" for one row per
+   *   date/URL/form factor with four columns per metric, or "long" for one row
+   *   per date/URL/form factor/metric (see getLongHeaders())
+   * @param {boolean} [config.originFallback=false] - When a page URL has no CrUX
+   *   data (HTTP 404), query its origin instead and write that data under the
+   *   page URL with Scope ORIGIN_FALLBACK
+   * @param {Object<string, {good: number, poor: number}>} [config.cwvThresholds] -
+   *   Overrides for CWV_THRESHOLDS, keyed by metric name. Each overridden
+   *   metric needs both bounds, with good < poor
+   * @param {string[]} [config.alertRecipients=[]] - Email addresses to send a
+   *   regression summary to after each run (see findRegressions()). Empty
+   *   disables alerting. Record mode only
+   * @param {number} [config.alertThresholdPercent=10] - p75 increase, in
+   *   percent over the previous row, that counts as a regression even when no
+   *   threshold is crossed
+   * @param {string[]} [config.webhookUrls=[]] - URLs to POST the run result
+   *   (summary, failed requests, regressions) to after each run, including
+   *   runs that fail (see notifyWebhooks())
+   * @param {string} [config.webhookFormat="chat"] - "chat" for a `{ text }`
+   *   message Slack and Google Chat webhooks accept, or "json" for the raw data
+   * @param {boolean} [config.resumable=false] - Split a run that would exceed
+   *   `timeBudgetMs` across several executions, checkpointing progress in
+   *   Script Properties and a checkpoint tab (see saveCheckpoint())
+   * @param {number} [config.timeBudgetMs=270000] - Resumable runs: time to
+   *   spend fetching per execution before checkpointing; the rest of the
+   *   6-minute limit is left for writing
+   * @param {string} [config.continuationFunction="main"] - Resumable runs:
+   *   top-level function the one-off continuation trigger calls. It must run
+   *   extract() with the same config
+   * @param {string} [config.configSheetName] - Tab in the target spreadsheet
+   *   listing more URLs, one per row, with optional per-URL form factors,
+   *   labels and an enabled flag (see loadConfigSheet()). Read and validated
+   *   when run() starts (see applyConfigSheet()); `urls` may then be empty
+   * @param {string} [config.sitemapUrl] - Sitemap or sitemap index to
+   *   discover more page URLs from on each run (see discoverSitemapUrls());
+   *   `urls` may then be empty
+   * @param {number} [config.sitemapMaxUrls=500] - Most URLs to take from the
+   *   sitemap
+   * @param {Array<string|RegExp>} [config.sitemapInclude=[]] - Only take
+   *   sitemap URLs matching one of these patterns
+   * @param {Array<string|RegExp>} [config.sitemapExclude=[]] - Skip sitemap
+   *   URLs matching any of these patterns
+   * @param {Array<{name: string, urls?: string[], pattern?: (string|RegExp)}>}
+   *   [config.urlGroups=[]] - Named groups of pages (e.g. one per template),
+   *   by explicit URL list and/or a regular expression tested against the URL
+   *   path (with query). Each run writes aggregate rows per group to
+   *   `groupTabName` (see buildGroupRows()). Record mode only
+   * @param {string} [config.groupTabName="cruxGroups"] - Tab for the group rows
+   * @param {boolean} [config.skipUnchanged=false] - Don't write rows whose
+   *   collection period is no later than the latest one already in the tab
+   *   for the same platform/URL/scope/connection type; their requests are
+   *   logged as UNCHANGED (see normalizeData())
+   * @param {Array<string|Object>} [config.sinks=["sheets"]] - Where the rows
+   *   go: any of "sheets", "csv" and "json" (the last two as files in Drive),
+   *   as a type or `{ type, name?, folderId?, fileName? }`, "http" as
+   *   `{ type: "http", url, headers?, batchSize?, maxRetries? }`, and custom
+   *   sinks (see createSink()). Every sink gets the same output (see
+   *   getSinkOutput()).
+   *   `skipUnchanged` and `alertRecipients` need "sheets"
+   * @throws {Error} If any required parameter is missing or empty, or the
+   *   config tab is missing or invalid
    */
   constructor({
     urls = [],
+    origins = [],
     spreadsheetId = "",
     apiKey = "",
     formFactor = ["PHONE", "DESKTOP", "ALL_FORM_FACTORS"],
-    cruxUrl = "https://chromeuxreport.googleapis.com/v1/records:queryRecord?alt=json&key=",
+    effectiveConnectionType = ["ALL_CONNECTION_TYPES"],
+    cruxUrl,
     sheetTabName = "cruxData",
+    mode = "record",
+    collectionPeriodCount = 25,
+    historyTabName = "cruxHistory",
+    maxRetries = 3,
+    retryBaseDelayMs = 1000,
+    onDuplicate = "skip",
+    lcpBreakdown = false,
+    lcpBreakdownTabName = "lcpBreakdown",
+    metrics,
+    outputFormat = "wide",
+    originFallback = false,
+    cwvThresholds = {},
+    alertRecipients = [],
+    alertThresholdPercent = 10,
+    webhookUrls = [],
+    webhookFormat = "chat",
+    resumable = false,
+    timeBudgetMs = 270000,
+    continuationFunction = "main",
+    configSheetName,
+    sitemapUrl,
+    sitemapMaxUrls = 500,
+    sitemapInclude = [],
+    sitemapExclude = [],
+    urlGroups = [],
+    groupTabName = "cruxGroups",
+    skipUnchanged = false,
+    sinks = ["sheets"],
   }) {
-    if (!Array.isArray(urls) || urls.length === 0) {
+    if (!Array.isArray(origins)) {
+      throw new Error("Crux Extractor: 'origins' must be an array");
+    }
+
+    if (
+      configSheetName !== undefined &&
+      (typeof configSheetName !== "string" || !configSheetName.trim())
+    ) {
+      throw new Error(
+        "Crux Extractor: 'configSheetName' must be a non-empty string"
+      );
+    }
+
+    if (
+      sitemapUrl !== undefined &&
+      (typeof sitemapUrl !== "string" || !this.isValidUrl(sitemapUrl.trim()))
+    ) {
+      throw new Error("Crux Extractor: 'sitemapUrl' must be an HTTP(S) URL");
+    }
+
+    // Origins can stand in for URLs, so an origin-only config is valid, as is
+    // one whose URLs all come from the config tab (checked once it is read)
+    // or the sitemap.
+    if (
+      !Array.isArray(urls) ||
+      (urls.length === 0 &&
+        origins.length === 0 &&
+        configSheetName === undefined &&
+        sitemapUrl === undefined)
+    ) {
       throw new Error("Crux Extractor: 'urls' must be a non-empty array");
     }
 
@@ -69,6 +341,12 @@ class CruxExtractor_ {
       throw new Error("Crux Extractor: All URLs must be non-empty strings");
     }
 
+    if (
+      !origins.every((origin) => typeof origin === "string" && origin.trim())
+    ) {
+      throw new Error("Crux Extractor: All origins must be non-empty strings");
+    }
+
     if (typeof spreadsheetId !== "string" || !spreadsheetId.trim()) {
       throw new Error(
         "Crux Extractor: 'spreadsheetId' must be a non-empty string"
@@ -91,607 +369,4131 @@ class CruxExtractor_ {
       );
     }
 
-    this.urls = urls.map((url) => url.trim());
-    this.spreadsheetId = spreadsheetId.trim();
-    this.apiKey = apiKey.trim();
-    this.formFactor = formFactor.map((factor) => factor.trim());
-    this.cruxUrl = cruxUrl + this.apiKey;
-    this.sheetTabName = sheetTabName;
-  }
+    if (
+      !Array.isArray(effectiveConnectionType) ||
+      effectiveConnectionType.length === 0
+    ) {
+      throw new Error(
+        "Crux Extractor: 'effectiveConnectionType' must be a non-empty array"
+      );
+    }
 
-  /**
-   * Validates if a string is a valid HTTP or HTTPS URL.
-   *
-   * @param {string} urlString - The URL string to validate
-   * @returns {boolean} True if the URL is valid and uses HTTP/HTTPS protocol, false otherwise
-   */
-  isValidUrl(urlString) {
-    if (typeof urlString !== "string" || !urlString) {
-      return false;
+    if (
+      !effectiveConnectionType.every(
+        (type) => typeof type === "string" && type.trim()
+      )
+    ) {
+      throw new Error(
+        "Crux Extractor: All connection types must be non-empty strings"
+      );
     }
 
-    try {
-      // Use regex pattern for Apps Script compatibility
-      // Validates http:// or https:// followed by valid domain characters
-      const urlPattern =
-        /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/;
+    if (mode !== "record" && mode !== "history") {
+      throw new Error('Crux Extractor: \'mode\' must be "record" or "history"');
+    }
 
-      if (!urlPattern.test(urlString)) {
-        Logger.log(`Invalid URL format: ${urlString}`);
-        return false;
-      }
+    if (
+      !Number.isInteger(collectionPeriodCount) ||
+      collectionPeriodCount < 1 ||
+      collectionPeriodCount > CruxExtractor_.CONFIG.MAX_COLLECTION_PERIODS
+    ) {
+      throw new Error(
+        `Crux Extractor: 'collectionPeriodCount' must be an integer between 1 and ${CruxExtractor_.CONFIG.MAX_COLLECTION_PERIODS}`
+      );
+    }
 
-      return true;
-    } catch (error) {
-      Logger.log(`Invalid URL format: ${urlString} - ${error.message}`);
-      return false;
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+      throw new Error(
+        "Crux Extractor: 'maxRetries' must be a non-negative integer"
+      );
     }
-  }
 
-  /**
-   * Builds an array of request payloads for the CrUX API.
-   *
-   * Creates one request for each combination of URL and form factor.
-   * Invalid URLs and form factors are logged and skipped.
-   *
-   * @async
-   * @returns {Promise<Object[]>} Array of request objects for UrlFetchApp.fetch()
-   * @throws {Error} If building request payloads fails or no valid requests created
-   */
-  async buildRequestUrls() {
-    try {
-      this.requests = [];
+    if (!Number.isInteger(retryBaseDelayMs) || retryBaseDelayMs < 0) {
+      throw new Error(
+        "Crux Extractor: 'retryBaseDelayMs' must be a non-negative integer"
+      );
+    }
 
-      // PHONE, DESKTOP, TABLET are the API's real formFactor values.
-      // ALL_FORM_FACTORS is our config token for the aggregated record
-      // (translated to an omitted formFactor field below).
-      const validFormFactors = [
-        "PHONE",
-        "DESKTOP",
-        "TABLET",
-        "ALL_FORM_FACTORS",
-      ];
+    if (!["skip", "overwrite", "append"].includes(onDuplicate)) {
+      throw new Error(
+        'Crux Extractor: \'onDuplicate\' must be "skip", "overwrite" or "append"'
+      );
+    }
 
-      for (const currentUrl of this.urls) {
-        if (!this.isValidUrl(currentUrl)) {
-          Logger.log(`Crux Extractor:: Invalid URL skipped: ${currentUrl}`);
-          continue;
-        }
+    if (typeof lcpBreakdown !== "boolean") {
+      throw new Error("Crux Extractor: 'lcpBreakdown' must be a boolean");
+    }
 
-        for (const factor of this.formFactor) {
-          if (!validFormFactors.includes(factor)) {
-            Logger.log(
-              `Crux Extractor:: Invalid form factor skipped: ${factor}`
-            );
-            continue;
-          }
+    if (typeof originFallback !== "boolean") {
+      throw new Error("Crux Extractor: 'originFallback' must be a boolean");
+    }
 
-          // The CrUX API accepts the formFactor values PHONE, DESKTOP, and
-          // TABLET. To get data aggregated across all form factors the field
-          // must be OMITTED entirely — there is no ALL_FORM_FACTORS enum, and
-          // sending it returns HTTP 400 "Invalid value". We keep
-          // "ALL_FORM_FACTORS" as the config token for that intent and
-          // translate it to an omitted field here.
-          const requestBody = { url: currentUrl };
-          if (factor !== "ALL_FORM_FACTORS") {
-            requestBody.formFactor = factor;
-          }
+    if (
+      !cwvThresholds ||
+      typeof cwvThresholds !== "object" ||
+      Array.isArray(cwvThresholds)
+    ) {
+      throw new Error("Crux Extractor: 'cwvThresholds' must be an object");
+    }
 
-          this.requests.push({
-            method: "post",
-            muteHttpExceptions: true,
-            contentType: "application/json",
-            payload: JSON.stringify(requestBody),
-          });
-        }
+    const thresholds = CruxExtractor_.CWV_THRESHOLDS;
+    for (const [metric, bounds] of Object.entries(cwvThresholds)) {
+      if (!thresholds[metric]) {
+        throw new Error(
+          `Crux Extractor: Unknown metric '${metric}' in 'cwvThresholds'; expected any of ${Object.keys(
+            thresholds
+          ).join(", ")}`
+        );
       }
-
-      if (this.requests.length === 0) {
-        throw new Error("No valid URL/form factor combinations to process");
+      if (
+        !bounds ||
+        typeof bounds !== "object" ||
+        !Number.isFinite(bounds.good) ||
+        !Number.isFinite(bounds.poor) ||
+        bounds.good >= bounds.poor
+      ) {
+        throw new Error(
+          `Crux Extractor: 'cwvThresholds.${metric}' must have numeric 'good' and 'poor' bounds with good < poor`
+        );
       }
+      thresholds[metric] = { good: bounds.good, poor: bounds.poor };
+    }
 
-      Logger.log(
-        `Crux Extractor:: Built ${this.requests.length} request payloads`
+    if (
+      !Array.isArray(alertRecipients) ||
+      !alertRecipients.every(
+        (recipient) => typeof recipient === "string" && recipient.includes("@")
+      )
+    ) {
+      throw new Error(
+        "Crux Extractor: 'alertRecipients' must be an array of email addresses"
       );
-      return this.requests;
-    } catch (error) {
-      Logger.log("Crux Extractor:: Error occurred: buildRequestUrls");
-      throw error;
     }
-  }
 
-  /**
-   * Fetches CrUX data from the Chrome UX Report API sequentially.
-   *
-   * Makes API calls one at a time with a configurable delay between requests
-   * to avoid rate limiting. Non-200 responses and JSON parse errors are logged and skipped.
-   * Tracks detailed execution history for each request.
-   *
-   * @async
-   * @returns {Promise<Object[]>} Array of successful API response objects
-   * @throws {Error} If no requests exist or fetching data fails
-   */
-  async fetchData() {
-    try {
-      if (!this.requests || this.requests.length === 0) {
-        throw new Error("No requests to fetch. Call buildRequestUrls() first.");
-      }
+    if (
+      typeof alertThresholdPercent !== "number" ||
+      !(alertThresholdPercent > 0)
+    ) {
+      throw new Error(
+        "Crux Extractor: 'alertThresholdPercent' must be a positive number"
+      );
+    }
 
-      this.filteredResponse = [];
-      this.executionRecords = [];
-      const requestsLength = this.requests.length;
+    if (
+      !Array.isArray(webhookUrls) ||
+      !webhookUrls.every(
+        (webhookUrl) =>
+          typeof webhookUrl === "string" &&
+          /^https?:\/\/[^/?#]+/.test(webhookUrl)
+      )
+    ) {
+      throw new Error(
+        "Crux Extractor: 'webhookUrls' must be an array of HTTP(S) URLs"
+      );
+    }
 
-      for (let reqIndex = 0; reqIndex < requestsLength; reqIndex++) {
-        Logger.log(
-          `Crux Extractor:: Making API call ${
-            reqIndex + 1
-          } of ${requestsLength}`
-        );
-        Logger.log(`Payload: ${this.requests[reqIndex].payload}`);
+    if (webhookFormat !== "chat" && webhookFormat !== "json") {
+      throw new Error(
+        'Crux Extractor: \'webhookFormat\' must be "chat" or "json"'
+      );
+    }
 
-        const payload = JSON.parse(this.requests[reqIndex].payload);
-        const url = payload.url;
-        // Canonical form-factor label. Aggregated requests omit the field, so
-        // fall back to "AGGREGATED" — the same label normalizeData() derives
-        // from the response (key.formFactor || "AGGREGATED"). Keeping both
-        // sides consistent is what lets the normalized flag reconcile.
-        const formFactor = payload.formFactor || "AGGREGATED";
+    if (typeof resumable !== "boolean") {
+      throw new Error("Crux Extractor: 'resumable' must be a boolean");
+    }
+
+    if (!Number.isInteger(timeBudgetMs) || timeBudgetMs < 0) {
+      throw new Error(
+        "Crux Extractor: 'timeBudgetMs' must be a non-negative integer"
+      );
+    }
+
+    if (
+      typeof continuationFunction !== "string" ||
+      !continuationFunction.trim()
+    ) {
+      throw new Error(
+        "Crux Extractor: 'continuationFunction' must be a non-empty string"
+      );
+    }
 
-        let statusCode;
-        let errorMessage = "-";
-        let status = "FAILED";
+    if (!Number.isInteger(sitemapMaxUrls) || sitemapMaxUrls < 1) {
+      throw new Error(
+        "Crux Extractor: 'sitemapMaxUrls' must be a positive integer"
+      );
+    }
 
+    const toPatterns = (patterns, name) => {
+      if (!Array.isArray(patterns)) {
+        throw new Error(
+          `Crux Extractor: '${name}' must be an array of regular expressions`
+        );
+      }
+      return patterns.map((pattern) => {
+        if (pattern instanceof RegExp) {
+          return pattern;
+        }
         try {
-          const response = UrlFetchApp.fetch(
-            this.cruxUrl,
-            this.requests[reqIndex]
+          return new RegExp(pattern);
+        } catch (error) {
+          throw new Error(
+            `Crux Extractor: Invalid pattern '${pattern}' in '${name}': ${error.message}`
           );
-
-          statusCode = response.getResponseCode();
-          Logger.log(`Crux Extractor:: Received status code: ${statusCode}`);
-
-          if (statusCode !== CruxExtractor_.CONFIG.HTTP_STATUS_OK) {
-            errorMessage = `Non-200 response: ${response.getContentText()}`;
-            Logger.log(`Non-200 response for request ${reqIndex + 1}`);
-            Logger.log(`Payload: ${this.requests[reqIndex].payload}`);
-            Logger.log(`Status: ${statusCode}`);
-            Logger.log(`Response: ${response.getContentText()}`);
-          } else {
-            try {
-              const responseContent = JSON.parse(response.getContentText());
-              this.filteredResponse.push(responseContent);
-              status = "SUCCESS";
-              errorMessage = "-";
-              Logger.log(`Successfully parsed response ${reqIndex + 1}`);
-            } catch (parseError) {
-              errorMessage = `JSON parse error: ${parseError.message}`;
-              Logger.log(`Failed to parse JSON for request ${reqIndex + 1}`);
-              Logger.log(`Error: ${parseError.message}`);
-              Logger.log(`Response text: ${response.getContentText()}`);
-            }
-          }
-        } catch (fetchError) {
-          statusCode = "-";
-          errorMessage = `Fetch error: ${fetchError.message}`;
-          Logger.log(`Failed to fetch request ${reqIndex + 1}`);
-          Logger.log(`Error: ${fetchError.message}`);
         }
+      });
+    };
+    const includePatterns = toPatterns(sitemapInclude, "sitemapInclude");
+    const excludePatterns = toPatterns(sitemapExclude, "sitemapExclude");
 
-        this.executionRecords.push({
-          url,
-          formFactor,
-          status,
-          responseCode: statusCode,
-          errorMessage,
-          normalized: "NO",
-        });
-
-        if (reqIndex < requestsLength - 1) {
-          Utilities.sleep(CruxExtractor_.CONFIG.SLEEP_DURATION_MS);
-          Logger.log(
-            `Sleeping ${CruxExtractor_.CONFIG.SLEEP_DURATION_MS}ms before next request`
+    if (!Array.isArray(urlGroups)) {
+      throw new Error("Crux Extractor: 'urlGroups' must be an array");
+    }
+    const groups = urlGroups.map((group, index) => {
+      const where = `'urlGroups[${index}]'`;
+      if (!group || typeof group !== "object") {
+        throw new Error(`Crux Extractor: ${where} must be an object`);
+      }
+      const { name, urls: members = [], pattern } = group;
+      if (typeof name !== "string" || !name.trim()) {
+        throw new Error(
+          `Crux Extractor: ${where} must have a non-empty 'name'`
+        );
+      }
+      if (
+        !Array.isArray(members) ||
+        !members.every((member) => typeof member === "string")
+      ) {
+        throw new Error(
+          `Crux Extractor: ${where}.urls must be an array of strings`
+        );
+      }
+      if (members.length === 0 && pattern === undefined) {
+        throw new Error(
+          `Crux Extractor: ${where} must have 'urls' or a 'pattern'`
+        );
+      }
+      let regex = null;
+      if (pattern !== undefined) {
+        try {
+          regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+        } catch (error) {
+          throw new Error(
+            `Crux Extractor: Invalid pattern in ${where}: ${error.message}`
           );
         }
       }
+      return {
+        name: name.trim(),
+        urls: members.map((member) => member.trim()),
+        pattern: regex,
+      };
+    });
+    if (new Set(groups.map(({ name }) => name)).size !== groups.length) {
+      throw new Error("Crux Extractor: 'urlGroups' names must be unique");
+    }
 
-      Logger.log(
-        `Crux Extractor:: Successfully fetched ${this.filteredResponse.length} responses`
+    if (typeof groupTabName !== "string" || !groupTabName.trim()) {
+      throw new Error(
+        "Crux Extractor: 'groupTabName' must be a non-empty string"
       );
-      return this.filteredResponse;
-    } catch (error) {
-      Logger.log("Crux Extractor:: Error occurred: fetchData");
-      throw error;
     }
-  }
-
-  /**
-   * Normalizes CrUX API responses into flat arrays for spreadsheet insertion.
-   *
-   * Extracts Core Web Vitals metrics (LCP, INP, CLS, FCP) and additional metrics (TTFB, RTT; FID retained but empty)
-   * from API response objects and formats them as arrays with timestamps. Missing metrics default to "-".
-   * Updates execution records to mark successfully normalized responses.
-   *
-   * @async
-   * @returns {Promise<Array[]>} Array of arrays, each containing 31 columns of data:
-   *   [Date, Platform, URL, LCP (4), FID (4), INP (4), CLS (4), FCP (4), TTFB (4), RTT (4)]
-   * @throws {Error} If no data to normalize or all responses fail normalization
-   */
-  async normalizeData() {
-    try {
-      if (!this.filteredResponse || this.filteredResponse.length === 0) {
-        throw new Error("No responses to normalize. Call fetchData() first.");
-      }
 
-      this.normalizedResponse = [];
+    if (typeof skipUnchanged !== "boolean") {
+      throw new Error("Crux Extractor: 'skipUnchanged' must be a boolean");
+    }
 
-      const timeZone = Session.getScriptTimeZone();
-      const timeStamp = Utilities.formatDate(
-        new Date(),
-        timeZone,
-        "dd-MM-yyyy"
-      );
+    if (!Array.isArray(sinks) || sinks.length === 0) {
+      throw new Error("Crux Extractor: 'sinks' must be a non-empty array");
+    }
+    const outputSinks = sinks.map((spec, index) =>
+      this.createSink(spec, index)
+    );
+    if (
+      new Set(outputSinks.map(({ name }) => name)).size !== outputSinks.length
+    ) {
+      throw new Error("Crux Extractor: 'sinks' names must be unique");
+    }
 
-      for (const response of this.filteredResponse) {
+    // Both compare against the rows already in the data tab, which only the
+    // "sheets" sink writes.
+    if (!outputSinks.some(({ type }) => type === "sheets")) {
+      if (skipUnchanged) {
+        throw new Error(
+          "Crux Extractor: 'skipUnchanged' requires the \"sheets\" sink"
+        );
+      }
+      if (alertRecipients.length > 0) {
+        throw new Error(
+          "Crux Extractor: 'alertRecipients' requires the \"sheets\" sink"
+        );
+      }
+    }
+
+    if (mode === "history" && groups.length > 0) {
+      throw new Error(
+        "Crux Extractor: 'urlGroups' is not supported in history mode"
+      );
+    }
+
+    if (mode === "history" && alertRecipients.length > 0) {
+      throw new Error(
+        "Crux Extractor: 'alertRecipients' is not supported in history mode"
+      );
+    }
+
+    if (mode === "history" && lcpBreakdown) {
+      throw new Error(
+        "Crux Extractor: 'lcpBreakdown' is not supported in history mode"
+      );
+    }
+
+    if (outputFormat !== "wide" && outputFormat !== "long") {
+      throw new Error(
+        'Crux Extractor: \'outputFormat\' must be "wide" or "long"'
+      );
+    }
+
+    if (metrics !== undefined) {
+      const known = CruxExtractor_.METRICS.map(({ key }) => key);
+      if (!Array.isArray(metrics) || metrics.length === 0) {
+        throw new Error("Crux Extractor: 'metrics' must be a non-empty array");
+      }
+      const unknown = metrics.filter((metric) => !known.includes(metric));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Crux Extractor: Unknown metric(s) ${unknown.join(
+            ", "
+          )}; expected any of ${known.join(", ")}`
+        );
+      }
+      if (new Set(metrics).size !== metrics.length) {
+        throw new Error(
+          "Crux Extractor: 'metrics' must not contain duplicates"
+        );
+      }
+    }
+
+    // The History API has no effectiveConnectionType dimension; only the
+    // aggregated series exists.
+    if (
+      mode === "history" &&
+      effectiveConnectionType.some(
+        (type) => type.trim() !== "ALL_CONNECTION_TYPES"
+      )
+    ) {
+      throw new Error(
+        "Crux Extractor: 'effectiveConnectionType' is not supported in history mode"
+      );
+    }
+
+    this.urls = urls.map((url) => url.trim());
+    // CrUX keys origins without a trailing slash; strip it so the response key
+    // and the execution record agree.
+    this.origins = origins.map((origin) => origin.trim().replace(/\/+$/, ""));
+    this.spreadsheetId = spreadsheetId.trim();
+    this.apiKey = apiKey.trim();
+    this.formFactor = formFactor.map((factor) => factor.trim());
+    this.effectiveConnectionType = effectiveConnectionType.map((type) =>
+      type.trim()
+    );
+    this.mode = mode;
+    this.collectionPeriodCount = collectionPeriodCount;
+    this.historyTabName = historyTabName;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.onDuplicate = onDuplicate;
+    this.lcpBreakdown = lcpBreakdown;
+    this.lcpBreakdownTabName = lcpBreakdownTabName;
+    this.metrics = metrics ? [...metrics] : null;
+    this.outputFormat = outputFormat;
+    this.originFallback = originFallback;
+    this.cwvThresholds = thresholds;
+    this.alertRecipients = alertRecipients.map((recipient) => recipient.trim());
+    this.alertThresholdPercent = alertThresholdPercent;
+    this.webhookUrls = webhookUrls.map((webhookUrl) => webhookUrl.trim());
+    this.webhookFormat = webhookFormat;
+    this.resumable = resumable;
+    this.timeBudgetMs = timeBudgetMs;
+    this.continuationFunction = continuationFunction.trim();
+    this.sitemapUrl = sitemapUrl ? sitemapUrl.trim() : null;
+    this.sitemapMaxUrls = sitemapMaxUrls;
+    this.sitemapInclude = includePatterns;
+    this.sitemapExclude = excludePatterns;
+    // executionHistory records from the last sitemap discovery.
+    this.discoveryRecords = [];
+    this.urlGroups = groups;
+    this.groupTabName = groupTabName.trim();
+    this.skipUnchanged = skipUnchanged;
+    // Latest period end per identity in the tab; set by run() (see
+    // readLatestPeriods()).
+    this.latestPeriods = null;
+    // Rows skipUnchanged left out; set by normalizeData().
+    this.unchangedResponse = [];
+    this.sinks = outputSinks;
+    // addToSpreadsheet()'s counts from the "sheets" sink, for the summary.
+    this.spreadsheetWrite = null;
+    // executionHistory entries sinks add, e.g. one per "http" batch.
+    this.sinkRecords = [];
+    // Next request fetchData() makes, and when it must stop (resumable runs).
+    this.requestCursor = 0;
+    this.deadline = null;
+    // Layout the record rows are built for; run() lowers it to match a tab
+    // that predates the current schema (see resolveSchemaVersion()).
+    this.schemaVersion = CruxExtractor_.CONFIG.SCHEMA_VERSION;
+
+    const defaultCruxUrl =
+      mode === "history"
+        ? CruxExtractor_.CONFIG.HISTORY_API_URL
+        : CruxExtractor_.CONFIG.RECORD_API_URL;
+    this.cruxUrl = (cruxUrl || defaultCruxUrl) + this.apiKey;
+    this.sheetTabName = sheetTabName;
+
+    // Per-URL form factors and labels, keyed by URL; only config-tab rows
+    // set them.
+    this.urlFormFactors = {};
+    this.labels = {};
+    this.configSheetName = configSheetName ? configSheetName.trim() : null;
+    // Set once applyConfigSheet() has added the tab's URLs.
+    this.configSheetApplied = false;
+  }
+
+  /**
+   * Adds the `configSheetName` tab's URLs to `urls`, with their form
+   * factors, labels and groups (see loadConfigSheet()). run() calls it before
+   * building requests, so constructing an extractor reads no sheet; later
+   * calls do nothing.
+   *
+   * @returns {void}
+   * @throws {Error} If the tab is invalid, or leaves nothing to extract
+   */
+  applyConfigSheet() {
+    if (!this.configSheetName || this.configSheetApplied) {
+      return;
+    }
+
+    for (const entry of this.loadConfigSheet()) {
+      this.urls.push(entry.url);
+      if (entry.formFactors) {
+        this.urlFormFactors[entry.url] = entry.formFactors;
+      }
+      if (entry.label) {
+        this.labels[entry.url] = entry.label;
+      }
+      if (entry.group) {
+        this.addToUrlGroup(entry.group, entry.url);
+      }
+    }
+    if (
+      this.urls.length === 0 &&
+      this.origins.length === 0 &&
+      !this.sitemapUrl
+    ) {
+      throw new Error(
+        `Crux Extractor: Config tab '${this.configSheetName}' has no enabled URLs`
+      );
+    }
+    this.configSheetApplied = true;
+  }
+
+  /**
+   * Adds a URL to a `urlGroups` group as an explicit member, creating the
+   * group if config doesn't define it.
+   *
+   * @param {string} name - Group name
+   * @param {string} url - Page URL
+   * @returns {void}
+   */
+  addToUrlGroup(name, url) {
+    let group = this.urlGroups.find((candidate) => candidate.name === name);
+    if (!group) {
+      group = { name, urls: [], pattern: null };
+      this.urlGroups.push(group);
+    }
+    group.urls.push(url);
+  }
+
+  /**
+   * Reads the URLs to extract from the `configSheetName` tab.
+   *
+   * Row 1 holds headers, matched case-insensitively to CONFIG_SHEET_HEADERS
+   * in any order; other columns are ignored, so the tab can carry notes.
+   *
+   * - URL (required): a page URL, validated like `urls`
+   * - Form Factors: comma-separated form factors; blank uses `formFactor`
+   * - Label: a name shown next to the URL in alerts and webhook messages
+   * - Enabled: a checkbox or TRUE/FALSE/yes/no; blank means enabled
+   * - Group: a `urlGroups` group to add the URL to, created if needed
+   *
+   * Blank and disabled rows are skipped without further checks. All problems
+   * in the remaining rows are collected and thrown together.
+   *
+   * @returns {Array<{url: string, formFactors: ?string[], label: ?string,
+   *   group: ?string}>}
+   *   One entry per enabled row, in tab order
+   * @throws {Error} If the tab is missing, has no URL header, or has invalid rows
+   */
+  loadConfigSheet() {
+    const tabName = this.configSheetName;
+    const sheet = SpreadsheetApp.openById(this.spreadsheetId).getSheetByName(
+      tabName
+    );
+    if (!sheet) {
+      throw new Error(`Crux Extractor: Config tab '${tabName}' not found`);
+    }
+
+    const lastRow = sheet.getLastRow();
+    const lastColumn = sheet.getLastColumn();
+    const values =
+      lastRow > 0 && lastColumn > 0
+        ? sheet.getRange(1, 1, lastRow, lastColumn).getValues()
+        : [];
+    const headers = (values[0] || []).map((header) =>
+      String(header).trim().toLowerCase()
+    );
+    const column = {};
+    for (const name of CruxExtractor_.CONFIG.CONFIG_SHEET_HEADERS) {
+      column[name] = headers.indexOf(name.toLowerCase());
+    }
+    if (column.URL === -1) {
+      throw new Error(
+        `Crux Extractor: Config tab '${tabName}' must have a 'URL' header in row 1`
+      );
+    }
+
+    const cell = (row, name) => (column[name] === -1 ? "" : row[column[name]]);
+    const entries = [];
+    const errors = [];
+
+    values.slice(1).forEach((row, index) => {
+      const rowNumber = index + 2;
+      const url = String(cell(row, "URL")).trim();
+      const enabled = cell(row, "Enabled");
+      const flag = String(enabled).trim().toLowerCase();
+
+      if (!url && !row.some((value) => String(value).trim())) {
+        return;
+      }
+      if (
+        typeof enabled !== "boolean" &&
+        !["", "true", "false", "yes", "no"].includes(flag)
+      ) {
+        errors.push(
+          `row ${rowNumber}: 'Enabled' must be TRUE, FALSE, yes, no or blank, got '${enabled}'`
+        );
+        return;
+      }
+      if (enabled === false || flag === "false" || flag === "no") {
+        return;
+      }
+
+      if (!this.isValidUrl(url)) {
+        errors.push(`row ${rowNumber}: '${url}' is not a valid URL`);
+      } else if (
+        this.urls.includes(url) ||
+        entries.some((entry) => entry.url === url)
+      ) {
+        errors.push(`row ${rowNumber}: '${url}' is listed more than once`);
+      }
+
+      const formFactors = String(cell(row, "Form Factors"))
+        .split(",")
+        .map((factor) => factor.trim().toUpperCase())
+        .filter(Boolean);
+      const unknown = formFactors.filter(
+        (factor) => !CruxExtractor_.CONFIG.FORM_FACTORS.includes(factor)
+      );
+      if (unknown.length > 0) {
+        errors.push(
+          `row ${rowNumber}: unknown form factor(s) ${unknown.join(
+            ", "
+          )}; expected any of ${CruxExtractor_.CONFIG.FORM_FACTORS.join(", ")}`
+        );
+      }
+
+      const label = String(cell(row, "Label")).trim();
+      const group = String(cell(row, "Group")).trim();
+      entries.push({
+        url,
+        formFactors: formFactors.length > 0 ? formFactors : null,
+        label: label || null,
+        group: group || null,
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new Error(
+        `Crux Extractor: Config tab '${tabName}' has ${
+          errors.length
+        } invalid row(s): ${errors.join("; ")}`
+      );
+    }
+
+    Logger.log(
+      `Crux Extractor:: Read ${entries.length} enabled URLs from config tab '${tabName}'`
+    );
+    return entries;
+  }
+
+  /**
+   * Validates if a string is a valid HTTP or HTTPS URL.
+   *
+   * @param {string} urlString - The URL string to validate
+   * @returns {boolean} True if the URL is valid and uses HTTP/HTTPS protocol, false otherwise
+   */
+  isValidUrl(urlString) {
+    if (typeof urlString !== "string" || !urlString) {
+      return false;
+    }
+
+    try {
+      // Use regex pattern for Apps Script compatibility
+      // Validates http:// or https:// followed by valid domain characters
+      const urlPattern =
+        /^https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)$/;
+
+      if (!urlPattern.test(urlString)) {
+        Logger.log(`Invalid URL format: ${urlString}`);
+        return false;
+      }
+
+      return true;
+    } catch (error) {
+      Logger.log(`Invalid URL format: ${urlString} - ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Validates that a string is a bare HTTP or HTTPS origin (scheme + host,
+   * optional port, no path, query or fragment).
+   *
+   * @param {string} originString - The origin string to validate
+   * @returns {boolean} True if the string is a valid origin, false otherwise
+   */
+  isValidOrigin(originString) {
+    if (!this.isValidUrl(originString)) {
+      return false;
+    }
+
+    if (!/^https?:\/\/[^/?#]+$/.test(originString)) {
+      Logger.log(`Invalid origin format: ${originString}`);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Discovers page URLs from `sitemapUrl`.
+   *
+   * Sitemap index files are followed (nested ones too; each sitemap is read
+   * at most once). A `<loc>` is kept when it is a valid URL, matches any
+   * `sitemapInclude` pattern (all match when there are none), matches no
+   * `sitemapExclude` pattern and isn't already in `urls`. Discovery stops
+   * at `sitemapMaxUrls`.
+   *
+   * Each sitemap that can't be fetched or parsed is logged and skipped, and
+   * gets a FAILED execution record; each discovered URL gets a DISCOVERED
+   * record with its sitemap as `source`. run() writes both to executionHistory.
+   *
+   * @returns {string[]} Discovered URLs in sitemap order
+   */
+  discoverSitemapUrls() {
+    const discovered = [];
+    const visited = new Set();
+    const pending = [this.sitemapUrl];
+    this.discoveryRecords = [];
+
+    while (pending.length > 0 && discovered.length < this.sitemapMaxUrls) {
+      const sitemapUrl = pending.shift();
+      if (visited.has(sitemapUrl)) {
+        continue;
+      }
+      visited.add(sitemapUrl);
+
+      const { response, error, attempts } = this.fetchWithRetry(
+        { method: "get", muteHttpExceptions: true },
+        sitemapUrl
+      );
+      const responseCode = response ? response.getResponseCode() : null;
+      let root = null;
+      let errorMessage = error ? `Fetch error: ${error.message}` : null;
+
+      if (
+        !errorMessage &&
+        responseCode !== CruxExtractor_.CONFIG.HTTP_STATUS_OK
+      ) {
+        errorMessage = "Non-200 response fetching sitemap";
+      }
+      if (!errorMessage) {
         try {
-          if (!response?.record?.key || !response?.record?.metrics) {
-            Logger.log("Skipping response with invalid structure");
+          root = XmlService.parse(response.getContentText()).getRootElement();
+        } catch (parseError) {
+          errorMessage = `Invalid sitemap XML: ${parseError.message}`;
+        }
+      }
+      if (
+        root &&
+        root.getName() !== "urlset" &&
+        root.getName() !== "sitemapindex"
+      ) {
+        errorMessage = `Not a sitemap: root element is <${root.getName()}>`;
+      }
+
+      if (errorMessage) {
+        Logger.log(
+          `Crux Extractor:: Sitemap skipped: ${sitemapUrl} - ${errorMessage}`
+        );
+        this.discoveryRecords.push({
+          url: sitemapUrl,
+          formFactor: "-",
+          connectionType: "-",
+          status: "FAILED",
+          responseCode,
+          errorMessage,
+          normalized: "-",
+          attempts,
+        });
+        continue;
+      }
+
+      // Sitemaps use the sitemaps.org namespace; read it off the root so a
+      // sitemap without one works too.
+      const namespace = root.getNamespace();
+      if (root.getName() === "sitemapindex") {
+        for (const child of root.getChildren("sitemap", namespace)) {
+          const loc = (child.getChildText("loc", namespace) || "").trim();
+          if (loc) {
+            pending.push(loc);
+          }
+        }
+        continue;
+      }
+
+      for (const child of root.getChildren("url", namespace)) {
+        if (discovered.length >= this.sitemapMaxUrls) {
+          Logger.log(
+            `Crux Extractor:: Sitemap discovery stopped at 'sitemapMaxUrls' (${this.sitemapMaxUrls})`
+          );
+          break;
+        }
+
+        const url = (child.getChildText("loc", namespace) || "").trim();
+        if (
+          !this.isValidUrl(url) ||
+          discovered.includes(url) ||
+          this.urls.includes(url) ||
+          (this.sitemapInclude.length > 0 &&
+            !this.sitemapInclude.some((pattern) => pattern.test(url))) ||
+          this.sitemapExclude.some((pattern) => pattern.test(url))
+        ) {
+          continue;
+        }
+
+        discovered.push(url);
+        this.discoveryRecords.push({
+          url,
+          formFactor: "-",
+          connectionType: "-",
+          status: "DISCOVERED",
+          responseCode,
+          normalized: "-",
+          attempts,
+          source: sitemapUrl,
+        });
+      }
+    }
+
+    Logger.log(
+      `Crux Extractor:: Discovered ${discovered.length} URLs from ${visited.size} sitemap(s)`
+    );
+    return discovered;
+  }
+
+  /**
+   * Builds an array of request payloads for the CrUX API.
+   *
+   * Creates one request for each combination of URL (or origin), form factor
+   * and effective connection type. Page URLs are sent as `{ url }` and origins as `{ origin }`.
+   * Invalid URLs, origins, form factors and connection types are logged and
+   * skipped. In history
+   * mode each payload also carries collectionPeriodCount. With `sitemapUrl`,
+   * the URLs found by discoverSitemapUrls() follow `urls`.
+   *
+   * @async
+   * @param {string[]} [sitemapUrls] - Sitemap URLs an earlier execution
+   *   discovered, used instead of discovering them again (see run())
+   * @returns {Promise<Object[]>} Array of request objects for UrlFetchApp.fetch()
+   * @throws {Error} If building request payloads fails or no valid requests created
+   */
+  async buildRequestUrls(sitemapUrls) {
+    try {
+      this.requests = [];
+
+      // PHONE, DESKTOP, TABLET are the API's real formFactor values.
+      // ALL_FORM_FACTORS is our config token for the aggregated record
+      // (translated to an omitted formFactor field below).
+      const validFormFactors = CruxExtractor_.CONFIG.FORM_FACTORS;
+
+      // Same pattern for connection types: ALL_CONNECTION_TYPES is our token
+      // for the aggregated record and is sent as an omitted field.
+      const validConnectionTypes = [
+        "4G",
+        "3G",
+        "2G",
+        "slow-2G",
+        "offline",
+        "ALL_CONNECTION_TYPES",
+      ];
+
+      const discovered =
+        sitemapUrls || (this.sitemapUrl ? this.discoverSitemapUrls() : []);
+
+      const targets = [
+        ...this.urls.map((url) => ({ url })),
+        ...discovered.map((url) => ({ url })),
+        ...this.origins.map((origin) => ({ origin })),
+      ];
+
+      for (const target of targets) {
+        if (target.origin !== undefined) {
+          if (!this.isValidOrigin(target.origin)) {
+            Logger.log(
+              `Crux Extractor:: Invalid origin skipped: ${target.origin}`
+            );
             continue;
           }
+        } else if (!this.isValidUrl(target.url)) {
+          Logger.log(`Crux Extractor:: Invalid URL skipped: ${target.url}`);
+          continue;
+        }
 
-          Logger.log("Crux Extractor:: Extracting values from response");
+        // Config-tab rows can narrow the form factors for their URL.
+        const formFactors =
+          (target.url !== undefined && this.urlFormFactors[target.url]) ||
+          this.formFactor;
 
-          const { key, metrics } = response.record;
-          const formFactor = key.formFactor || "AGGREGATED";
-          const url = key.url;
+        for (const factor of formFactors) {
+          if (!validFormFactors.includes(factor)) {
+            Logger.log(
+              `Crux Extractor:: Invalid form factor skipped: ${factor}`
+            );
+            continue;
+          }
 
-          const extractMetric = (metric) => {
-            if (!metric) return ["-", "-", "-", "-"];
-            const hist = metric.histogram || [];
-            return [
-              hist[0]?.density ?? "-",
-              hist[1]?.density ?? "-",
-              hist[2]?.density ?? "-",
-              metric.percentiles?.p75 ?? "-",
-            ];
-          };
+          for (const connectionType of this.effectiveConnectionType) {
+            if (!validConnectionTypes.includes(connectionType)) {
+              Logger.log(
+                `Crux Extractor:: Invalid connection type skipped: ${connectionType}`
+              );
+              continue;
+            }
+
+            // The CrUX API accepts the formFactor values PHONE, DESKTOP, and
+            // TABLET. To get data aggregated across all form factors the field
+            // must be OMITTED entirely — there is no ALL_FORM_FACTORS enum, and
+            // sending it returns HTTP 400 "Invalid value". We keep
+            // "ALL_FORM_FACTORS" as the config token for that intent and
+            // translate it to an omitted field here.
+            const requestBody = { ...target };
+            if (factor !== "ALL_FORM_FACTORS") {
+              requestBody.formFactor = factor;
+            }
+            if (connectionType !== "ALL_CONNECTION_TYPES") {
+              requestBody.effectiveConnectionType = connectionType;
+            }
+            if (this.mode === "history") {
+              requestBody.collectionPeriodCount = this.collectionPeriodCount;
+            }
+            if (this.metrics) {
+              requestBody.metrics = this.getRequestedMetrics();
+            }
+
+            this.requests.push({
+              method: "post",
+              muteHttpExceptions: true,
+              contentType: "application/json",
+              payload: JSON.stringify(requestBody),
+            });
+          }
+        }
+      }
+
+      if (this.requests.length === 0) {
+        throw new Error("No valid URL/form factor combinations to process");
+      }
+
+      Logger.log(
+        `Crux Extractor:: Built ${this.requests.length} request payloads`
+      );
+      return this.requests;
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: buildRequestUrls");
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches CrUX data from the Chrome UX Report API sequentially.
+   *
+   * Makes API calls one at a time with a configurable delay between requests
+   * to avoid rate limiting. Transient failures are retried (see fetchWithRetry());
+   * non-200 responses that remain after retrying and JSON parse errors are logged
+   * and skipped. Tracks detailed execution history for each request, including
+   * the number of attempts it took.
+   *
+   * A 404 means CrUX has too little traffic on record for the URL - a normal
+   * outcome, not an error - so it is recorded as NO_DATA rather than FAILED.
+   * With `originFallback`, a page URL with no data is re-queried as its origin
+   * (once per origin/form factor/connection type); a successful fallback
+   * response is tagged with `fallbackFor` so normalizeData() writes it under
+   * the page URL.
+   *
+   * Requests start at `requestCursor`, which is left pointing at the first
+   * request not made. With a `deadline` set (resumable runs), the loop stops
+   * once it passes, after at least one request so every execution progresses.
+   *
+   * @async
+   * @returns {Promise<Object[]>} Array of successful API response objects
+   * @throws {Error} If no requests exist or fetching data fails
+   */
+  async fetchData() {
+    try {
+      if (!this.requests || this.requests.length === 0) {
+        throw new Error("No requests to fetch. Call buildRequestUrls() first.");
+      }
+
+      this.filteredResponse = [];
+      this.executionRecords = [];
+      const fallbackResults = {};
+      const requestsLength = this.requests.length;
+
+      const startIndex = this.requestCursor;
+
+      for (let reqIndex = startIndex; reqIndex < requestsLength; reqIndex++) {
+        if (
+          this.deadline !== null &&
+          reqIndex > startIndex &&
+          Date.now() >= this.deadline
+        ) {
+          Logger.log(
+            `Crux Extractor:: Time budget reached; stopping before request ${
+              reqIndex + 1
+            } of ${requestsLength}`
+          );
+          break;
+        }
+
+        Logger.log(
+          `Crux Extractor:: Making API call ${
+            reqIndex + 1
+          } of ${requestsLength}`
+        );
+        Logger.log(`Payload: ${this.requests[reqIndex].payload}`);
+
+        const payload = JSON.parse(this.requests[reqIndex].payload);
+        const url = payload.url || payload.origin;
+        const scope = payload.origin ? "ORIGIN" : "PAGE";
+        // Canonical form-factor label. Aggregated requests omit the field, so
+        // fall back to "AGGREGATED" — the same label normalizeData() derives
+        // from the response (key.formFactor || "AGGREGATED"). Keeping both
+        // sides consistent is what lets the normalized flag reconcile.
+        const formFactor = payload.formFactor || "AGGREGATED";
+        const connectionType = payload.effectiveConnectionType || "AGGREGATED";
+
+        const result = this.fetchRecord(this.requests[reqIndex], reqIndex + 1);
+        if (result.content) {
+          this.filteredResponse.push(result.content);
+        }
+
+        const record = {
+          url,
+          resolvedUrl: result.resolvedUrl,
+          scope,
+          formFactor,
+          connectionType,
+          status: result.status,
+          responseCode: result.responseCode,
+          errorMessage: result.errorMessage,
+          normalized: "NO",
+          attempts: result.attempts,
+        };
+        this.executionRecords.push(record);
+
+        if (
+          this.originFallback &&
+          scope === "PAGE" &&
+          result.status === "NO_DATA"
+        ) {
+          const origin = url.match(/^https?:\/\/[^/?#]+/)[0];
+          const fallbackPayload = { ...payload, origin };
+          delete fallbackPayload.url;
+          const fallbackKey = JSON.stringify(fallbackPayload);
+
+          // Pages on the same origin share one fallback request.
+          let fallback = fallbackResults[fallbackKey];
+          if (!fallback) {
+            Utilities.sleep(CruxExtractor_.CONFIG.SLEEP_DURATION_MS);
+            Logger.log(
+              `Crux Extractor:: No data for ${url}; falling back to origin ${origin}`
+            );
+            fallback = this.fetchRecord(
+              { ...this.requests[reqIndex], payload: fallbackKey },
+              reqIndex + 1
+            );
+            fallbackResults[fallbackKey] = fallback;
+            this.executionRecords.push({
+              url: origin,
+              resolvedUrl: fallback.resolvedUrl,
+              scope: "ORIGIN_FALLBACK",
+              formFactor,
+              connectionType,
+              status: fallback.status,
+              responseCode: fallback.responseCode,
+              errorMessage: fallback.errorMessage,
+              normalized: "NO",
+              attempts: fallback.attempts,
+            });
+          }
+
+          if (fallback.content) {
+            this.filteredResponse.push({
+              ...fallback.content,
+              fallbackFor: url,
+            });
+            record.errorMessage += `; fell back to origin ${origin}`;
+          }
+        }
+
+        this.requestCursor = reqIndex + 1;
+
+        if (reqIndex < requestsLength - 1) {
+          Utilities.sleep(CruxExtractor_.CONFIG.SLEEP_DURATION_MS);
+          Logger.log(
+            `Sleeping ${CruxExtractor_.CONFIG.SLEEP_DURATION_MS}ms before next request`
+          );
+        }
+      }
+
+      Logger.log(
+        `Crux Extractor:: Successfully fetched ${this.filteredResponse.length} responses`
+      );
+      return this.filteredResponse;
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: fetchData");
+      throw error;
+    }
+  }
+
+  /**
+   * Sends one request (see fetchWithRetry()) and classifies the outcome for
+   * the execution history.
+   *
+   * @param {Object} request - Request options for UrlFetchApp.fetch()
+   * @param {number} requestNumber - 1-based position of the request, for logging
+   * @returns {{content: ?Object, status: string, responseCode: (number|string),
+   *   errorMessage: string, attempts: number, resolvedUrl: string}} The parsed
+   *   response (null unless status is SUCCESS) and the execution record fields.
+   *   Status is SUCCESS, NO_DATA (HTTP 404) or FAILED
+   */
+  fetchRecord(request, requestNumber) {
+    const payload = JSON.parse(request.payload);
+    const url = payload.url || payload.origin;
+
+    let content = null;
+    let statusCode;
+    let errorMessage = "-";
+    let status = "FAILED";
+    let attempts = 0;
+    let resolvedUrl = "-";
+
+    try {
+      const result = this.fetchWithRetry(request);
+      attempts = result.attempts;
+      if (result.error) {
+        throw result.error;
+      }
+      const response = result.response;
+
+      statusCode = response.getResponseCode();
+      Logger.log(`Crux Extractor:: Received status code: ${statusCode}`);
+
+      if (statusCode === 404) {
+        // "chrome ux report data not found": the URL is below CrUX's
+        // traffic threshold for this form factor/connection type.
+        status = "NO_DATA";
+        errorMessage = `No CrUX data: ${response.getContentText()}`;
+        Logger.log(`Crux Extractor:: No CrUX data for ${url}`);
+      } else if (statusCode !== CruxExtractor_.CONFIG.HTTP_STATUS_OK) {
+        errorMessage = `Non-200 response: ${response.getContentText()}`;
+        Logger.log(`Non-200 response for request ${requestNumber}`);
+        Logger.log(`Payload: ${request.payload}`);
+        Logger.log(`Status: ${statusCode}`);
+        Logger.log(`Response: ${response.getContentText()}`);
+      } else {
+        try {
+          content = JSON.parse(response.getContentText());
+          // CrUX may answer for a normalized form of the URL (trailing
+          // slash, redirect target, stripped query). The response key
+          // holds that form; normalizeData() reconciles against it.
+          const key = content.record?.key || {};
+          resolvedUrl = key.url || key.origin || url;
+          const details = content.urlNormalizationDetails;
+          if (details) {
+            Logger.log(
+              `Crux Extractor:: CrUX normalized ${details.originalUrl} to ${details.normalizedUrl}`
+            );
+          }
+          status = "SUCCESS";
+          errorMessage = "-";
+          Logger.log(`Successfully parsed response ${requestNumber}`);
+        } catch (parseError) {
+          errorMessage = `JSON parse error: ${parseError.message}`;
+          Logger.log(`Failed to parse JSON for request ${requestNumber}`);
+          Logger.log(`Error: ${parseError.message}`);
+          Logger.log(`Response text: ${response.getContentText()}`);
+        }
+      }
+    } catch (fetchError) {
+      statusCode = "-";
+      errorMessage = `Fetch error: ${fetchError.message}`;
+      Logger.log(`Failed to fetch request ${requestNumber}`);
+      Logger.log(`Error: ${fetchError.message}`);
+    }
+
+    return {
+      content,
+      status,
+      responseCode: statusCode,
+      errorMessage,
+      attempts,
+      resolvedUrl,
+    };
+  }
+
+  /**
+   * Sends one CrUX API request, retrying transient failures.
+   *
+   * A thrown fetch (network error, timeout) or a status in
+   * CONFIG.RETRYABLE_STATUS_CODES is retried up to `maxRetries` times, waiting
+   * getRetryDelay() between attempts. Any other status is returned as-is for
+   * fetchData() to classify. notifyWebhooks() and writeHttpBatches() reuse it
+   * with their own URL; the "http" sink also with its own retry limit.
+   *
+   * @param {Object} request - Request options for UrlFetchApp.fetch()
+   * @param {string} [url=this.cruxUrl] - Endpoint to send the request to
+   * @param {number} [maxRetries=this.maxRetries] - Retries after the first
+   *   attempt
+   * @returns {{response: ?GoogleAppsScript.URL_Fetch.HTTPResponse, error: ?Error, attempts: number}}
+   *   The last response (or the last fetch error) and how many attempts were made
+   */
+  fetchWithRetry(request, url = this.cruxUrl, maxRetries = this.maxRetries) {
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      let response = null;
+      let error = null;
+
+      try {
+        response = UrlFetchApp.fetch(url, request);
+      } catch (fetchError) {
+        error = fetchError;
+      }
+
+      const retryable =
+        error !== null ||
+        CruxExtractor_.CONFIG.RETRYABLE_STATUS_CODES.includes(
+          response.getResponseCode()
+        );
+
+      if (!retryable || attempts > maxRetries) {
+        return { response, error, attempts };
+      }
+
+      const delay = this.getRetryDelay(attempts, response);
+      Logger.log(
+        `Crux Extractor:: Attempt ${attempts} failed (${
+          error ? error.message : response.getResponseCode()
+        }); retrying in ${delay}ms`
+      );
+      Utilities.sleep(delay);
+    }
+  }
+
+  /**
+   * Computes the wait before the next retry.
+   *
+   * A 429 with a Retry-After header (delta-seconds or an HTTP date) is honoured.
+   * Otherwise the delay is exponential - retryBaseDelayMs doubled per attempt -
+   * with jitter in the upper half of that value so concurrent runs spread out.
+   * Both are capped at CONFIG.MAX_RETRY_DELAY_MS to stay inside the Apps Script
+   * execution limit.
+   *
+   * @param {number} attempt - The attempt that just failed (1-based)
+   * @param {?GoogleAppsScript.URL_Fetch.HTTPResponse} response - Its response, if any
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, response) {
+    const maxDelay = CruxExtractor_.CONFIG.MAX_RETRY_DELAY_MS;
+
+    if (response && response.getResponseCode() === 429) {
+      const headers = response.getHeaders() || {};
+      const headerName = Object.keys(headers).find(
+        (name) => name.toLowerCase() === "retry-after"
+      );
+      const retryAfter = headerName ? String(headers[headerName]).trim() : "";
+
+      if (retryAfter) {
+        const retryAfterMs = /^\d+$/.test(retryAfter)
+          ? Number(retryAfter) * 1000
+          : Date.parse(retryAfter) - Date.now();
+        if (!Number.isNaN(retryAfterMs)) {
+          return Math.min(Math.max(retryAfterMs, 0), maxDelay);
+        }
+      }
+    }
+
+    const backoff = Math.min(
+      this.retryBaseDelayMs * Math.pow(2, attempt - 1),
+      maxDelay
+    );
+    return Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+  }
+
+  /**
+   * Normalizes CrUX API responses into flat arrays for spreadsheet insertion.
+   *
+   * Extracts Core Web Vitals metrics (LCP, INP, CLS, FCP) and additional metrics (TTFB, RTT; FID retained but empty)
+   * from API response objects and formats them as arrays. Missing metrics default to "-".
+   * Updates execution records to mark successfully normalized responses.
+   *
+   * Rows are dated by the record's `collectionPeriod` - the 28-day window the
+   * data covers - not by when the run happened: Date is the period's last day,
+   * and Period Start/Period End are written as real dates. Two runs over the
+   * same window therefore produce rows with the same Date. Only if a response
+   * carries no collection period does Date fall back to the run date.
+   *
+   * In history mode each response expands to one row per collection period
+   * (see buildHistoryRows()) instead of a single dated row.
+   *
+   * With `skipUnchanged`, a response whose collection period is no later than
+   * the latest one already in the tab (see readLatestPeriods()) produces no
+   * rows, and its execution record becomes UNCHANGED; in history mode only
+   * the periods already written are dropped. In record mode the dropped rows
+   * are kept in `unchangedResponse` for buildGroupRows().
+   *
+   * With `lcpBreakdown` enabled, a second row per response is collected in
+   * `lcpBreakdownResponse`: the p75 of each LCP subpart (TTFB, resource load
+   * delay, resource load duration, element render delay) and the share of
+   * LCP elements that were images vs. text.
+   *
+   * @async
+   * @returns {Promise<Array[]>} Array of arrays, each containing 45 columns of data:
+   *   [Date, Platform, URL, LCP (4), INP (4), CLS (4), FCP (4), TTFB (4), RTT (4), Scope, Connection Type,
+   *   Period Start, Period End, Navigation Type (7), Form Factor Share (3), LCP/INP/CLS Status, CWV Assessment]
+   *   (49, with FID (4) after LCP, for a tab at schema version 2).
+   *   In history mode, 43 columns: [Period Start, Period End, Platform, URL, LCP (4), INP (4), CLS (4), FCP (4), TTFB (4), RTT (4), Scope,
+   *   Navigation Type (7), Form Factor Share (3), LCP/INP/CLS Status, CWV Assessment]
+   *   With `metrics` set, the metric columns are the selected metrics, in order.
+   *   With `outputFormat: "long"`, each response (or history period) instead
+   *   becomes one LONG_COLUMN_COUNT-column row per metric (see buildLongRows()).
+   *   Scope is PAGE or ORIGIN; the URL column holds the origin for origin rows.
+   *   Rows from an origin fallback (see fetchData()) have Scope ORIGIN_FALLBACK
+   *   and hold the page URL.
+   *   Connection Type is the requested effectiveConnectionType, or AGGREGATED.
+   * @throws {Error} If no data to normalize or all responses fail normalization
+   *   (unchanged responses don't count as failures)
+   */
+  async normalizeData() {
+    try {
+      if (!this.filteredResponse || this.filteredResponse.length === 0) {
+        throw new Error("No responses to normalize. Call fetchData() first.");
+      }
+
+      this.normalizedResponse = [];
+      this.lcpBreakdownResponse = [];
+      this.unchangedResponse = [];
+
+      const timeZone = Session.getScriptTimeZone();
+      const runDate = Utilities.formatDate(new Date(), timeZone, "dd-MM-yyyy");
+      let unchanged = 0;
+
+      for (const response of this.filteredResponse) {
+        try {
+          if (!response?.record?.key || !response?.record?.metrics) {
+            Logger.log("Skipping response with invalid structure");
+            continue;
+          }
+
+          Logger.log("Crux Extractor:: Extracting values from response");
+
+          const { key, metrics } = response.record;
+          const formFactor = key.formFactor || "AGGREGATED";
+          // Origin-level records are keyed by `origin` instead of `url`. An
+          // origin fallback is written under the page it stands in for.
+          const url = response.fallbackFor || key.url || key.origin;
+          const scope = response.fallbackFor
+            ? "ORIGIN_FALLBACK"
+            : key.origin
+            ? "ORIGIN"
+            : "PAGE";
+          const connectionType = key.effectiveConnectionType || "AGGREGATED";
+          // Execution records are keyed by what was requested: the origin
+          // for a fallback.
+          const recordUrl = response.fallbackFor ? key.origin : url;
+
+          if (this.mode === "history") {
+            const allRows = this.buildHistoryRows(
+              response.record,
+              response.fallbackFor
+            );
+            if (allRows.length === 0) {
+              Logger.log(
+                "Skipping history response with no collection periods"
+              );
+              continue;
+            }
+            const historyRows = allRows.filter(
+              ([, periodEnd]) =>
+                !this.isUnchangedPeriod(periodEnd, formFactor, url, scope)
+            );
+            if (historyRows.length === 0) {
+              Logger.log(`Crux Extractor:: No new periods for ${url}`);
+              this.markNormalized(
+                recordUrl,
+                formFactor,
+                scope,
+                "AGGREGATED",
+                "UNCHANGED"
+              );
+              unchanged++;
+              continue;
+            }
+            if (this.outputFormat === "long") {
+              const metricCount = this.getMetricColumns().length * 4;
+              for (const row of historyRows) {
+                const [periodStart, periodEnd] = row;
+                this.normalizedResponse.push(
+                  ...this.buildLongRows(
+                    [
+                      periodEnd,
+                      formFactor,
+                      url,
+                      scope,
+                      "AGGREGATED",
+                      periodStart,
+                      periodEnd,
+                    ],
+                    row.slice(4, 4 + metricCount)
+                  )
+                );
+              }
+            } else {
+              this.normalizedResponse.push(...historyRows);
+            }
+            this.markNormalized(recordUrl, formFactor, scope);
+            continue;
+          }
+
+          const extractMetric = (metric) => {
+            if (!metric) return ["-", "-", "-", "-"];
+            const hist = metric.histogram || [];
+            return [
+              hist[0]?.density ?? "-",
+              hist[1]?.density ?? "-",
+              hist[2]?.density ?? "-",
+              metric.percentiles?.p75 ?? "-",
+            ];
+          };
+
+          const metricValues = this.getMetricColumns().flatMap(
+            ({ key: name }) => extractMetric(metrics[name])
+          );
+          const fractions = CruxExtractor_.FRACTIONS.map(
+            ({ metric, key: name }) => metrics[metric]?.fractions?.[name] ?? "-"
+          );
+
+          const period = response.record.collectionPeriod;
+          const periodStart = this.toCollectionDate(period?.firstDate);
+          const periodEnd = this.toCollectionDate(period?.lastDate);
+          const rowDate = periodEnd instanceof Date ? periodEnd : runDate;
+          const rows =
+            this.outputFormat === "long"
+              ? this.buildLongRows(
+                  [
+                    rowDate,
+                    formFactor,
+                    url,
+                    scope,
+                    connectionType,
+                    periodStart,
+                    periodEnd,
+                  ],
+                  metricValues
+                )
+              : [
+                  [
+                    rowDate,
+                    formFactor,
+                    url,
+                    ...metricValues,
+                    scope,
+                    connectionType,
+                    periodStart,
+                    periodEnd,
+                    ...fractions,
+                    ...this.buildCwvColumns(
+                      (name) => metrics[name]?.percentiles?.p75
+                    ),
+                  ],
+                ];
+
+          if (
+            this.isUnchangedPeriod(
+              periodEnd,
+              formFactor,
+              url,
+              scope,
+              connectionType
+            )
+          ) {
+            Logger.log(
+              `Crux Extractor:: Collection period unchanged for ${url}; skipping`
+            );
+            // Not written, but its group rows still count it.
+            this.unchangedResponse.push(...rows);
+            this.markNormalized(
+              recordUrl,
+              formFactor,
+              scope,
+              connectionType,
+              "UNCHANGED"
+            );
+            unchanged++;
+            continue;
+          }
+
+          if (this.lcpBreakdown) {
+            // LCP subparts carry only percentiles, and the resource type only
+            // fractions, so each reads one value where extractMetric reads four.
+            const extractP75 = (metric) => metric?.percentiles?.p75 ?? "-";
+            const resourceType = metrics.largest_contentful_paint_resource_type;
+
+            this.lcpBreakdownResponse.push([
+              rowDate,
+              formFactor,
+              url,
+              scope,
+              connectionType,
+              extractP75(
+                metrics.largest_contentful_paint_image_time_to_first_byte
+              ),
+              extractP75(
+                metrics.largest_contentful_paint_image_resource_load_delay
+              ),
+              extractP75(
+                metrics.largest_contentful_paint_image_resource_load_duration
+              ),
+              extractP75(
+                metrics.largest_contentful_paint_image_element_render_delay
+              ),
+              resourceType?.fractions?.image ?? "-",
+              resourceType?.fractions?.text ?? "-",
+            ]);
+          }
+
+          Logger.log(
+            "Crux Extractor:: Pushing extracted data to response array"
+          );
+          this.normalizedResponse.push(...rows);
+
+          this.markNormalized(recordUrl, formFactor, scope, connectionType);
+        } catch (itemError) {
+          Logger.log(`Failed to normalize response: ${itemError.message}`);
+          Logger.log(`Skipping this response and continuing`);
+          continue;
+        }
+      }
+
+      if (this.normalizedResponse.length === 0 && unchanged === 0) {
+        throw new Error("All responses failed normalization");
+      }
+
+      Logger.log(
+        `Crux Extractor:: Successfully normalized ${this.normalizedResponse.length} responses`
+      );
+      return this.normalizedResponse;
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: normalizeData");
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the latest collection period already written for each
+   * platform/URL/scope/connection type in the target tab, for
+   * `skipUnchanged`. Columns are found by header label, so any schema
+   * version, metric selection or output format works.
+   *
+   * Only the Period End column counts. Date can't be trusted: rows from
+   * before collection periods were recorded, and rows whose response had no
+   * collection period, hold the run date there, which is later than the
+   * period CrUX will publish next. Such rows have no Period End ("-" or no
+   * column) and are ignored.
+   *
+   * @returns {Object<string, number>} Latest period end (epoch ms) by
+   *   identity (see getPeriodIdentity()); empty if the tab has no rows
+   */
+  readLatestPeriods() {
+    const latest = {};
+    const tabName =
+      this.mode === "history" ? this.historyTabName : this.sheetTabName;
+    const sheet = SpreadsheetApp.openById(this.spreadsheetId).getSheetByName(
+      tabName
+    );
+    if (!sheet || sheet.getLastRow() <= CruxExtractor_.CONFIG.HEADER_ROW) {
+      return latest;
+    }
+
+    const [headers, ...rows] = sheet
+      .getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn())
+      .getValues();
+    const column = (label) => headers.indexOf(label);
+    const periodEndColumn = column("Period End");
+    if (periodEndColumn === -1) {
+      return latest;
+    }
+
+    for (const row of rows) {
+      const date = this.toSheetDate(row[periodEndColumn]);
+      if (!(date instanceof Date)) {
+        continue;
+      }
+      const identity = this.getPeriodIdentity(
+        row[column("Platform")],
+        row[column("URL")],
+        row[column("Scope")],
+        row[column("Connection Type")]
+      );
+      latest[identity] = Math.max(latest[identity] || 0, date.getTime());
+    }
+    return latest;
+  }
+
+  /**
+   * Key that readLatestPeriods() and isUnchangedPeriod() share. Missing
+   * Scope and Connection Type read as PAGE and AGGREGATED, like getRowKey().
+   *
+   * @param {string} formFactor - Platform label
+   * @param {string} url - URL column value
+   * @param {string} [scope] - Scope column value
+   * @param {string} [connectionType] - Connection Type column value
+   * @returns {string} Identity key
+   */
+  getPeriodIdentity(formFactor, url, scope, connectionType) {
+    return [formFactor, url, scope || "PAGE", connectionType || "AGGREGATED"]
+      .map(String)
+      .join("|");
+  }
+
+  /**
+   * Whether a collection period is no later than the latest one already in
+   * the tab for the same identity. Always false without `skipUnchanged` or
+   * before readLatestPeriods() has run.
+   *
+   * @param {Date|string} periodEnd - Last day of the period ("-" if unknown)
+   * @param {string} formFactor - Platform label
+   * @param {string} url - URL column value
+   * @param {string} scope - Scope column value
+   * @param {string} connectionType - Connection Type column value
+   * @returns {boolean} True if rows for this period add nothing new
+   */
+  isUnchangedPeriod(periodEnd, formFactor, url, scope, connectionType) {
+    if (!this.latestPeriods || !(periodEnd instanceof Date)) {
+      return false;
+    }
+    const latest =
+      this.latestPeriods[
+        this.getPeriodIdentity(formFactor, url, scope, connectionType)
+      ];
+    return latest !== undefined && periodEnd.getTime() <= latest;
+  }
+
+  /**
+   * Flags the successful execution record for a URL/form factor as normalized.
+   *
+   * Records are matched on the URL CrUX resolved the request to, so a URL the
+   * API normalized still reconciles. When several requested URLs resolve to
+   * the same key, each call flags the next record not yet flagged.
+   *
+   * @param {string} url - URL (or origin) from the response key
+   * @param {string} formFactor - Canonical form factor label (AGGREGATED when omitted)
+   * @param {string} [scope="PAGE"] - PAGE, ORIGIN or ORIGIN_FALLBACK, so a URL
+   *   and an identical origin reconcile to their own records
+   * @param {string} [connectionType="AGGREGATED"] - effectiveConnectionType label
+   * @param {string} [status] - With `skipUnchanged`, "UNCHANGED" re-labels the
+   *   record instead: its data window hasn't moved, so nothing was written
+   * @returns {void}
+   */
+  markNormalized(
+    url,
+    formFactor,
+    scope = "PAGE",
+    connectionType = "AGGREGATED",
+    status
+  ) {
+    if (!this.executionRecords) {
+      return;
+    }
+
+    const recordIndex = this.executionRecords.findIndex(
+      (record) =>
+        (record.resolvedUrl || record.url) === url &&
+        (record.scope || "PAGE") === scope &&
+        record.formFactor === formFactor &&
+        (record.connectionType || "AGGREGATED") === connectionType &&
+        record.status === "SUCCESS" &&
+        record.normalized !== "YES"
+    );
+    if (recordIndex !== -1 && status) {
+      this.executionRecords[recordIndex].status = status;
+    } else if (recordIndex !== -1) {
+      this.executionRecords[recordIndex].normalized = "YES";
+    }
+  }
+
+  /**
+   * Metrics that get Good/Needs Improvement/Poor/p75 columns, in column order.
+   *
+   * With `metrics` set, these are the selected metrics in the order given.
+   * Otherwise it is every METRICS entry. A record tab at schema version 2 or
+   * older also has four FID columns after LCP: `first_input_delay` was removed
+   * from the CrUX API on 2024-09-09 and always yields "-", but those tabs keep
+   * the columns until migrateSheet() drops them, so later columns stay put.
+   *
+   * @returns {Array<{key: string, label: string, removed?: boolean}>} Metric columns
+   */
+  getMetricColumns() {
+    if (this.metrics) {
+      return this.metrics.map((key) =>
+        CruxExtractor_.METRICS.find((metric) => metric.key === key)
+      );
+    }
+    if (this.mode === "history" || this.schemaVersion >= 3) {
+      return CruxExtractor_.METRICS;
+    }
+    const [lcp, ...rest] = CruxExtractor_.METRICS;
+    return [
+      lcp,
+      { key: "first_input_delay", label: "FID", removed: true },
+      ...rest,
+    ];
+  }
+
+  /**
+   * Builds the request's `metrics` field: the selected metrics plus the ones
+   * the fixed trailing columns (FRACTIONS) and the LCP breakdown tab read, so
+   * selecting metrics only ever removes metric columns.
+   *
+   * @returns {string[]} CrUX API metric names
+   */
+  getRequestedMetrics() {
+    const requested = [
+      ...this.getMetricColumns().map(({ key }) => key),
+      ...new Set(CruxExtractor_.FRACTIONS.map(({ metric }) => metric)),
+    ];
+    if (this.lcpBreakdown) {
+      requested.push(
+        "largest_contentful_paint_image_time_to_first_byte",
+        "largest_contentful_paint_image_resource_load_delay",
+        "largest_contentful_paint_image_resource_load_duration",
+        "largest_contentful_paint_image_element_render_delay",
+        "largest_contentful_paint_resource_type"
+      );
+    }
+    return requested;
+  }
+
+  /**
+   * Splits one response's metric values into long-format rows, one per metric.
+   *
+   * The removed FID metric, present only in legacy wide layouts, gets no row.
+   * Each row ends with the metric's Core Web Vitals status (see getCwvStatus()).
+   *
+   * @param {Array} identity - [Date, Platform, URL, Scope, Connection Type,
+   *   Period Start, Period End] shared by every row
+   * @param {Array} metricValues - Four values per getMetricColumns() entry
+   * @returns {Array[]} Rows of LONG_COLUMN_COUNT columns:
+   *   [...identity, Metric, Good, Needs Improvement, Poor, 75th Percentile, Status]
+   */
+  buildLongRows(identity, metricValues) {
+    return this.getMetricColumns().flatMap(({ key, label, removed }, index) =>
+      removed
+        ? []
+        : [
+            [
+              ...identity,
+              label,
+              ...metricValues.slice(index * 4, index * 4 + 4),
+              this.getCwvStatus(key, metricValues[index * 4 + 3]),
+            ],
+          ]
+    );
+  }
+
+  /**
+   * Expands a History API record into one row per collection period.
+   *
+   * The History API returns each metric as parallel arrays indexed by
+   * collection period: `histogramTimeseries[bin].densities[i]` and
+   * `percentilesTimeseries.p75s[i]`, aligned with `collectionPeriods[i]`.
+   * Fractions follow the same pattern in `fractionTimeseries[key].fractions[i]`.
+   * Periods with too little data come back as "NaN" densities or null p75s;
+   * those cells are written as "-".
+   *
+   * @param {Object} record - The `record` object from a queryHistoryRecord response
+   * @param {string} [fallbackFor] - Page URL an origin fallback record stands in
+   *   for; its rows are written under that URL with Scope ORIGIN_FALLBACK
+   * @returns {Array[]} Rows of getHistoryHeaders().length columns:
+   *   [Period Start, Period End, Platform, URL, ...4 columns per metric, Scope,
+   *   ...1 column per FRACTIONS entry, ...CWV status columns (see buildCwvColumns())]
+   */
+  buildHistoryRows(record, fallbackFor) {
+    const { key, metrics } = record;
+    const periods = record.collectionPeriods || [];
+    const formFactor = key.formFactor || "AGGREGATED";
+
+    const valueOrDash = (value) =>
+      value === undefined ||
+      value === null ||
+      value === "NaN" ||
+      Number.isNaN(value)
+        ? "-"
+        : value;
+
+    return periods.map((period, index) => {
+      const metricValues = this.getMetricColumns().flatMap(({ key: name }) => {
+        const metric = metrics[name];
+        if (!metric) return ["-", "-", "-", "-"];
+        const bins = metric.histogramTimeseries || [];
+        return [
+          valueOrDash(bins[0]?.densities?.[index]),
+          valueOrDash(bins[1]?.densities?.[index]),
+          valueOrDash(bins[2]?.densities?.[index]),
+          valueOrDash(metric.percentilesTimeseries?.p75s?.[index]),
+        ];
+      });
+
+      return [
+        this.toCollectionDate(period.firstDate),
+        this.toCollectionDate(period.lastDate),
+        formFactor,
+        fallbackFor || key.url || key.origin,
+        ...metricValues,
+        fallbackFor ? "ORIGIN_FALLBACK" : key.origin ? "ORIGIN" : "PAGE",
+        ...CruxExtractor_.FRACTIONS.map(({ metric, key: name }) =>
+          valueOrDash(
+            metrics[metric]?.fractionTimeseries?.[name]?.fractions?.[index]
+          )
+        ),
+        ...this.buildCwvColumns((name) =>
+          valueOrDash(metrics[name]?.percentilesTimeseries?.p75s?.[index])
+        ),
+      ];
+    });
+  }
+
+  /**
+   * Rates a p75 value against the metric's Core Web Vitals thresholds
+   * (CWV_THRESHOLDS, with any `cwvThresholds` overrides applied).
+   *
+   * @param {string} metric - CrUX API metric name
+   * @param {number|string} p75 - 75th percentile; CLS arrives as a string
+   * @returns {string} "Good", "Needs Improvement" or "Poor"; "-" for a metric
+   *   that is not a Core Web Vital or a missing value
+   */
+  getCwvStatus(metric, p75) {
+    const thresholds = this.cwvThresholds[metric];
+    if (!thresholds || p75 === undefined || p75 === null || p75 === "-") {
+      return "-";
+    }
+
+    const value = Number(p75);
+    if (Number.isNaN(value)) {
+      return "-";
+    }
+    if (value <= thresholds.good) {
+      return "Good";
+    }
+    return value > thresholds.poor ? "Poor" : "Needs Improvement";
+  }
+
+  /**
+   * Builds the Core Web Vitals columns for one row: a status per metric in
+   * CWV_THRESHOLDS and the overall assessment.
+   *
+   * The assessment follows PageSpeed Insights: PASS when LCP, INP and CLS are
+   * all Good. INP may be missing (too few interactions, or not selected in
+   * `metrics`), in which case LCP and CLS decide alone. Without LCP or CLS
+   * there is no assessment ("-").
+   *
+   * @param {function(string): *} getP75 - Returns the p75 for a metric name
+   * @returns {string[]} [LCP Status, INP Status, CLS Status, CWV Assessment]
+   */
+  buildCwvColumns(getP75) {
+    const statuses = Object.keys(CruxExtractor_.CWV_THRESHOLDS).map((metric) =>
+      this.getCwvStatus(metric, getP75(metric))
+    );
+    const [lcp, inp, cls] = statuses;
+
+    let assessment = "FAIL";
+    if (lcp === "-" || cls === "-") {
+      assessment = "-";
+    } else if (
+      lcp === "Good" &&
+      cls === "Good" &&
+      (inp === "Good" || inp === "-")
+    ) {
+      assessment = "PASS";
+    }
+
+    return [...statuses, assessment];
+  }
+
+  /**
+   * Converts a CrUX `{ year, month, day }` date to a Date at local midnight,
+   * so Sheets stores it as a real date rather than text.
+   *
+   * @param {{year: number, month: number, day: number}} date - CrUX date object
+   * @returns {Date|string} The date, or "-" if it is missing
+   */
+  toCollectionDate(date) {
+    if (!date || !date.year) {
+      return "-";
+    }
+    return new Date(date.year, date.month - 1, date.day);
+  }
+
+  /**
+   * Header row of the main data tab for the configured mode and output
+   * format: getLongHeaders(), getHistoryHeaders() or getRecordHeaders().
+   *
+   * @returns {string[]} Column labels
+   */
+  getOutputHeaders() {
+    if (this.outputFormat === "long") {
+      return this.getLongHeaders();
+    }
+    return this.mode === "history"
+      ? this.getHistoryHeaders()
+      : this.getRecordHeaders();
+  }
+
+  /**
+   * Labels of the metric columns (see getMetricColumns()).
+   *
+   * @returns {string[]} Four labels per metric column
+   */
+  getMetricHeaders() {
+    return this.getMetricColumns().flatMap(({ label, removed }) => {
+      const suffix = removed ? " - REMOVED 2024-09" : "";
+      return [
+        `${label} (Good)${suffix}`,
+        `${label} (Needs Improvement)${suffix}`,
+        `${label} (Poor)${suffix}`,
+        `${label} (75th Percentile)${suffix}`,
+      ];
+    });
+  }
+
+  /**
+   * Header row for the record-mode data tab.
+   *
+   * @returns {string[]} Column labels; COLUMN_COUNT of them unless `metrics` is set
+   */
+  getRecordHeaders() {
+    return [
+      "Date",
+      "Platform",
+      "URL",
+      ...this.getMetricHeaders(),
+      "Scope",
+      "Connection Type",
+      "Period Start",
+      "Period End",
+      ...CruxExtractor_.FRACTIONS.map(CruxExtractor_.fractionLabel),
+      ...this.getCwvHeaders(),
+    ];
+  }
+
+  /**
+   * Header row for the history-mode tab.
+   *
+   * @returns {string[]} Column labels; TIMESERIES_COLUMN_COUNT of them unless `metrics` is set
+   */
+  getHistoryHeaders() {
+    return [
+      "Period Start",
+      "Period End",
+      "Platform",
+      "URL",
+      ...this.getMetricHeaders(),
+      "Scope",
+      ...CruxExtractor_.FRACTIONS.map(CruxExtractor_.fractionLabel),
+      ...this.getCwvHeaders(),
+    ];
+  }
+
+  /**
+   * Header row for `outputFormat: "long"` tabs, in both modes. History rows
+   * use the period's last day as Date and AGGREGATED as Connection Type.
+   *
+   * @returns {string[]} LONG_COLUMN_COUNT column labels
+   */
+  getLongHeaders() {
+    return [
+      "Date",
+      "Platform",
+      "URL",
+      "Scope",
+      "Connection Type",
+      "Period Start",
+      "Period End",
+      "Metric",
+      "Good",
+      "Needs Improvement",
+      "Poor",
+      "75th Percentile",
+      "Status",
+    ];
+  }
+
+  /**
+   * Labels of the Core Web Vitals columns (see buildCwvColumns()).
+   *
+   * @returns {string[]} A status label per CWV_THRESHOLDS metric, then "CWV Assessment"
+   */
+  getCwvHeaders() {
+    return [
+      ...Object.keys(CruxExtractor_.CWV_THRESHOLDS).map((metric) => {
+        const { label } = CruxExtractor_.METRICS.find(
+          ({ key }) => key === metric
+        );
+        return `${label} Status`;
+      }),
+      "CWV Assessment",
+    ];
+  }
+
+  /**
+   * Header row for the LCP breakdown tab.
+   *
+   * @returns {string[]} LCP_BREAKDOWN_COLUMN_COUNT column labels
+   */
+  getLcpBreakdownHeaders() {
+    return [
+      "Date",
+      "Platform",
+      "URL",
+      "Scope",
+      "Connection Type",
+      "LCP TTFB (75th Percentile)",
+      "LCP Resource Load Delay (75th Percentile)",
+      "LCP Resource Load Duration (75th Percentile)",
+      "LCP Element Render Delay (75th Percentile)",
+      "LCP Resource Type (Image)",
+      "LCP Resource Type (Text)",
+    ];
+  }
+
+  /**
+   * Writes the header row to a data tab, or completes it.
+   *
+   * A tab with no rows (freshly created or a pre-existing empty tab) gets the
+   * full header row; without this, data would be written at row 1 with no
+   * column labels. A tab created before trailing columns were appended (e.g.
+   * Scope) has a shorter header row, so only the missing labels are added.
+   * Existing labels are never rewritten; a label that differs from the
+   * expected one (e.g. the tab was written with a different `metrics`
+   * selection) is logged as a warning, since rows would land under the wrong
+   * headings.
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Target sheet
+   * @param {string[]} headers - Expected header row
+   * @returns {void}
+   */
+  ensureHeaders(sheet, headers) {
+    if (sheet.getLastRow() === 0) {
+      Logger.log("Crux Extractor:: Adding headers");
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      return;
+    }
+
+    const existing = sheet.getRange(1, 1, 1, headers.length).getValues()[0];
+    let labelled = 0;
+    existing.forEach((cell, index) => {
+      if (cell !== "" && cell !== null && cell !== undefined) {
+        labelled = index + 1;
+      }
+    });
+
+    const mismatch = existing.findIndex(
+      (cell, index) => index < labelled && cell !== headers[index]
+    );
+    if (mismatch !== -1) {
+      Logger.log(
+        `Warning: Column ${mismatch + 1} is labelled "${
+          existing[mismatch]
+        }" but "${
+          headers[mismatch]
+        }" is expected; the tab has a different column layout`
+      );
+    }
+
+    if (labelled < headers.length) {
+      Logger.log(
+        `Crux Extractor:: Adding ${headers.length - labelled} missing header(s)`
+      );
+      sheet
+        .getRange(1, labelled + 1, 1, headers.length - labelled)
+        .setValues([headers.slice(labelled)]);
+    }
+  }
+
+  /**
+   * Builds the identity key of a data row, used to detect duplicates.
+   *
+   * Record mode keys on Date (the collection period's last day), Platform, URL,
+   * Scope and Connection Type; history mode on Period Start, Period End,
+   * Platform, URL and Scope. Long-format rows key on Date, Platform, URL,
+   * Scope, Connection Type and Metric in both modes. Rows written before Scope/Connection Type existed
+   * are read as PAGE/AGGREGATED. Date cells are compared as dd-MM-yyyy, whether
+   * they were written as Date objects or as text Sheets auto-converted.
+   *
+   * @param {Array} row - A data row, as written or as read back from the sheet
+   * @returns {string} Key that is equal for rows describing the same data
+   */
+  getRowKey(row) {
+    const cell = (value, fallback) => this.formatKeyCell(value, fallback);
+
+    if (this.outputFormat === "long") {
+      return [
+        cell(row[0], "-"),
+        cell(row[1], "-"),
+        cell(row[2], "-"),
+        cell(row[3], "PAGE"),
+        cell(row[4], "AGGREGATED"),
+        cell(row[7], "-"),
+      ].join("|");
+    }
+
+    // Scope follows the leading key columns and four columns per metric.
+    const metricColumnCount = this.getMetricColumns().length * 4;
+
+    if (this.mode === "history") {
+      const scopeIndex = 4 + metricColumnCount;
+      return [
+        cell(row[0], "-"),
+        cell(row[1], "-"),
+        cell(row[2], "-"),
+        cell(row[3], "-"),
+        cell(row[scopeIndex], "PAGE"),
+      ].join("|");
+    }
+
+    return [
+      cell(row[0], "-"),
+      cell(row[1], "-"),
+      cell(row[2], "-"),
+      cell(row[3 + metricColumnCount], "PAGE"),
+      cell(row[4 + metricColumnCount], "AGGREGATED"),
+    ].join("|");
+  }
+
+  /**
+   * Builds the identity key of an LCP breakdown row: Date, Platform, URL,
+   * Scope and Connection Type, the same identity as the main tab.
+   *
+   * @param {Array} row - An LCP breakdown row
+   * @returns {string} Row key
+   */
+  getLcpBreakdownRowKey(row) {
+    return [
+      this.formatKeyCell(row[0], "-"),
+      this.formatKeyCell(row[1], "-"),
+      this.formatKeyCell(row[2], "-"),
+      this.formatKeyCell(row[3], "PAGE"),
+      this.formatKeyCell(row[4], "AGGREGATED"),
+    ].join("|");
+  }
+
+  /**
+   * Formats one cell for use in a row key. Empty cells become `fallback`.
+   *
+   * @param {*} value - Cell value
+   * @param {string} fallback - Value to use for an empty cell
+   * @returns {string} Key component
+   */
+  formatKeyCell(value, fallback) {
+    if (value instanceof Date) {
+      return Utilities.formatDate(
+        value,
+        Session.getScriptTimeZone(),
+        "dd-MM-yyyy"
+      );
+    }
+    return value === "" || value === null || value === undefined
+      ? fallback
+      : String(value);
+  }
+
+  /**
+   * Reads the data rows already in a tab and indexes them by row key.
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Data tab (header in row 1)
+   * @param {number} numCols - Number of columns to read
+   * @param {Function} [getKey] - Row key function; defaults to getRowKey()
+   * @returns {Object<string, number>} Map of row key to 1-based sheet row number
+   */
+  getExistingRowNumbers(sheet, numCols, getKey = (row) => this.getRowKey(row)) {
+    const lastRow = sheet.getLastRow();
+    const rowNumbers = {};
+    if (lastRow < 2) {
+      return rowNumbers;
+    }
+
+    const values = sheet.getRange(2, 1, lastRow - 1, numCols).getValues();
+    values.forEach((row, index) => {
+      rowNumbers[getKey(row)] = index + 2;
+    });
+    return rowNumbers;
+  }
+
+  /**
+   * Reads the schema version of a data tab.
+   *
+   * The version is stored as developer metadata (SCHEMA_METADATA_KEY) when
+   * the extractor first writes to a tab. An empty tab takes the current
+   * version. A tab written before versioning existed has no metadata and is
+   * identified by its header row: the FID block marks a record tab as
+   * version 1 (the original 31 columns) or 2 (with the appended columns).
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Data tab
+   * @returns {number} Schema version
+   */
+  getSchemaVersion(sheet) {
+    const stamp = sheet
+      .getDeveloperMetadata()
+      .find(
+        (metadata) =>
+          metadata.getKey() === CruxExtractor_.CONFIG.SCHEMA_METADATA_KEY
+      );
+    if (stamp) {
+      return Number(stamp.getValue());
+    }
+
+    if (sheet.getLastRow() === 0) {
+      return CruxExtractor_.CONFIG.SCHEMA_VERSION;
+    }
+
+    const firstMetricAfterLcp = sheet.getRange(1, 8, 1, 1).getValues()[0][0];
+    if (!String(firstMetricAfterLcp).startsWith("FID")) {
+      return CruxExtractor_.CONFIG.SCHEMA_VERSION;
+    }
+    return sheet.getLastColumn() <= 31 ? 1 : 2;
+  }
+
+  /**
+   * Stores the schema version of a data tab as developer metadata.
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Data tab
+   * @param {number} version - Schema version
+   * @returns {void}
+   */
+  setSchemaVersion(sheet, version) {
+    const stamp = sheet
+      .getDeveloperMetadata()
+      .find(
+        (metadata) =>
+          metadata.getKey() === CruxExtractor_.CONFIG.SCHEMA_METADATA_KEY
+      );
+    if (!stamp) {
+      sheet.addDeveloperMetadata(
+        CruxExtractor_.CONFIG.SCHEMA_METADATA_KEY,
+        String(version)
+      );
+    } else if (stamp.getValue() !== String(version)) {
+      stamp.setValue(String(version));
+    }
+  }
+
+  /**
+   * Matches `schemaVersion` to the record tab before rows are built, so a
+   * tab that predates the current schema keeps receiving its own layout
+   * (FID block included) until it is migrated.
+   *
+   * @returns {number} The schema version rows will be built for
+   */
+  resolveSchemaVersion() {
+    // Only wide record tabs ever had another layout.
+    if (this.mode === "history" || this.outputFormat === "long") {
+      return this.schemaVersion;
+    }
+
+    const sheet = SpreadsheetApp.openById(this.spreadsheetId).getSheetByName(
+      this.sheetTabName
+    );
+    if (!sheet) {
+      return this.schemaVersion;
+    }
+
+    // Version 1 tabs only lack trailing columns, which ensureHeaders() adds,
+    // so both legacy versions take the version 2 layout.
+    this.schemaVersion = Math.max(this.getSchemaVersion(sheet), 2);
+    if (this.schemaVersion < CruxExtractor_.CONFIG.SCHEMA_VERSION) {
+      Logger.log(
+        `Crux Extractor:: Tab '${this.sheetTabName}' uses schema version ${this.schemaVersion}; writing that layout. Run migrate() to upgrade it to version ${CruxExtractor_.CONFIG.SCHEMA_VERSION}`
+      );
+    }
+    return this.schemaVersion;
+  }
+
+  /**
+   * Converts a date cell read back from a sheet into a Date. Text dates in
+   * the dd-MM-yyyy form the extractor used to write are parsed; Date values
+   * and placeholders are returned unchanged.
+   *
+   * @param {*} value - Cell value
+   * @returns {Date|*} The date, or the value unchanged
+   */
+  toSheetDate(value) {
+    const match =
+      typeof value === "string" && value.match(/^(\d{2})-(\d{2})-(\d{4})$/);
+    if (!match) {
+      return value;
+    }
+    const [, day, month, year] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day));
+  }
+
+  /**
+   * Returns the named tab, creating it if it doesn't exist.
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Target spreadsheet
+   * @param {string} tabName - Tab name
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The tab
+   */
+  getOrCreateSheet(spreadsheet, tabName) {
+    Logger.log("Crux Extractor:: Checking if sheet tab exists");
+    let sheet = spreadsheet.getSheetByName(tabName);
+
+    if (!sheet) {
+      Logger.log("Crux Extractor:: Creating new sheet");
+      sheet = spreadsheet.insertSheet(tabName);
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Appends rows to a tab, handling rows already present per `onDuplicate`.
+   *
+   * Rows whose key already exists in the tab - e.g. from a trigger that
+   * refired - are skipped or overwritten in place, so a re-run does not
+   * double-count. With onDuplicate "append" every row is appended.
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Target tab (headers already written)
+   * @param {Array[]} rows - Rows to write
+   * @param {Function} getKey - Row key function
+   * @returns {{appended: number, updated: number, skipped: number}} Row counts by outcome
+   */
+  writeRows(sheet, rows, getKey) {
+    const numCols = rows[0].length;
+    let rowsToAppend = rows;
+    let updated = 0;
+    let skipped = 0;
+
+    if (this.onDuplicate !== "append") {
+      const existingRows = this.getExistingRowNumbers(sheet, numCols, getKey);
+      rowsToAppend = [];
+
+      for (const row of rows) {
+        const existingRow = existingRows[getKey(row)];
+        if (!existingRow) {
+          rowsToAppend.push(row);
+        } else if (this.onDuplicate === "overwrite") {
+          sheet.getRange(existingRow, 1, 1, numCols).setValues([row]);
+          updated++;
+        } else {
+          skipped++;
+        }
+      }
+
+      if (updated > 0 || skipped > 0) {
+        Logger.log(
+          `Crux Extractor:: Duplicate rows - ${updated} overwritten, ${skipped} skipped`
+        );
+      }
+    }
+
+    if (rowsToAppend.length > 0) {
+      const startRow = sheet.getLastRow() + 1;
+      Logger.log(
+        `Crux Extractor:: Writing ${rowsToAppend.length} of ${rows.length} rows starting at row ${startRow}`
+      );
+
+      sheet
+        .getRange(startRow, 1, rowsToAppend.length, numCols)
+        .setValues(rowsToAppend);
+    }
+
+    return { appended: rowsToAppend.length, updated, skipped };
+  }
+
+  /**
+   * Finds the `urlGroups` group a page URL belongs to. Explicit membership
+   * wins over patterns; among patterns the first group in config order wins.
+   * A listed URL also matches with or without a trailing slash, since CrUX
+   * may normalize it either way.
+   *
+   * @param {string} url - Page URL, as written in the data tab
+   * @returns {?string} Group name, or null if no group claims the URL
+   */
+  getUrlGroup(url) {
+    const trimmed = String(url).replace(/\/+$/, "");
+    const listed = this.urlGroups.find((group) =>
+      group.urls.some((member) => member.replace(/\/+$/, "") === trimmed)
+    );
+    if (listed) {
+      return listed.name;
+    }
+
+    const pathMatch = String(url).match(/^https?:\/\/[^/?#]+([^#]*)/);
+    const path = (pathMatch && pathMatch[1]) || "/";
+    const matched = this.urlGroups.find(
+      (group) => group.pattern && group.pattern.test(path)
+    );
+    return matched ? matched.name : null;
+  }
+
+  /**
+   * Header row for the `groupTabName` tab.
+   *
+   * @returns {string[]} GROUP_COLUMN_COUNT column labels
+   */
+  getGroupHeaders() {
+    return [
+      "Date",
+      "Group",
+      "Platform",
+      "Connection Type",
+      "URLs",
+      ...Object.keys(CruxExtractor_.CWV_THRESHOLDS).flatMap((metric) => {
+        const { label } = CruxExtractor_.METRICS.find(
+          ({ key }) => key === metric
+        );
+        return [`${label} Median p75`, `${label} % Good`, `${label} Worst URL`];
+      }),
+      "CWV % Passing",
+    ];
+  }
+
+  /**
+   * Aggregates the normalized page rows into one row per date, `urlGroups`
+   * group, platform and connection type.
+   *
+   * Every URL counts once whatever its traffic: per Core Web Vital the row
+   * holds the median of the URLs' p75s, the share of URLs whose p75 is Good
+   * and the URL with the highest p75; "CWV % Passing" is the share of URLs
+   * whose CWV Assessment is PASS. Shares are fractions (0-1) of the URLs with
+   * a value. Only PAGE rows are grouped: origin data, including
+   * ORIGIN_FALLBACK rows, would stand in for every page of the origin.
+   *
+   * Rows `skipUnchanged` left out (`unchangedResponse`) still count towards
+   * their group, so its row covers every URL; a group row none of whose
+   * rows is new is left out as well.
+   *
+   * @returns {Array[]} Group rows in first-seen order
+   */
+  buildGroupRows() {
+    const headers =
+      this.outputFormat === "long"
+        ? this.getLongHeaders()
+        : this.getRecordHeaders();
+    const round = (value) => Math.round(value * 10000) / 10000;
+    const buckets = {};
+    const p75Entries = [
+      ...this.getP75Entries(headers, this.normalizedResponse),
+      ...this.getP75Entries(headers, this.unchangedResponse).map((entry) => ({
+        ...entry,
+        unchanged: true,
+      })),
+    ];
+
+    for (const entry of p75Entries) {
+      const group = entry.scope === "PAGE" ? this.getUrlGroup(entry.url) : null;
+      if (!group) {
+        continue;
+      }
+
+      const bucketKey = [
+        entry.time,
+        group,
+        entry.formFactor,
+        entry.connectionType,
+      ].join("|");
+      if (!buckets[bucketKey]) {
+        buckets[bucketKey] = { group, first: entry, entries: [] };
+      }
+      buckets[bucketKey].entries.push(entry);
+    }
+
+    const changed = Object.values(buckets).filter(({ entries }) =>
+      entries.some((entry) => !entry.unchanged)
+    );
+    return changed.map(({ group, first, entries }) => {
+      const metricColumns = Object.keys(CruxExtractor_.CWV_THRESHOLDS).flatMap(
+        (metric) => {
+          const values = entries
+            .map((entry) => ({ url: entry.url, p75: entry.p75s[metric] }))
+            .filter(({ p75 }) => this.getCwvStatus(metric, p75) !== "-")
+            .map(({ url, p75 }) => ({ url, p75: Number(p75) }));
+          if (values.length === 0) {
+            return ["-", "-", "-"];
+          }
+
+          const sorted = values.map(({ p75 }) => p75).sort((a, b) => a - b);
+          const middle = Math.floor(sorted.length / 2);
+          const median =
+            sorted.length % 2 === 1
+              ? sorted[middle]
+              : (sorted[middle - 1] + sorted[middle]) / 2;
+          const good = values.filter(
+            ({ p75 }) => this.getCwvStatus(metric, p75) === "Good"
+          ).length;
+          const worst = values.reduce((a, b) => (b.p75 > a.p75 ? b : a));
+
+          return [round(median), round(good / values.length), worst.url];
+        }
+      );
+
+      const assessments = entries
+        .map((entry) => this.buildCwvColumns((metric) => entry.p75s[metric]))
+        .map((columns) => columns[columns.length - 1])
+        .filter((assessment) => assessment !== "-");
+      const passing =
+        assessments.length > 0
+          ? round(
+              assessments.filter((assessment) => assessment === "PASS").length /
+                assessments.length
+            )
+          : "-";
+
+      return [
+        new Date(first.time),
+        group,
+        first.formFactor,
+        first.connectionType,
+        entries.length,
+        ...metricColumns,
+        passing,
+      ];
+    });
+  }
+
+  /**
+   * Builds the identity key of a group row: Date, Group, Platform and
+   * Connection Type.
+   *
+   * @param {Array} row - A group row
+   * @returns {string} Row key
+   */
+  getGroupRowKey(row) {
+    return [
+      this.formatKeyCell(row[0], "-"),
+      this.formatKeyCell(row[1], "-"),
+      this.formatKeyCell(row[2], "-"),
+      this.formatKeyCell(row[3], "AGGREGATED"),
+    ].join("|");
+  }
+
+  /**
+   * Writes normalized CrUX data to a Google Sheets spreadsheet.
+   *
+   * Creates the specified sheet tab and headers if they don't exist.
+   * Appends new rows of data after the last existing row. History mode writes
+   * to `historyTabName` with the history headers instead.
+   *
+   * Rows whose key (see getRowKey()) already exists in the tab are skipped or
+   * overwritten according to `onDuplicate` (see writeRows()). The LCP
+   * breakdown rows are written the same way to `lcpBreakdownTabName`, and
+   * the group rows to `groupTabName`.
+   *
+   * @async
+   * @param {Object} [output] - The run's output (see getSinkOutput()), as the
+   *   "sheets" sink passes it; built from normalizeData()'s results when
+   *   omitted
+   * @returns {Promise<{appended: number, updated: number, skipped: number, lcpBreakdownRows: number, groupRows: number}>}
+   *   Main-tab row counts by outcome, plus LCP breakdown and group rows written
+   * @throws {Error} If no data to write, spreadsheet access fails, or data cannot be written
+   */
+  async addToSpreadsheet(output = this.getSinkOutput(null, [])) {
+    try {
+      if (output.rows.length === 0) {
+        throw new Error(
+          "No normalized data to write. Call normalizeData() first."
+        );
+      }
+
+      Logger.log("Crux Extractor:: Opening spreadsheet");
+      const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+
+      const isHistory = this.mode === "history";
+      const isLong = this.outputFormat === "long";
+      const tabName = isHistory ? this.historyTabName : this.sheetTabName;
+      const sheet = this.getOrCreateSheet(spreadsheet, tabName);
+
+      const tabVersion = this.getSchemaVersion(sheet);
+      if (
+        !isHistory &&
+        !isLong &&
+        !this.metrics &&
+        Math.max(tabVersion, 2) !== Math.max(this.schemaVersion, 2)
+      ) {
+        throw new Error(
+          `Tab '${tabName}' is at schema version ${tabVersion} but rows were built for version ${this.schemaVersion}. Call resolveSchemaVersion() before normalizeData()`
+        );
+      }
+
+      const { headers } = output;
+
+      // A metric selection sizes the wide layout; the rest have a fixed width.
+      let expectedColumns = headers.length;
+      if (isLong) {
+        expectedColumns = CruxExtractor_.CONFIG.LONG_COLUMN_COUNT;
+      } else if (isHistory && !this.metrics) {
+        expectedColumns = CruxExtractor_.CONFIG.TIMESERIES_COLUMN_COUNT;
+      } else if (!this.metrics) {
+        expectedColumns =
+          this.schemaVersion < 3
+            ? CruxExtractor_.CONFIG.LEGACY_COLUMN_COUNT
+            : CruxExtractor_.CONFIG.COLUMN_COUNT;
+      }
+
+      if (headers.length !== expectedColumns) {
+        Logger.log(
+          `Warning: Header count (${headers.length}) does not match expected (${expectedColumns})`
+        );
+      }
+
+      this.ensureHeaders(sheet, headers);
+      this.setSchemaVersion(sheet, Math.max(tabVersion, this.schemaVersion));
+
+      const numCols = output.rows[0].length;
+
+      if (numCols !== expectedColumns) {
+        Logger.log(
+          `Warning: Data columns (${numCols}) do not match expected (${expectedColumns})`
+        );
+      }
+
+      const result = this.writeRows(sheet, output.rows, (row) =>
+        this.getRowKey(row)
+      );
+      result.lcpBreakdownRows = 0;
+
+      if (output.lcpBreakdownRows.length > 0) {
+        Logger.log("Crux Extractor:: Writing LCP breakdown");
+        const breakdownSheet = this.getOrCreateSheet(
+          spreadsheet,
+          this.lcpBreakdownTabName
+        );
+        this.ensureHeaders(breakdownSheet, output.lcpBreakdownHeaders);
+        const breakdown = this.writeRows(
+          breakdownSheet,
+          output.lcpBreakdownRows,
+          (row) => this.getLcpBreakdownRowKey(row)
+        );
+        result.lcpBreakdownRows = breakdown.appended + breakdown.updated;
+      }
+
+      result.groupRows = 0;
+      if (output.groupRows.length > 0) {
+        Logger.log("Crux Extractor:: Writing URL group rows");
+        const groupSheet = this.getOrCreateSheet(
+          spreadsheet,
+          this.groupTabName
+        );
+        this.ensureHeaders(groupSheet, output.groupHeaders);
+        const groups = this.writeRows(groupSheet, output.groupRows, (row) =>
+          this.getGroupRowKey(row)
+        );
+        result.groupRows = groups.appended + groups.updated;
+      }
+
+      Logger.log("Crux Extractor:: Data written successfully");
+      return result;
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: addToSpreadsheet");
+      throw error;
+    }
+  }
+
+  /**
+   * Turns a `sinks` entry into a sink: an object with a `name`, a `type` and
+   * a `write(output)` method that returns the number of rows it wrote (or a
+   * Promise of it). `output` is the run's output, as built by
+   * getSinkOutput().
+   *
+   * Built-in types are "sheets" (addToSpreadsheet()), "csv" and "json" (a
+   * file per run in Drive, see writeDriveFile()), and "http" (batched POSTs,
+   * see writeHttpBatches()). An entry may also be a custom sink - any object
+   * with a `name` and a `write` function - whose type is "custom".
+   *
+   * @param {string|Object} spec - A built-in type, `{ type, name?, folderId?,
+   *   fileName? }`, `{ type: "http", url, headers?, batchSize?, maxRetries?,
+   *   name? }`, or a custom sink
+   * @param {number} index - Position in `sinks`, for error messages
+   * @returns {{name: string, type: string,
+   *   write: function(Object): (number|Promise<number>)}} The sink
+   * @throws {Error} If the entry is invalid
+   */
+  createSink(spec, index) {
+    const where = `'sinks[${index}]'`;
+    const options = typeof spec === "string" ? { type: spec } : spec;
+    if (!options || typeof options !== "object") {
+      throw new Error(
+        `Crux Extractor: ${where} must be a sink type or an object`
+      );
+    }
+
+    if (typeof options.write === "function") {
+      if (typeof options.name !== "string" || !options.name.trim()) {
+        throw new Error(
+          `Crux Extractor: ${where} must have a non-empty 'name'`
+        );
+      }
+      return {
+        name: options.name.trim(),
+        type: "custom",
+        write: (output) => options.write(output),
+      };
+    }
+
+    const {
+      type,
+      name = type,
+      folderId,
+      fileName,
+      url,
+      headers = {},
+      batchSize = CruxExtractor_.CONFIG.HTTP_SINK_BATCH_SIZE,
+      maxRetries = CruxExtractor_.CONFIG.HTTP_SINK_MAX_RETRIES,
+    } = options;
+    if (!CruxExtractor_.CONFIG.SINK_TYPES.includes(type)) {
+      throw new Error(
+        `Crux Extractor: ${where} must be one of ${CruxExtractor_.CONFIG.SINK_TYPES.join(
+          ", "
+        )}, or an object with a write() function`
+      );
+    }
+    for (const [field, value] of Object.entries({ name, folderId, fileName })) {
+      if (value !== undefined && (typeof value !== "string" || !value.trim())) {
+        throw new Error(
+          `Crux Extractor: ${where}.${field} must be a non-empty string`
+        );
+      }
+    }
+
+    if (type === "http") {
+      if (typeof url !== "string" || !/^https?:\/\/[^/?#]+/.test(url.trim())) {
+        throw new Error(`Crux Extractor: ${where}.url must be an HTTP(S) URL`);
+      }
+      if (
+        !headers ||
+        typeof headers !== "object" ||
+        Array.isArray(headers) ||
+        !Object.values(headers).every((value) => typeof value === "string")
+      ) {
+        throw new Error(
+          `Crux Extractor: ${where}.headers must be an object of strings`
+        );
+      }
+      if (!Number.isInteger(batchSize) || batchSize < 1) {
+        throw new Error(
+          `Crux Extractor: ${where}.batchSize must be a positive integer`
+        );
+      }
+      if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw new Error(
+          `Crux Extractor: ${where}.maxRetries must be a non-negative integer`
+        );
+      }
+      return {
+        name: name.trim(),
+        type,
+        write: (output) =>
+          this.writeHttpBatches(output, {
+            name: name.trim(),
+            url: url.trim(),
+            headers: { ...headers },
+            batchSize,
+            maxRetries,
+          }),
+      };
+    }
+
+    if (type === "sheets") {
+      return {
+        name: name.trim(),
+        type,
+        write: async (output) => {
+          this.spreadsheetWrite = await this.addToSpreadsheet(output);
+          return this.spreadsheetWrite.appended + this.spreadsheetWrite.updated;
+        },
+      };
+    }
+    return {
+      name: name.trim(),
+      type,
+      write: (output) =>
+        this.writeDriveFile(type, output, {
+          folderId: folderId && folderId.trim(),
+          fileName: fileName && fileName.trim(),
+        }),
+    };
+  }
+
+  /**
+   * Collects what every sink receives from a run: the normalized rows, the
+   * LCP breakdown and URL group rows, and the execution records, each with
+   * its header row.
+   *
+   * @param {?string} executionId - ID of the run
+   * @param {Array<Object>} records - Execution records, as logged to
+   *   `executionHistory` (see logExecutionHistory())
+   * @returns {{executionId: ?string, headers: string[], rows: Array[],
+   *   lcpBreakdownHeaders: string[], lcpBreakdownRows: Array[],
+   *   groupHeaders: string[], groupRows: Array[], records: Array<Object>}}
+   *   The output. `rows` are under the main layout's headers (see
+   *   getOutputHeaders()); the LCP breakdown rows are empty without
+   *   `lcpBreakdown`, and the group rows (see buildGroupRows()) without
+   *   `urlGroups`
+   */
+  getSinkOutput(executionId, records) {
+    const rows = this.normalizedResponse || [];
+    return {
+      executionId,
+      headers: this.getOutputHeaders(),
+      rows,
+      lcpBreakdownHeaders: this.getLcpBreakdownHeaders(),
+      lcpBreakdownRows: this.lcpBreakdown
+        ? this.lcpBreakdownResponse || []
+        : [],
+      groupHeaders: this.getGroupHeaders(),
+      groupRows:
+        this.urlGroups.length > 0 && rows.length > 0
+          ? this.buildGroupRows()
+          : [],
+      records,
+    };
+  }
+
+  /**
+   * Hands the run's output to every sink in `sinks`, in order. A sink that
+   * throws is logged and skipped so the others still get the data; the run
+   * only fails when every sink does.
+   *
+   * @async
+   * @param {Object} output - What every sink receives (see getSinkOutput())
+   * @returns {Promise<{rowsWritten: Object<string, number>, failed: string[]}>}
+   *   Rows each sink wrote, by sink name, and the names of the sinks that failed
+   * @throws {Error} The first sink's error, if every sink failed
+   */
+  async writeToSinks(output) {
+    const rowsWritten = {};
+    const failed = [];
+    let firstError = null;
+
+    for (const sink of this.sinks) {
+      try {
+        const written = await sink.write(output);
+        rowsWritten[sink.name] =
+          typeof written === "number" ? written : output.rows.length;
+        Logger.log(
+          `Crux Extractor:: Sink '${sink.name}' wrote ${
+            rowsWritten[sink.name]
+          } rows`
+        );
+      } catch (error) {
+        Logger.log(
+          `Crux Extractor:: Sink '${sink.name}' failed: ${error.message}`
+        );
+        failed.push(sink.name);
+        firstError = firstError || error;
+      }
+    }
+
+    if (failed.length === this.sinks.length) {
+      throw firstError;
+    }
+    return { rowsWritten, failed };
+  }
+
+  /**
+   * Writes a run's output to Drive, for the "csv" and "json" sinks.
+   *
+   * Files are named `<fileName>_<executionId>`, so each run adds new files
+   * rather than rewriting one. "csv" writes the rows to `.csv`, any LCP
+   * breakdown and group rows to `_lcpBreakdown.csv` and `_groups.csv`, and
+   * the execution records to `_executionHistory.csv`, each with a header
+   * row; "json" writes one `.json` file, `{ executionId, rows,
+   * lcpBreakdownRows?, groupRows?, records }`, with every row and record an
+   * object keyed by column label. Dates are written as yyyy-MM-dd.
+   *
+   * @param {string} type - "csv" or "json"
+   * @param {Object} output - See writeToSinks()
+   * @param {Object} options - Sink options
+   * @param {string} [options.folderId] - Drive folder; the root folder when
+   *   omitted
+   * @param {string} [options.fileName] - File name prefix; the data tab's
+   *   name when omitted
+   * @returns {number} Rows written
+   * @throws {Error} If the folder can't be opened or a file can't be created
+   */
+  writeDriveFile(type, output, { folderId, fileName }) {
+    try {
+      const folder = folderId
+        ? DriveApp.getFolderById(folderId)
+        : DriveApp.getRootFolder();
+      const prefix =
+        fileName ||
+        (this.mode === "history" ? this.historyTabName : this.sheetTabName);
+      const baseName = `${prefix}_${output.executionId}`;
+      const historyHeaders = this.getExecutionHistoryHeaders();
+      const historyRows = this.buildExecutionHistoryRows(
+        output.executionId,
+        output.records
+      );
+
+      if (type === "csv") {
+        folder.createFile(
+          `${baseName}.csv`,
+          this.toCsv([output.headers, ...output.rows]),
+          "text/csv"
+        );
+        if (output.lcpBreakdownRows.length > 0) {
+          folder.createFile(
+            `${baseName}_lcpBreakdown.csv`,
+            this.toCsv([
+              output.lcpBreakdownHeaders,
+              ...output.lcpBreakdownRows,
+            ]),
+            "text/csv"
+          );
+        }
+        if (output.groupRows.length > 0) {
+          folder.createFile(
+            `${baseName}_groups.csv`,
+            this.toCsv([output.groupHeaders, ...output.groupRows]),
+            "text/csv"
+          );
+        }
+        folder.createFile(
+          `${baseName}_executionHistory.csv`,
+          this.toCsv([historyHeaders, ...historyRows]),
+          "text/csv"
+        );
+      } else {
+        const content = {
+          executionId: output.executionId,
+          rows: this.toRowObjects(output.headers, output.rows),
+        };
+        if (output.lcpBreakdownRows.length > 0) {
+          content.lcpBreakdownRows = this.toRowObjects(
+            output.lcpBreakdownHeaders,
+            output.lcpBreakdownRows
+          );
+        }
+        if (output.groupRows.length > 0) {
+          content.groupRows = this.toRowObjects(
+            output.groupHeaders,
+            output.groupRows
+          );
+        }
+        content.records = this.toRowObjects(historyHeaders, historyRows);
+        folder.createFile(
+          `${baseName}.json`,
+          JSON.stringify(content, null, 2),
+          "application/json"
+        );
+      }
+
+      Logger.log(
+        `Crux Extractor:: Wrote ${output.rows.length} rows to ${baseName}.${type}`
+      );
+      return output.rows.length;
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: writeDriveFile");
+      throw error;
+    }
+  }
+
+  /**
+   * POSTs a run's rows to an HTTP endpoint in batches, for the "http" sink.
+   * Only the main rows are sent, not the LCP breakdown or group rows.
+   *
+   * Each batch is sent as `{ executionId, batch, batches, rows }`, with every
+   * row an object keyed by column label (dates as yyyy-MM-dd), through
+   * fetchWithRetry(), so network errors and CONFIG.RETRYABLE_STATUS_CODES
+   * are retried up to the sink's own `maxRetries` times. Every batch adds an
+   * entry to `sinkRecords`, logged to `executionHistory` with the run: URL is
+   * the endpoint without its query, Source is "<sink> batch n/m", and Status
+   * is BATCH_SENT for a 2xx response or BATCH_FAILED, so the rows can't be
+   * mistaken for CrUX requests. A failed batch doesn't stop the rest.
+   *
+   * @param {Object} output - See writeToSinks()
+   * @param {Object} options - Sink options
+   * @param {string} options.name - Sink name
+   * @param {string} options.url - Endpoint
+   * @param {Object<string, string>} options.headers - Extra request headers
+   * @param {number} options.batchSize - Most rows per request
+   * @param {number} options.maxRetries - Retries per batch
+   * @returns {number} Rows the endpoint accepted
+   * @throws {Error} If any batch failed after its retries
+   */
+  writeHttpBatches(output, { name, url, headers, batchSize, maxRetries }) {
+    const rows = this.toRowObjects(output.headers, output.rows);
+    const batches = Math.ceil(rows.length / batchSize);
+    // Endpoints may carry a token in the query; keep it out of the logs.
+    const endpoint = url.replace(/[?#].*$/, "");
+    let accepted = 0;
+    let failed = 0;
+
+    for (let index = 0; index < batches; index++) {
+      const batch = rows.slice(index * batchSize, (index + 1) * batchSize);
+      const request = {
+        method: "post",
+        muteHttpExceptions: true,
+        contentType: "application/json",
+        headers,
+        payload: JSON.stringify({
+          executionId: output.executionId,
+          batch: index + 1,
+          batches,
+          rows: batch,
+        }),
+      };
+
+      const result = this.fetchWithRetry(request, url, maxRetries);
+      const statusCode = result.response
+        ? result.response.getResponseCode()
+        : null;
+      const ok = statusCode !== null && statusCode >= 200 && statusCode < 300;
+      const record = {
+        url: endpoint,
+        formFactor: "-",
+        status: ok ? "BATCH_SENT" : "BATCH_FAILED",
+        responseCode: statusCode === null ? "-" : statusCode,
+        normalized: "-",
+        connectionType: "-",
+        attempts: result.attempts,
+        source: `${name} batch ${index + 1}/${batches}`,
+      };
+
+      if (ok) {
+        accepted += batch.length;
+        Logger.log(
+          `Crux Extractor:: Sent batch ${index + 1} of ${batches} (${
+            batch.length
+          } rows) to ${endpoint}`
+        );
+      } else {
+        failed++;
+        record.errorMessage = result.error
+          ? `Fetch error: ${result.error.message}`
+          : `HTTP ${statusCode}: ${result.response.getContentText()}`;
+        Logger.log(
+          `Crux Extractor:: Batch ${
+            index + 1
+          } of ${batches} to ${endpoint} failed after ${
+            result.attempts
+          } attempt(s): ${record.errorMessage}`
+        );
+      }
+      this.sinkRecords.push(record);
+    }
+
+    if (failed > 0) {
+      throw new Error(
+        `Crux Extractor: ${failed} of ${batches} batch(es) to ${endpoint} failed`
+      );
+    }
+    return accepted;
+  }
+
+  /**
+   * Formats a cell for a file or HTTP sink: dates as yyyy-MM-dd in the script time
+   * zone, everything else unchanged.
+   *
+   * @param {*} value - Cell value
+   * @returns {*} The value to write
+   */
+  formatOutputValue(value) {
+    if (value instanceof Date) {
+      return Utilities.formatDate(
+        value,
+        Session.getScriptTimeZone(),
+        "yyyy-MM-dd"
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Serializes rows as CSV (RFC 4180): fields containing a comma, quote or
+   * line break are quoted, and lines end in CRLF.
+   *
+   * @param {Array[]} rows - Rows, header row included
+   * @returns {string} CSV text
+   */
+  toCsv(rows) {
+    return rows
+      .map((row) =>
+        row
+          .map((value) => {
+            const text = String(this.formatOutputValue(value));
+            return /[",\r\n]/.test(text)
+              ? `"${text.replace(/"/g, '""')}"`
+              : text;
+          })
+          .join(",")
+      )
+      .join("\r\n");
+  }
+
+  /**
+   * Turns rows into objects keyed by column label.
+   *
+   * @param {string[]} headers - Column labels
+   * @param {Array[]} rows - Rows in header order
+   * @returns {Array<Object>} One object per row
+   */
+  toRowObjects(headers, rows) {
+    return rows.map((row) =>
+      Object.fromEntries(
+        headers.map((header, index) => [
+          header,
+          this.formatOutputValue(row[index]),
+        ])
+      )
+    );
+  }
+
+  /**
+   * Upgrades an existing data tab to the current schema version.
+   *
+   * Every row is rebuilt under the current header row, matching columns by
+   * their header label: columns the layout no longer has (the FID block) are
+   * dropped, new columns are filled with "-" (or PAGE/AGGREGATED for Scope and
+   * Connection Type, as getRowKey() reads missing values), and text dates in
+   * Date, Period Start and Period End become real dates. A copy of the tab
+   * is kept as "<tab> (schema N backup)" before anything is rewritten
+   * ("<tab> (schema N backup 2)" and so on if that tab already exists).
+   *
+   * Migrates `sheetTabName`, or `historyTabName` in history mode, to the
+   * layout `extract()` writes for the same config (including `metrics`).
+   *
+   * @async
+   * @returns {Promise<{tabName: string, fromVersion: number, toVersion: number, rowsMigrated: number, backupTabName: (string|null)}>}
+   *   Migration summary
+   * @throws {Error} If the tab does not exist or cannot be rewritten
+   */
+  async migrateSheet() {
+    try {
+      const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+      const isHistory = this.mode === "history";
+      const tabName = isHistory ? this.historyTabName : this.sheetTabName;
+      const sheet = spreadsheet.getSheetByName(tabName);
+
+      if (!sheet) {
+        throw new Error(`Crux Extractor: Tab '${tabName}' does not exist`);
+      }
+
+      if (this.outputFormat === "long") {
+        throw new Error(
+          "Crux Extractor: migrate() upgrades wide tabs; long-format tabs have a single layout"
+        );
+      }
+
+      const toVersion = CruxExtractor_.CONFIG.SCHEMA_VERSION;
+      const fromVersion = this.getSchemaVersion(sheet);
+
+      if (fromVersion >= toVersion) {
+        Logger.log(
+          `Crux Extractor:: Tab '${tabName}' is already at schema version ${fromVersion}`
+        );
+        this.setSchemaVersion(sheet, fromVersion);
+        return {
+          tabName,
+          fromVersion,
+          toVersion: fromVersion,
+          rowsMigrated: 0,
+          backupTabName: null,
+        };
+      }
+
+      Logger.log(
+        `Crux Extractor:: Migrating tab '${tabName}' from schema version ${fromVersion} to ${toVersion}`
+      );
+
+      // A failed or partial migration leaves its backup behind; keep it and
+      // number the new one so the migration can be retried.
+      const tabNames = spreadsheet.getSheets().map((tab) => tab.getName());
+      let backupTabName = `${tabName} (schema ${fromVersion} backup)`;
+      for (let n = 2; tabNames.includes(backupTabName); n++) {
+        backupTabName = `${tabName} (schema ${fromVersion} backup ${n})`;
+      }
+      spreadsheet.insertSheet(backupTabName, { template: sheet });
+
+      const [oldHeaders, ...oldRows] = sheet
+        .getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn())
+        .getValues();
+
+      this.schemaVersion = toVersion;
+      const headers = isHistory
+        ? this.getHistoryHeaders()
+        : this.getRecordHeaders();
+      const fillers = { Scope: "PAGE", "Connection Type": "AGGREGATED" };
+      const dateColumns = ["Date", "Period Start", "Period End"];
+
+      const rows = oldRows.map((oldRow) =>
+        headers.map((label) => {
+          const index = oldHeaders.indexOf(label);
+          const value = index === -1 ? "" : oldRow[index];
+          if (value === "" || value === null || value === undefined) {
+            return fillers[label] || "-";
+          }
+          return dateColumns.includes(label) ? this.toSheetDate(value) : value;
+        })
+      );
+
+      sheet.clearContents();
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+      }
+      this.setSchemaVersion(sheet, toVersion);
+
+      Logger.log(
+        `Crux Extractor:: Migrated ${rows.length} rows; original kept in '${backupTabName}'`
+      );
+      return {
+        tabName,
+        fromVersion,
+        toVersion,
+        rowsMigrated: rows.length,
+        backupTabName,
+      };
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: migrateSheet");
+      throw error;
+    }
+  }
+
+  /**
+   * Gets or creates the execution history sheet.
+   *
+   * Creates a new sheet tab with headers if it doesn't exist.
+   * Headers: Execution ID, Timestamp, URL, Form Factor, Status, Response Code, Error Message, Normalized,
+   * Connection Type, Attempts, Resolved URL, Source
+   *
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The execution history sheet
+   * @throws {Error} If spreadsheet access fails
+   */
+  getExecutionHistorySheet() {
+    try {
+      Logger.log("Crux Extractor:: Getting execution history sheet");
+      const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+      let historySheet = spreadsheet.getSheetByName(
+        CruxExtractor_.CONFIG.HISTORY_SHEET_NAME
+      );
+
+      if (!historySheet) {
+        Logger.log("Crux Extractor:: Creating execution history sheet");
+        historySheet = spreadsheet.insertSheet(
+          CruxExtractor_.CONFIG.HISTORY_SHEET_NAME
+        );
+      }
 
-          const lcp = extractMetric(metrics.largest_contentful_paint);
-          // first_input_delay was removed from the CrUX API on 2024-09-09, so
-          // it is never present in responses; this always yields four "-".
-          const fid = extractMetric(metrics.first_input_delay);
-          const inp = extractMetric(metrics.interaction_to_next_paint);
-          const cls = extractMetric(metrics.cumulative_layout_shift);
-          const fcp = extractMetric(metrics.first_contentful_paint);
-          const ttfb = extractMetric(metrics.experimental_time_to_first_byte);
-          const rtt = extractMetric(metrics.round_trip_time);
+      // Write headers when the sheet has no rows yet - either freshly created
+      // or a pre-existing empty tab - so records are never written above the
+      // header row. Older tabs get any newly appended labels.
+      const headers = this.getExecutionHistoryHeaders();
 
-          Logger.log(
-            "Crux Extractor:: Pushing extracted data to response array"
-          );
-          this.normalizedResponse.push([
-            timeStamp,
-            formFactor,
-            url,
-            ...lcp,
-            ...fid,
-            ...inp,
-            ...cls,
-            ...fcp,
-            ...ttfb,
-            ...rtt,
-          ]);
-
-          const recordIndex = this.executionRecords.findIndex(
-            (record) =>
-              record.url === url &&
-              record.formFactor === formFactor &&
-              record.status === "SUCCESS"
-          );
-          if (recordIndex !== -1) {
-            this.executionRecords[recordIndex].normalized = "YES";
-          }
-        } catch (itemError) {
-          Logger.log(`Failed to normalize response: ${itemError.message}`);
-          Logger.log(`Skipping this response and continuing`);
-          continue;
-        }
+      if (headers.length !== CruxExtractor_.CONFIG.HISTORY_COLUMN_COUNT) {
+        Logger.log(
+          `Warning: History header count (${headers.length}) does not match CONFIG.HISTORY_COLUMN_COUNT (${CruxExtractor_.CONFIG.HISTORY_COLUMN_COUNT})`
+        );
       }
 
-      if (this.normalizedResponse.length === 0) {
-        throw new Error("All responses failed normalization");
-      }
+      this.ensureHeaders(historySheet, headers);
 
-      Logger.log(
-        `Crux Extractor:: Successfully normalized ${this.normalizedResponse.length} responses`
-      );
-      return this.normalizedResponse;
+      return historySheet;
     } catch (error) {
-      Logger.log("Crux Extractor:: Error occurred: normalizeData");
+      Logger.log("Crux Extractor:: Error occurred: getExecutionHistorySheet");
       throw error;
     }
   }
 
   /**
-   * Writes normalized CrUX data to a Google Sheets spreadsheet.
+   * Header row of the execution history tab.
    *
-   * Creates the specified sheet tab and headers if they don't exist.
-   * Appends new rows of data after the last existing row.
+   * @returns {string[]} Column labels
+   */
+  getExecutionHistoryHeaders() {
+    return [
+      "Execution ID",
+      "Timestamp",
+      "URL",
+      "Form Factor",
+      "Status",
+      "Response Code",
+      "Error Message",
+      "Normalized",
+      "Connection Type",
+      "Attempts",
+      "Resolved URL",
+      "Source",
+    ];
+  }
+
+  /**
+   * Builds execution history rows, stamped with the current time, in the
+   * order of getExecutionHistoryHeaders().
    *
-   * @async
-   * @returns {Promise<void>}
-   * @throws {Error} If no data to write, spreadsheet access fails, or data cannot be written
+   * @param {string} executionId - Unique identifier for this execution run
+   * @param {Array<Object>} records - Execution records (see logExecutionHistory())
+   * @returns {Array[]} One row per record
+   */
+  buildExecutionHistoryRows(executionId, records) {
+    const timestamp = Utilities.formatDate(
+      new Date(),
+      Session.getScriptTimeZone(),
+      "dd-MM-yyyy HH:mm:ss"
+    );
+
+    return records.map((record) => [
+      executionId,
+      timestamp,
+      record.url || "-",
+      record.formFactor || "-",
+      record.status || "UNKNOWN",
+      record.responseCode || "-",
+      record.errorMessage || "-",
+      record.normalized || "NO",
+      record.connectionType || "AGGREGATED",
+      record.attempts || "-",
+      record.resolvedUrl || "-",
+      record.source || "-",
+    ]);
+  }
+
+  /**
+   * Logs execution history records to the execution history sheet.
+   *
+   * Records include execution ID, timestamp, URL, form factor, status, response code,
+   * error message (if any), and whether the response was normalized successfully.
+   *
+   * @param {string} executionId - Unique identifier for this execution run
+   * @param {Array<Object>} records - Array of execution record objects
+   * @param {string} records[].url - The URL that was requested
+   * @param {string} records[].formFactor - Form factor (PHONE, DESKTOP, ALL_FORM_FACTORS)
+   * @param {string} records[].status - SUCCESS, UNCHANGED, NO_DATA, FAILED, or DISCOVERED (a sitemap URL);
+   *   "http" sink batches are BATCH_SENT or BATCH_FAILED (see writeHttpBatches())
+   * @param {number} [records[].responseCode] - HTTP response code
+   * @param {string} [records[].errorMessage] - Error message if failed
+   * @param {string} records[].normalized - Whether response was normalized (YES/NO)
+   * @param {string} [records[].connectionType] - effectiveConnectionType (defaults to AGGREGATED)
+   * @param {number} [records[].attempts] - Fetch attempts made, including retries
+   * @param {string} [records[].source] - The sitemap a DISCOVERED URL was
+   *   listed in, or the sink and batch number of a sink batch
+   * @returns {void}
+   * @throws {Error} If writing to history sheet fails
    */
-  async addToSpreadsheet() {
+  logExecutionHistory(executionId, records) {
     try {
-      if (!this.normalizedResponse || this.normalizedResponse.length === 0) {
-        throw new Error(
-          "No normalized data to write. Call normalizeData() first."
-        );
+      if (!records || records.length === 0) {
+        Logger.log("Crux Extractor:: No execution history records to log");
+        return;
       }
 
-      Logger.log("Crux Extractor:: Opening spreadsheet");
-      const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+      Logger.log(
+        `Crux Extractor:: Logging ${records.length} execution history records`
+      );
+      const historySheet = this.getExecutionHistorySheet();
+      const rows = this.buildExecutionHistoryRows(executionId, records);
 
-      Logger.log("Crux Extractor:: Checking if sheet tab exists");
-      let sheet = spreadsheet.getSheetByName(this.sheetTabName);
+      const startRow = historySheet.getLastRow() + 1;
+      historySheet
+        .getRange(
+          startRow,
+          1,
+          rows.length,
+          CruxExtractor_.CONFIG.HISTORY_COLUMN_COUNT
+        )
+        .setValues(rows);
 
-      if (!sheet) {
-        Logger.log("Crux Extractor:: Creating new sheet");
-        sheet = spreadsheet.insertSheet(this.sheetTabName);
+      Logger.log(
+        `Crux Extractor:: Successfully logged execution history to row ${startRow}`
+      );
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: logExecutionHistory");
+      Logger.log(`Error details: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads the p75 of each metric out of data-tab rows, one entry per
+   * date/platform/URL/scope/connection type. Columns are found by header
+   * label, so any schema version, metric selection or output format works;
+   * long-format rows for the same date and identity are merged.
+   *
+   * @param {string[]} headers - Header row of the rows
+   * @param {Array[]} rows - Data rows (wide or long)
+   * @returns {Array<{identity: string, time: number, formFactor: string,
+   *   url: string, scope: string, connectionType: string,
+   *   p75s: Object<string, *>}>} Entries in row order; rows without a valid
+   *   Date are left out
+   */
+  getP75Entries(headers, rows) {
+    const column = (label) => headers.indexOf(label);
+    const isLong = column("Metric") !== -1;
+    const entries = {};
+
+    for (const row of rows) {
+      const date = this.toSheetDate(row[column("Date")]);
+      if (!(date instanceof Date)) {
+        continue;
       }
 
-      // Write headers when the sheet has no rows yet - either freshly created
-      // or a pre-existing empty tab. Without this, data would be written at
-      // row 1 with no column labels.
-      if (sheet.getLastRow() === 0) {
-        Logger.log("Crux Extractor:: Adding headers");
-        const headers = [
-          "Date",
-          "Platform",
-          "URL",
-          "LCP (Good)",
-          "LCP (Needs Improvement)",
-          "LCP (Poor)",
-          "LCP (75th Percentile)",
-          "FID (Good) - REMOVED 2024-09",
-          "FID (Needs Improvement) - REMOVED 2024-09",
-          "FID (Poor) - REMOVED 2024-09",
-          "FID (75th Percentile) - REMOVED 2024-09",
-          "INP (Good)",
-          "INP (Needs Improvement)",
-          "INP (Poor)",
-          "INP (75th Percentile)",
-          "CLS (Good)",
-          "CLS (Needs Improvement)",
-          "CLS (Poor)",
-          "CLS (75th Percentile)",
-          "FCP (Good)",
-          "FCP (Needs Improvement)",
-          "FCP (Poor)",
-          "FCP (75th Percentile)",
-          "TTFB (Good)",
-          "TTFB (Needs Improvement)",
-          "TTFB (Poor)",
-          "TTFB (75th Percentile)",
-          "RTT (Good)",
-          "RTT (Needs Improvement)",
-          "RTT (Poor)",
-          "RTT (75th Percentile)",
-        ];
+      const formFactor = row[column("Platform")];
+      const url = row[column("URL")];
+      const scope = row[column("Scope")] || "PAGE";
+      const connectionType = row[column("Connection Type")] || "AGGREGATED";
+      const identity = [formFactor, url, scope, connectionType].join("|");
+      const entryKey = `${identity}|${date.getTime()}`;
 
-        if (headers.length !== CruxExtractor_.CONFIG.COLUMN_COUNT) {
-          Logger.log(
-            `Warning: Header count (${headers.length}) does not match CONFIG.COLUMN_COUNT (${CruxExtractor_.CONFIG.COLUMN_COUNT})`
-          );
+      if (!entries[entryKey]) {
+        entries[entryKey] = {
+          identity,
+          time: date.getTime(),
+          formFactor,
+          url,
+          scope,
+          connectionType,
+          p75s: {},
+        };
+      }
+
+      const { p75s } = entries[entryKey];
+      if (isLong) {
+        const metric = CruxExtractor_.METRICS.find(
+          ({ label }) => label === row[column("Metric")]
+        );
+        if (metric) {
+          p75s[metric.key] = row[column("75th Percentile")];
+        }
+      } else {
+        for (const { key, label } of CruxExtractor_.METRICS) {
+          const index = column(`${label} (75th Percentile)`);
+          if (index !== -1) {
+            p75s[key] = row[index];
+          }
         }
+      }
+    }
+
+    return Object.values(entries);
+  }
+
+  /**
+   * Compares each new row with the latest earlier row in the tab for the same
+   * platform/URL/scope/connection type. Called before the new rows are
+   * written; rows whose date is already in the tab (a refired trigger) were
+   * compared by the run that wrote them and are not compared again.
+   *
+   * A metric regresses when its p75 crosses a Core Web Vitals threshold into
+   * a worse status (see getCwvStatus()), or grows by more than
+   * `alertThresholdPercent`. Every metric in METRICS is lower-is-better.
+   *
+   * Only runs in record mode with the "sheets" sink, when `alertRecipients`
+   * or `webhookUrls` is set. A failure to read the tab is
+   * logged and yields no regressions rather than failing the run.
+   *
+   * @returns {Array<{url: string, label: ?string, formFactor: string,
+   *   scope: string, connectionType: string, metric: string, previous: number,
+   *   current: number, changePercent: number, previousStatus: string,
+   *   currentStatus: string}>} One entry per regressed metric; `label` comes
+   *   from the config tab
+   */
+  findRegressions() {
+    if (
+      this.mode === "history" ||
+      !this.sinks.some(({ type }) => type === "sheets") ||
+      (this.alertRecipients.length === 0 && this.webhookUrls.length === 0)
+    ) {
+      return [];
+    }
 
-        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    try {
+      const sheet = SpreadsheetApp.openById(this.spreadsheetId).getSheetByName(
+        this.sheetTabName
+      );
+      if (!sheet || sheet.getLastRow() <= CruxExtractor_.CONFIG.HEADER_ROW) {
+        Logger.log("Crux Extractor:: No previous rows to compare against");
+        return [];
       }
 
-      const numRows = this.normalizedResponse.length;
-      const numCols = this.normalizedResponse[0].length;
+      const [sheetHeaders, ...sheetRows] = sheet
+        .getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn())
+        .getValues();
+      const previousEntries = this.getP75Entries(sheetHeaders, sheetRows);
+      const newEntries = this.getP75Entries(
+        this.outputFormat === "long"
+          ? this.getLongHeaders()
+          : this.getRecordHeaders(),
+        this.normalizedResponse
+      );
 
-      if (numCols !== CruxExtractor_.CONFIG.COLUMN_COUNT) {
-        Logger.log(
-          `Warning: Data columns (${numCols}) do not match expected (${CruxExtractor_.CONFIG.COLUMN_COUNT})`
+      const statusRank = ["Good", "Needs Improvement", "Poor"];
+      const regressions = [];
+
+      for (const entry of newEntries) {
+        const earlier = previousEntries.filter(
+          (candidate) => candidate.identity === entry.identity
         );
+        if (earlier.some((candidate) => candidate.time === entry.time)) {
+          continue;
+        }
+
+        const previous = earlier
+          .filter((candidate) => candidate.time < entry.time)
+          .sort((a, b) => b.time - a.time)[0];
+        if (!previous) {
+          continue;
+        }
+
+        for (const { key, label } of CruxExtractor_.METRICS) {
+          const before = Number(previous.p75s[key]);
+          const after = Number(entry.p75s[key]);
+          if (
+            previous.p75s[key] === "-" ||
+            entry.p75s[key] === "-" ||
+            !Number.isFinite(before) ||
+            !Number.isFinite(after)
+          ) {
+            continue;
+          }
+
+          const previousStatus = this.getCwvStatus(key, before);
+          const currentStatus = this.getCwvStatus(key, after);
+          const changePercent =
+            before > 0 ? ((after - before) / before) * 100 : 0;
+          const crossed =
+            statusRank.indexOf(currentStatus) >
+            statusRank.indexOf(previousStatus);
+
+          if (crossed || changePercent > this.alertThresholdPercent) {
+            regressions.push({
+              url: entry.url,
+              label: this.labels[entry.url] || null,
+              formFactor: entry.formFactor,
+              scope: entry.scope,
+              connectionType: entry.connectionType,
+              metric: label,
+              previous: before,
+              current: after,
+              changePercent: Math.round(changePercent * 10) / 10,
+              previousStatus,
+              currentStatus,
+            });
+          }
+        }
       }
 
-      const startRow = sheet.getLastRow() + 1;
-      Logger.log(
-        `Crux Extractor:: Writing ${numRows} rows starting at row ${startRow}`
+      Logger.log(`Crux Extractor:: Found ${regressions.length} regressions`);
+      return regressions;
+    } catch (error) {
+      Logger.log("Crux Extractor:: Error occurred: findRegressions");
+      Logger.log(`Error details: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Emails a summary of regressions to `alertRecipients` via MailApp.
+   *
+   * A failure to send is logged, not thrown: the data is already written.
+   *
+   * @param {string} executionId - Execution ID of the run, for the subject
+   * @param {Array<Object>} regressions - Entries from findRegressions()
+   * @returns {boolean} True if an email was sent
+   */
+  sendRegressionAlert(executionId, regressions) {
+    if (regressions.length === 0 || this.alertRecipients.length === 0) {
+      return false;
+    }
+
+    try {
+      const lines = regressions.map(
+        (regression) => `- ${this.formatRegression(regression)}`
       );
 
-      sheet
-        .getRange(startRow, 1, numRows, numCols)
-        .setValues(this.normalizedResponse);
+      MailApp.sendEmail({
+        to: this.alertRecipients.join(","),
+        subject: `CrUX regressions: ${regressions.length} metric(s) worsened`,
+        body: [
+          `Execution ${executionId} found ${regressions.length} regression(s) against the previous rows in '${this.sheetTabName}' (threshold crossed, or p75 up more than ${this.alertThresholdPercent}%):`,
+          "",
+          ...lines,
+          "",
+          `Spreadsheet: https://docs.google.com/spreadsheets/d/${this.spreadsheetId}`,
+        ].join("\n"),
+      });
 
-      Logger.log("Crux Extractor:: Data written successfully");
+      Logger.log(
+        `Crux Extractor:: Sent regression alert to ${this.alertRecipients.length} recipient(s)`
+      );
+      return true;
     } catch (error) {
-      Logger.log("Crux Extractor:: Error occurred: addToSpreadsheet");
-      throw error;
+      Logger.log("Crux Extractor:: Error occurred: sendRegressionAlert");
+      Logger.log(`Error details: ${error.message}`);
+      return false;
     }
   }
 
   /**
-   * Gets or creates the execution history sheet.
+   * One-line description of a regression, shared by the alert email and
+   * webhook messages. A labelled URL is followed by its label in brackets.
    *
-   * Creates a new sheet tab with headers if it doesn't exist.
-   * Headers: Execution ID, Timestamp, URL, Form Factor, Status, Response Code, Error Message, Normalized
+   * @param {Object} regression - An entry from findRegressions()
+   * @returns {string} e.g. "https://example.com (PHONE, PAGE, AGGREGATED):
+   *   LCP p75 2400 -> 2600 (+8.3%, Good -> Needs Improvement)"
+   */
+  formatRegression(regression) {
+    const sign = regression.changePercent >= 0 ? "+" : "";
+    const status =
+      regression.currentStatus !== regression.previousStatus
+        ? `, ${regression.previousStatus} -> ${regression.currentStatus}`
+        : "";
+    const label = regression.label ? ` [${regression.label}]` : "";
+    return `${regression.url}${label} (${regression.formFactor}, ${regression.scope}, ${regression.connectionType}): ${regression.metric} p75 ${regression.previous} -> ${regression.current} (${sign}${regression.changePercent}%${status})`;
+  }
+
+  /**
+   * Builds the webhook payload for a run.
    *
-   * @returns {GoogleAppsScript.Spreadsheet.Sheet} The execution history sheet
-   * @throws {Error} If spreadsheet access fails
+   * "chat" produces `{ text }` only - the one field both Slack incoming
+   * webhooks and Google Chat accept (Chat rejects unknown fields) - with
+   * *bold* headings both render. "json" sends the data itself, for
+   * endpoints that process it.
+   *
+   * @param {string} executionId - Execution ID of the run
+   * @param {?Object} summary - Run summary, or null when the run failed
+   * @param {Array<Object>} regressions - Entries from findRegressions()
+   * @param {Error} [error] - The error that ended the run, if any
+   * @returns {Object} Payload to POST as JSON
    */
-  getExecutionHistorySheet() {
-    try {
-      Logger.log("Crux Extractor:: Getting execution history sheet");
-      const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
-      let historySheet = spreadsheet.getSheetByName(
-        CruxExtractor_.CONFIG.HISTORY_SHEET_NAME
+  buildWebhookPayload(executionId, summary, regressions, error) {
+    const failures = (this.executionRecords || [])
+      .filter((record) => record.status === "FAILED")
+      .map(
+        ({ url, formFactor, connectionType, responseCode, errorMessage }) => ({
+          url,
+          label: this.labels[url] || null,
+          formFactor,
+          connectionType,
+          responseCode,
+          errorMessage,
+        })
       );
 
-      if (!historySheet) {
-        Logger.log("Crux Extractor:: Creating execution history sheet");
-        historySheet = spreadsheet.insertSheet(
-          CruxExtractor_.CONFIG.HISTORY_SHEET_NAME
+    if (this.webhookFormat === "json") {
+      return {
+        executionId,
+        status: error ? "FAILED" : "SUCCESS",
+        error: error ? error.message : null,
+        summary,
+        failures,
+        regressions,
+      };
+    }
+
+    const lines = error
+      ? [`*CrUX run ${executionId} failed*: ${error.message}`]
+      : [
+          `*CrUX run ${executionId}*: ${summary.rowsWritten} rows written from ${summary.totalRequests} requests; ${summary.failedRequests} failed, ${summary.noDataUrls} URLs without data, ${regressions.length} regressions`,
+        ];
+
+    if (failures.length > 0) {
+      lines.push("", `*Failed requests (${failures.length})*`);
+      for (const failure of failures) {
+        // Error bodies can be whole JSON documents; keep each line short.
+        const message = String(failure.errorMessage).slice(0, 200);
+        const label = failure.label ? ` [${failure.label}]` : "";
+        lines.push(
+          `• ${failure.url}${label} (${failure.formFactor}, ${failure.connectionType}): ${failure.responseCode} ${message}`
         );
       }
+    }
+
+    if (regressions.length > 0) {
+      lines.push("", `*Regressions (${regressions.length})*`);
+      for (const regression of regressions) {
+        lines.push(`• ${this.formatRegression(regression)}`);
+      }
+    }
 
-      // Write headers when the sheet has no rows yet - either freshly created
-      // or a pre-existing empty tab - so records are never written above the
-      // header row.
-      if (historySheet.getLastRow() === 0) {
-        Logger.log("Crux Extractor:: Adding execution history headers");
-        const headers = [
-          "Execution ID",
-          "Timestamp",
-          "URL",
-          "Form Factor",
-          "Status",
-          "Response Code",
-          "Error Message",
-          "Normalized",
-        ];
+    return { text: lines.join("\n") };
+  }
+
+  /**
+   * POSTs the run result to every URL in `webhookUrls`.
+   *
+   * Requests go through fetchWithRetry(), so network errors, 429 and 5xx are
+   * retried like CrUX requests. A webhook that still fails is logged and
+   * skipped: notifications never fail the run.
+   *
+   * @param {string} executionId - Execution ID of the run
+   * @param {?Object} summary - Run summary, or null when the run failed
+   * @param {Array<Object>} regressions - Entries from findRegressions()
+   * @param {Error} [error] - The error that ended the run, if any
+   * @returns {number} Number of webhooks that accepted the payload (2xx)
+   */
+  notifyWebhooks(executionId, summary, regressions, error) {
+    if (this.webhookUrls.length === 0) {
+      return 0;
+    }
+
+    let delivered = 0;
+
+    try {
+      const request = {
+        method: "post",
+        muteHttpExceptions: true,
+        contentType: "application/json",
+        payload: JSON.stringify(
+          this.buildWebhookPayload(executionId, summary, regressions, error)
+        ),
+      };
+
+      this.webhookUrls.forEach((webhookUrl, index) => {
+        // Webhook URLs embed their secret; log only the host.
+        const host = webhookUrl.match(/^https?:\/\/([^/?#]+)/)[1];
+        const result = this.fetchWithRetry(request, webhookUrl);
+        const statusCode = result.response
+          ? result.response.getResponseCode()
+          : null;
 
-        if (headers.length !== CruxExtractor_.CONFIG.HISTORY_COLUMN_COUNT) {
+        if (statusCode !== null && statusCode >= 200 && statusCode < 300) {
+          delivered++;
+          Logger.log(
+            `Crux Extractor:: Notified webhook ${index + 1} (${host})`
+          );
+        } else {
           Logger.log(
-            `Warning: History header count (${headers.length}) does not match CONFIG.HISTORY_COLUMN_COUNT (${CruxExtractor_.CONFIG.HISTORY_COLUMN_COUNT})`
+            `Crux Extractor:: Webhook ${index + 1} (${host}) failed after ${
+              result.attempts
+            } attempt(s): ${
+              result.error
+                ? result.error.message
+                : `${statusCode} ${result.response.getContentText()}`
+            }`
           );
         }
+      });
+    } catch (notifyError) {
+      Logger.log("Crux Extractor:: Error occurred: notifyWebhooks");
+      Logger.log(`Error details: ${notifyError.message}`);
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Script-property key of this config's checkpoint. Runs are identified by
+   * spreadsheet and target tab, so two configs writing the same tab share one.
+   *
+   * @returns {string} Property key
+   */
+  getCheckpointKey() {
+    const tabName =
+      this.mode === "history" ? this.historyTabName : this.sheetTabName;
+    return `${CruxExtractor_.CONFIG.CHECKPOINT_PROPERTY_PREFIX}.${this.spreadsheetId}.${tabName}`;
+  }
+
+  /**
+   * Name of the tab holding this config's checkpointed rows and records
+   * (see saveCheckpoint()).
+   *
+   * @returns {string} "<tab> (checkpoint)", next to the tab the run writes
+   */
+  getCheckpointTabName() {
+    const tabName =
+      this.mode === "history" ? this.historyTabName : this.sheetTabName;
+    return `${tabName} (checkpoint)`;
+  }
+
+  /**
+   * Finds this config's checkpoint tab. Looked up through getSheets() so a
+   * missing tab reads as null rather than another tab.
+   *
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet - Target spreadsheet
+   * @returns {?GoogleAppsScript.Spreadsheet.Sheet} The tab, or null
+   */
+  findCheckpointTab(spreadsheet) {
+    const tabName = this.getCheckpointTabName();
+    return (
+      spreadsheet.getSheets().find((sheet) => sheet.getName() === tabName) ||
+      null
+    );
+  }
+
+  /**
+   * Reads the checkpoint a previous execution of this run left behind.
+   *
+   * A checkpoint whose checkpoint tab is missing or holds a different number
+   * of entries, or one that cannot be read, is discarded. run() also discards one built for a
+   * different request list (the config changed in between).
+   *
+   * @returns {?Object} The checkpoint saved by saveCheckpoint(), with rows,
+   *   LCP breakdown rows, unchanged rows, execution records and sitemap
+   *   discovery records restored (dates included) and `entries` the number of tab rows they
+   *   fill, or null if there is none
+   */
+  loadCheckpoint() {
+    const meta = PropertiesService.getScriptProperties().getProperty(
+      this.getCheckpointKey()
+    );
+    if (!meta) {
+      return null;
+    }
+
+    try {
+      const { entries, ...checkpoint } = JSON.parse(meta);
+      const sheet = this.findCheckpointTab(
+        SpreadsheetApp.openById(this.spreadsheetId)
+      );
+      const stored = sheet ? sheet.getLastRow() : 0;
+      if (stored !== entries) {
+        throw new Error(
+          `tab '${this.getCheckpointTabName()}' has ${stored} of ${entries} entries`
+        );
+      }
 
-        historySheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      const state = {
+        rows: [],
+        lcpBreakdownRows: [],
+        unchangedRows: [],
+        records: [],
+        discoveryRecords: [],
+      };
+      const values =
+        entries > 0 ? sheet.getRange(1, 1, entries, 2).getValues() : [];
+      for (const [kind, json] of values) {
+        // Dates were saved as { $date: epoch ms } (see saveCheckpoint()).
+        state[kind].push(
+          JSON.parse(json, (name, value) =>
+            value && typeof value === "object" && "$date" in value
+              ? new Date(value.$date)
+              : value
+          )
+        );
       }
 
-      return historySheet;
+      return { ...checkpoint, entries, ...state };
     } catch (error) {
-      Logger.log("Crux Extractor:: Error occurred: getExecutionHistorySheet");
-      throw error;
+      Logger.log(
+        `Crux Extractor:: Discarding unreadable checkpoint: ${error.message}`
+      );
+      this.clearCheckpoint();
+      return null;
+    }
+  }
+
+  /**
+   * Saves a run's progress. Script Properties hold only the cursor, counters
+   * and execution ID: their 500 KB quota is too small for the rows of a
+   * large run. The rows, LCP breakdown rows, unchanged rows (see
+   * normalizeData()) and execution records, sitemap discovery's included,
+   * go to the checkpoint tab (see getCheckpointTabName()), one JSON cell
+   * each. Each execution appends its own after the `entries` earlier ones
+   * saved, so a long run doesn't spend its time budget rewriting them.
+   *
+   * @param {Object} checkpoint - executionId, cursor, requestCount,
+   *   executions, triggerId, successfulResponses, originFallbacks, plus the
+   *   rows, lcpBreakdownRows, unchangedRows, records and discoveryRecords
+   *   collected since the last checkpoint
+   * @param {number} [checkpoint.entries=0] - Entries the checkpoint tab
+   *   already holds (see loadCheckpoint()); 0 starts the tab afresh
+   * @returns {void}
+   * @throws {Error} If the checkpoint tab or property cannot be written
+   */
+  saveCheckpoint({
+    entries: saved = 0,
+    rows,
+    lcpBreakdownRows,
+    unchangedRows = [],
+    records,
+    discoveryRecords = [],
+    ...checkpoint
+  }) {
+    // Dates would come back from JSON as strings; keep them as epoch ms.
+    const encode = (value) =>
+      JSON.stringify(value, function (name, item) {
+        return this[name] instanceof Date
+          ? { $date: this[name].getTime() }
+          : item;
+      });
+    const entries = [
+      ...rows.map((row) => ["rows", encode(row)]),
+      ...lcpBreakdownRows.map((row) => ["lcpBreakdownRows", encode(row)]),
+      ...unchangedRows.map((row) => ["unchangedRows", encode(row)]),
+      ...records.map((record) => ["records", encode(record)]),
+      ...discoveryRecords.map((record) => ["discoveryRecords", encode(record)]),
+    ];
+
+    const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+    const sheet =
+      this.findCheckpointTab(spreadsheet) ||
+      spreadsheet.insertSheet(this.getCheckpointTabName());
+    if (saved === 0) {
+      sheet.clearContents();
     }
+    if (entries.length > 0) {
+      sheet.getRange(saved + 1, 1, entries.length, 2).setValues(entries);
+    }
+
+    const total = saved + entries.length;
+    PropertiesService.getScriptProperties().setProperty(
+      this.getCheckpointKey(),
+      JSON.stringify({ ...checkpoint, entries: total })
+    );
+    Logger.log(
+      `Crux Extractor:: Saved checkpoint at request ${checkpoint.cursor} of ${
+        checkpoint.requestCount
+      } (${entries.length} new entries, ${total} in '${sheet.getName()}')`
+    );
   }
 
   /**
-   * Logs execution history records to the execution history sheet.
-   *
-   * Records include execution ID, timestamp, URL, form factor, status, response code,
-   * error message (if any), and whether the response was normalized successfully.
+   * Deletes this config's checkpoint, if any: the property and the
+   * checkpoint tab.
    *
-   * @param {string} executionId - Unique identifier for this execution run
-   * @param {Array<Object>} records - Array of execution record objects
-   * @param {string} records[].url - The URL that was requested
-   * @param {string} records[].formFactor - Form factor (PHONE, DESKTOP, ALL_FORM_FACTORS)
-   * @param {string} records[].status - SUCCESS or FAILED
-   * @param {number} [records[].responseCode] - HTTP response code
-   * @param {string} [records[].errorMessage] - Error message if failed
-   * @param {string} records[].normalized - Whether response was normalized (YES/NO)
    * @returns {void}
-   * @throws {Error} If writing to history sheet fails
    */
-  logExecutionHistory(executionId, records) {
-    try {
-      if (!records || records.length === 0) {
-        Logger.log("Crux Extractor:: No execution history records to log");
-        return;
-      }
-
-      Logger.log(
-        `Crux Extractor:: Logging ${records.length} execution history records`
-      );
-      const historySheet = this.getExecutionHistorySheet();
+  clearCheckpoint() {
+    PropertiesService.getScriptProperties().deleteProperty(
+      this.getCheckpointKey()
+    );
 
-      const timeZone = Session.getScriptTimeZone();
-      const timestamp = Utilities.formatDate(
-        new Date(),
-        timeZone,
-        "dd-MM-yyyy HH:mm:ss"
-      );
+    const spreadsheet = SpreadsheetApp.openById(this.spreadsheetId);
+    const sheet = this.findCheckpointTab(spreadsheet);
+    if (sheet) {
+      spreadsheet.deleteSheet(sheet);
+    }
+  }
 
-      const rows = records.map((record) => [
-        executionId,
-        timestamp,
-        record.url || "-",
-        record.formFactor || "-",
-        record.status || "UNKNOWN",
-        record.responseCode || "-",
-        record.errorMessage || "-",
-        record.normalized || "NO",
-      ]);
+  /**
+   * Creates the one-off time-based trigger that continues a resumable run.
+   *
+   * @returns {string} The trigger's unique ID, so the continuation can delete it
+   */
+  scheduleContinuation() {
+    const trigger = ScriptApp.newTrigger(this.continuationFunction)
+      .timeBased()
+      .after(CruxExtractor_.CONFIG.CONTINUATION_DELAY_MS)
+      .create();
+    Logger.log(
+      `Crux Extractor:: Scheduled ${this.continuationFunction}() to continue in ${CruxExtractor_.CONFIG.CONTINUATION_DELAY_MS}ms`
+    );
+    return trigger.getUniqueId();
+  }
 
-      const startRow = historySheet.getLastRow() + 1;
-      historySheet
-        .getRange(
-          startRow,
-          1,
-          rows.length,
-          CruxExtractor_.CONFIG.HISTORY_COLUMN_COUNT
-        )
-        .setValues(rows);
+  /**
+   * Deletes a continuation trigger once it has fired; one-off triggers stay
+   * in the project's trigger list otherwise.
+   *
+   * @param {string} [triggerId] - Unique ID returned by scheduleContinuation()
+   * @returns {void}
+   */
+  deleteContinuationTrigger(triggerId) {
+    if (!triggerId) {
+      return;
+    }
 
-      Logger.log(
-        `Crux Extractor:: Successfully logged execution history to row ${startRow}`
-      );
-    } catch (error) {
-      Logger.log("Crux Extractor:: Error occurred: logExecutionHistory");
-      Logger.log(`Error details: ${error.message}`);
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getUniqueId() === triggerId) {
+        ScriptApp.deleteTrigger(trigger);
+      }
     }
   }
 
   /**
    * Executes the complete CrUX data extraction pipeline.
    *
-   * Orchestrates the five-step process:
+   * Orchestrates the six-step process:
    * 1. Build request payloads
    * 2. Fetch data from CrUX API
    * 3. Normalize responses into arrays
-   * 4. Write data to spreadsheet
+   * 4. Write data to each sink in `sinks` (comparing against the previous
+   *    rows first when `alertRecipients` is set; see writeToSinks())
    * 5. Log execution history
+   * 6. Email any regressions and notify webhooks
+   *
+   * Webhooks are also notified when the run fails.
+   *
+   * With `resumable`, fetching stops once `timeBudgetMs` is spent. The rows,
+   * execution records and request cursor are then checkpointed (see
+   * saveCheckpoint()), a one-off trigger is scheduled to call
+   * `continuationFunction`, and run() returns `completed: false`. The next
+   * execution resumes the checkpoint under the same execution ID; the one that
+   * makes the last request runs steps 4-6 over every collected row. Resumed
+   * executions reuse the sitemap URLs the first one discovered, so a sitemap
+   * that changes in between can't shift the requests under the cursor. A
+   * checkpoint for a different number of requests (the config changed) is
+   * discarded and the run starts over, as is the checkpoint of a run that
+   * fails.
    *
    * @async
-   * @returns {Promise<Object>} Summary object with execution statistics
+   * @param {string} [executionId] - ID to record the run under; generated
+   *   when omitted (runJobs() passes one per job)
+   * @returns {Promise<Object>} Summary object with execution statistics; for
+   *   a resumable run that is not finished yet, `{ executionId, completed:
+   *   false, executions, requestsProcessed, totalRequests }`
    * @throws {Error} If any step in the pipeline fails or no valid responses are collected
    */
-  async run() {
-    const executionId = `exec_${Date.now()}_${Math.floor(
-      Math.random() * 10000
-    )}`;
+  async run(
+    executionId = `exec_${Date.now()}_${Math.floor(Math.random() * 10000)}`
+  ) {
+    let checkpoint = null;
+    // A bad config tab fails the run before it starts, as a constructor
+    // error would: a resumable run keeps its checkpoint.
+    this.applyConfigSheet();
 
     try {
       Logger.log("Crux Extractor:: Starting execution");
-      Logger.log(`Execution ID: ${executionId}`);
+
+      if (this.resumable) {
+        checkpoint = this.loadCheckpoint();
+      }
 
       Logger.log("Step 1: Building request payloads");
-      const requests = await this.buildRequestUrls();
+      let sitemapUrls;
+      if (checkpoint && this.sitemapUrl) {
+        this.discoveryRecords = checkpoint.discoveryRecords;
+        sitemapUrls = this.discoveryRecords
+          .filter((record) => record.status === "DISCOVERED")
+          .map((record) => record.url);
+      }
+      let requests = await this.buildRequestUrls(sitemapUrls);
+      if (checkpoint && checkpoint.requestCount !== requests.length) {
+        Logger.log(
+          `Crux Extractor:: Discarding checkpoint for ${checkpoint.executionId}: it covers ${checkpoint.requestCount} requests, this config builds ${requests.length}`
+        );
+        this.clearCheckpoint();
+        checkpoint = null;
+        if (this.sitemapUrl) {
+          requests = await this.buildRequestUrls();
+        }
+      }
       if (!requests || requests.length === 0) {
         throw new Error("No valid requests to process");
       }
       Logger.log(`Built ${requests.length} requests`);
 
+      if (this.resumable) {
+        if (checkpoint) {
+          executionId = checkpoint.executionId;
+          this.requestCursor = checkpoint.cursor;
+          this.deleteContinuationTrigger(checkpoint.triggerId);
+          Logger.log(
+            `Crux Extractor:: Resuming at request ${checkpoint.cursor + 1} of ${
+              requests.length
+            }`
+          );
+        }
+        this.deadline = Date.now() + this.timeBudgetMs;
+      }
+      Logger.log(`Execution ID: ${executionId}`);
+
       Logger.log("Step 2: Fetching data from CrUX API");
       const responses = await this.fetchData();
-      if (!responses || responses.length === 0) {
+      const finished = this.requestCursor >= requests.length;
+      const successfulResponses =
+        (checkpoint ? checkpoint.successfulResponses : 0) + responses.length;
+      const originFallbacks =
+        (checkpoint ? checkpoint.originFallbacks : 0) +
+        responses.filter((response) => response.fallbackFor).length;
+      if (finished && successfulResponses === 0) {
         throw new Error("No successful API responses received");
       }
       Logger.log(`Received ${responses.length} successful responses`);
 
       Logger.log("Step 3: Normalizing responses");
-      const normalized = await this.normalizeData();
-      if (!normalized || normalized.length === 0) {
+      this.resolveSchemaVersion();
+      this.latestPeriods = this.skipUnchanged ? this.readLatestPeriods() : null;
+      let normalized = [];
+      this.lcpBreakdownResponse = [];
+      this.unchangedResponse = [];
+      if (responses.length > 0) {
+        normalized = await this.normalizeData();
+      }
+
+      if (this.resumable && !finished) {
+        const executions = (checkpoint ? checkpoint.executions : 0) + 1;
+        const triggerId = this.scheduleContinuation();
+        try {
+          // Earlier executions' entries are in the checkpoint tab already;
+          // only this one's are added.
+          this.saveCheckpoint({
+            executionId,
+            cursor: this.requestCursor,
+            requestCount: requests.length,
+            executions,
+            triggerId,
+            successfulResponses,
+            originFallbacks,
+            entries: checkpoint ? checkpoint.entries : 0,
+            rows: normalized,
+            lcpBreakdownRows: this.lcpBreakdownResponse,
+            unchangedRows: this.unchangedResponse,
+            records: this.executionRecords,
+            discoveryRecords: checkpoint ? [] : this.discoveryRecords,
+          });
+        } catch (saveError) {
+          this.deleteContinuationTrigger(triggerId);
+          throw saveError;
+        }
+
+        const progress = {
+          executionId,
+          completed: false,
+          executions,
+          requestsProcessed: this.requestCursor,
+          totalRequests: requests.length,
+        };
+        Logger.log(`Execution suspended: ${JSON.stringify(progress)}`);
+        return progress;
+      }
+
+      // Carry the earlier executions' rows and records forward.
+      if (checkpoint) {
+        normalized = [...checkpoint.rows, ...normalized];
+        this.lcpBreakdownResponse = [
+          ...checkpoint.lcpBreakdownRows,
+          ...this.lcpBreakdownResponse,
+        ];
+        this.unchangedResponse = [
+          ...checkpoint.unchangedRows,
+          ...this.unchangedResponse,
+        ];
+        this.executionRecords = [
+          ...checkpoint.records,
+          ...this.executionRecords,
+        ];
+      }
+      this.normalizedResponse = normalized;
+
+      const unchangedRequests = this.executionRecords.filter(
+        (record) => record.status === "UNCHANGED"
+      ).length;
+      if ((!normalized || normalized.length === 0) && unchangedRequests === 0) {
         throw new Error("All responses failed normalization");
       }
       Logger.log(`Normalized ${normalized.length} rows`);
 
-      Logger.log("Step 4: Writing data to spreadsheet");
-      await this.addToSpreadsheet();
+      Logger.log("Step 4: Writing data to sinks");
+      const regressions = this.findRegressions();
+      let sinkResult = { rowsWritten: {}, failed: [] };
+      if (normalized.length > 0) {
+        sinkResult = await this.writeToSinks(
+          this.getSinkOutput(executionId, [
+            ...this.discoveryRecords,
+            ...this.executionRecords,
+          ])
+        );
+      } else {
+        Logger.log(
+          "Crux Extractor:: All collection periods unchanged; nothing to write"
+        );
+      }
+
+      // The row counts below are the spreadsheet's; without the "sheets"
+      // sink only sinkRowsWritten reports what was written.
+      const written = this.spreadsheetWrite || {
+        appended: 0,
+        updated: 0,
+        skipped: 0,
+        lcpBreakdownRows: 0,
+        groupRows: 0,
+      };
 
       Logger.log("Step 5: Logging execution history");
-      this.logExecutionHistory(executionId, this.executionRecords);
+      this.logExecutionHistory(executionId, [
+        ...this.discoveryRecords,
+        ...this.executionRecords,
+        ...this.sinkRecords,
+      ]);
+
+      Logger.log("Step 6: Sending regression alerts and notifications");
+      const alertSent = this.sendRegressionAlert(executionId, regressions);
+
+      const records = this.executionRecords;
+      const noDataUrls = new Set(
+        records
+          .filter(
+            (record) =>
+              record.status === "NO_DATA" && record.scope !== "ORIGIN_FALLBACK"
+          )
+          .map((record) => record.url)
+      );
 
       const summary = {
         executionId,
+        completed: true,
+        executions: (checkpoint ? checkpoint.executions : 0) + 1,
         totalRequests: requests.length,
-        successfulResponses: responses.length,
-        rowsWritten: normalized.length,
-        failedRequests: requests.length - responses.length,
+        successfulResponses,
+        rowsWritten: written.appended + written.updated,
+        rowsUpdated: written.updated,
+        duplicatesSkipped: written.skipped,
+        lcpBreakdownRowsWritten: written.lcpBreakdownRows,
+        groupRowsWritten: written.groupRows,
+        sinkRowsWritten: sinkResult.rowsWritten,
+        failedSinks: sinkResult.failed,
+        failedRequests: records.filter((record) => record.status === "FAILED")
+          .length,
+        noDataUrls: noDataUrls.size,
+        unchangedRequests,
+        originFallbacks,
+        sitemapUrls: this.discoveryRecords.filter(
+          (record) => record.status === "DISCOVERED"
+        ).length,
+        regressionsDetected: regressions.length,
+        alertSent,
       };
+      summary.webhooksNotified = this.notifyWebhooks(
+        executionId,
+        summary,
+        regressions
+      );
+
+      if (this.resumable) {
+        this.clearCheckpoint();
+      }
 
       Logger.log(`Execution complete: ${JSON.stringify(summary)}`);
       return summary;
@@ -702,10 +4504,15 @@ class CruxExtractor_ {
         Logger.log(error.stack);
       }
 
-      if (this.executionRecords && this.executionRecords.length > 0) {
+      const partialRecords = [
+        ...this.discoveryRecords,
+        ...(this.executionRecords || []),
+        ...this.sinkRecords,
+      ];
+      if (partialRecords.length > 0) {
         Logger.log("Logging partial execution history before throwing error");
         try {
-          this.logExecutionHistory(executionId, this.executionRecords);
+          this.logExecutionHistory(executionId, partialRecords);
         } catch (historyError) {
           Logger.log(
             `Failed to log execution history: ${historyError.message}`
@@ -713,30 +4520,385 @@ class CruxExtractor_ {
         }
       }
 
+      if (this.resumable) {
+        try {
+          this.clearCheckpoint();
+        } catch (checkpointError) {
+          Logger.log(`Failed to clear checkpoint: ${checkpointError.message}`);
+        }
+      }
+
+      this.notifyWebhooks(executionId, null, [], error);
+
       throw error;
     }
   }
+
+  /**
+   * Runs several extraction configs one after another under a single script
+   * lock, as extractAll() does.
+   *
+   * Each job gets the execution ID `<prefix>_<n>`, where the prefix is shared
+   * by the whole batch, so its executionHistory rows can be told apart and
+   * still found together. A job that fails - invalid config, bad spreadsheet
+   * ID, no API responses - is logged and recorded in the summary; the
+   * remaining jobs still run.
+   *
+   * @param {Object[]} jobs - extract() configs, optionally with a `name`
+   * @returns {Promise<?Object>} Combined summary: `executionId` (the prefix),
+   *   `succeeded`, `failed`, `totals` (numeric summary fields summed over the
+   *   successful jobs) and `jobs` (`{ name, executionId, status, summary,
+   *   error }` each); null if another execution holds the lock
+   * @throws {Error} If every job failed
+   */
+  static async runJobs(jobs) {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(0)) {
+      Logger.log(
+        "Crux Extractor:: Another execution holds the lock; skipping all jobs"
+      );
+      return null;
+    }
+
+    try {
+      const prefix = `exec_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+      const results = [];
+
+      for (const [index, job] of jobs.entries()) {
+        const name = job.name || `job${index + 1}`;
+        const executionId = `${prefix}_${index + 1}`;
+        Logger.log(
+          `Crux Extractor:: Job ${index + 1} of ${
+            jobs.length
+          } (${name}): ${executionId}`
+        );
+
+        try {
+          if (job.resumable) {
+            throw new Error(
+              "Crux Extractor: 'resumable' is not supported in extractAll() jobs"
+            );
+          }
+          const summary = await new CruxExtractor_(job).run(executionId);
+          results.push({
+            name,
+            executionId,
+            status: "SUCCESS",
+            summary,
+            error: null,
+          });
+        } catch (error) {
+          Logger.log(`Crux Extractor:: Job ${name} failed: ${error.message}`);
+          results.push({
+            name,
+            executionId,
+            status: "FAILED",
+            summary: null,
+            error: error.message,
+          });
+        }
+      }
+
+      const succeeded = results.filter(({ status }) => status === "SUCCESS");
+      const totals = {};
+      for (const { summary } of succeeded) {
+        for (const [key, value] of Object.entries(summary)) {
+          if (typeof value === "number") {
+            totals[key] = (totals[key] || 0) + value;
+          }
+        }
+      }
+
+      const combined = {
+        executionId: prefix,
+        succeeded: succeeded.length,
+        failed: results.length - succeeded.length,
+        totals,
+        jobs: results,
+      };
+      Logger.log(`All jobs complete: ${JSON.stringify(combined)}`);
+
+      if (succeeded.length === 0) {
+        throw new Error(
+          `Crux Extractor: All ${results.length} jobs failed: ${results
+            .map(({ name, error }) => `${name}: ${error}`)
+            .join("; ")}`
+        );
+      }
+      return combined;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Unique IDs of the continuation triggers of resumable runs in progress,
+   * read from their checkpoints (see saveCheckpoint()). Schedule management
+   * leaves these triggers alone.
+   *
+   * @returns {string[]} Trigger unique IDs
+   */
+  static getContinuationTriggerIds() {
+    const properties = PropertiesService.getScriptProperties();
+    const prefix = `${CruxExtractor_.CONFIG.CHECKPOINT_PROPERTY_PREFIX}.`;
+    const ids = [];
+
+    for (const key of properties.getKeys()) {
+      if (!key.startsWith(prefix)) {
+        continue;
+      }
+      try {
+        const { triggerId } = JSON.parse(properties.getProperty(key));
+        if (triggerId) {
+          ids.push(triggerId);
+        }
+      } catch (error) {
+        Logger.log(`Crux Extractor:: Unreadable checkpoint '${key}' ignored`);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Lists the project's time-driven triggers with the schedule they were
+   * installed with. Apps Script can't report a trigger's schedule, so
+   * installSchedule() stores it in Script Properties under the trigger's ID;
+   * triggers created any other way have `managed: false` and null schedule
+   * fields.
+   *
+   * @returns {Array<{uniqueId: string, function: string, managed: boolean,
+   *   continuation: boolean, frequency: ?string, hour: ?number,
+   *   weekDay: ?string, timezone: ?string}>} One entry per time-driven trigger
+   */
+  static listSchedules() {
+    const properties = PropertiesService.getScriptProperties();
+    const prefix = CruxExtractor_.CONFIG.SCHEDULE_PROPERTY_PREFIX;
+    const continuationIds = CruxExtractor_.getContinuationTriggerIds();
+
+    return ScriptApp.getProjectTriggers()
+      .filter((trigger) => trigger.getEventType() === ScriptApp.EventType.CLOCK)
+      .map((trigger) => {
+        const uniqueId = trigger.getUniqueId();
+        const stored = properties.getProperty(`${prefix}.${uniqueId}`);
+        const schedule = stored ? JSON.parse(stored) : {};
+        return {
+          uniqueId,
+          function: trigger.getHandlerFunction(),
+          managed: Boolean(stored),
+          continuation: continuationIds.includes(uniqueId),
+          frequency: schedule.frequency || null,
+          hour: schedule.hour === undefined ? null : schedule.hour,
+          weekDay: schedule.weekDay || null,
+          timezone: schedule.timezone || null,
+        };
+      });
+  }
+
+  /**
+   * Ensures exactly one time-driven trigger runs `options.function` on the
+   * given schedule.
+   *
+   * Calling it again with the same options changes nothing. Otherwise every
+   * time-driven trigger for the function - including duplicates from
+   * installing it twice or by hand, a known cause of double-fires - is
+   * replaced by a single new one. Continuation triggers of resumable runs
+   * are kept.
+   *
+   * @param {Object} options - Schedule, validated by installSchedule()
+   * @param {string} options.function - Top-level function to run
+   * @param {string} options.frequency - "hourly", "daily" or "weekly"
+   * @param {number} options.hour - Hour of day (daily and weekly)
+   * @param {string} options.weekDay - Day of week (weekly)
+   * @param {string} options.timezone - Time zone the hour is in
+   * @returns {{installed: boolean, removed: number, schedule: Object}}
+   *   Whether a trigger was created, how many were deleted, and the
+   *   resulting listSchedules() entry
+   */
+  static installSchedule(options) {
+    const { function: handler, frequency } = options;
+    const wanted = {
+      frequency,
+      hour: frequency === "hourly" ? null : options.hour,
+      weekDay: frequency === "weekly" ? options.weekDay : null,
+      timezone: options.timezone,
+    };
+    const sameSchedule = (schedule) =>
+      Object.keys(wanted).every((key) => schedule[key] === wanted[key]);
+
+    const existing = CruxExtractor_.listSchedules().filter(
+      (schedule) => schedule.function === handler && !schedule.continuation
+    );
+    if (existing.length === 1 && sameSchedule(existing[0])) {
+      Logger.log(
+        `Crux Extractor:: Schedule for ${handler}() already installed; nothing to do`
+      );
+      return { installed: false, removed: 0, schedule: existing[0] };
+    }
+
+    if (existing.length > 1) {
+      Logger.log(
+        `Crux Extractor:: Found ${existing.length} triggers for ${handler}(); replacing them with one`
+      );
+    }
+    const removed = CruxExtractor_.deleteSchedules(existing);
+
+    let builder = ScriptApp.newTrigger(handler).timeBased();
+    if (frequency === "hourly") {
+      builder = builder.everyHours(1);
+    } else if (frequency === "daily") {
+      builder = builder.everyDays(1).atHour(wanted.hour);
+    } else {
+      builder = builder
+        .onWeekDay(ScriptApp.WeekDay[wanted.weekDay])
+        .atHour(wanted.hour);
+    }
+    const trigger = builder.inTimezone(wanted.timezone).create();
+
+    PropertiesService.getScriptProperties().setProperty(
+      `${
+        CruxExtractor_.CONFIG.SCHEDULE_PROPERTY_PREFIX
+      }.${trigger.getUniqueId()}`,
+      JSON.stringify(wanted)
+    );
+    Logger.log(
+      `Crux Extractor:: Installed ${frequency} schedule for ${handler}()`
+    );
+
+    const schedule = CruxExtractor_.listSchedules().find(
+      ({ uniqueId }) => uniqueId === trigger.getUniqueId()
+    );
+    return { installed: true, removed, schedule };
+  }
+
+  /**
+   * Deletes the schedules installSchedule() created, or every time-driven
+   * trigger running one function. Without a function, triggers made any
+   * other way (`managed: false`) are left alone, so unrelated triggers in the
+   * project survive. Continuation triggers of resumable runs are always kept.
+   *
+   * @param {string} [handler] - Remove all triggers running this function,
+   *   managed or not
+   * @returns {number} Number of triggers deleted
+   */
+  static removeSchedules(handler) {
+    const schedules = CruxExtractor_.listSchedules().filter(
+      (schedule) =>
+        !schedule.continuation &&
+        (handler === undefined
+          ? schedule.managed
+          : schedule.function === handler)
+    );
+    const removed = CruxExtractor_.deleteSchedules(schedules);
+    Logger.log(`Crux Extractor:: Removed ${removed} schedule(s)`);
+    return removed;
+  }
+
+  /**
+   * Deletes the triggers of listSchedules() entries and their stored
+   * schedules.
+   *
+   * @param {Array<{uniqueId: string}>} schedules - Entries to delete
+   * @returns {number} Number of triggers deleted
+   */
+  static deleteSchedules(schedules) {
+    const ids = schedules.map(({ uniqueId }) => uniqueId);
+    const properties = PropertiesService.getScriptProperties();
+    let removed = 0;
+
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      const uniqueId = trigger.getUniqueId();
+      if (ids.includes(uniqueId)) {
+        ScriptApp.deleteTrigger(trigger);
+        properties.deleteProperty(
+          `${CruxExtractor_.CONFIG.SCHEDULE_PROPERTY_PREFIX}.${uniqueId}`
+        );
+        removed++;
+      }
+    }
+    return removed;
+  }
 }
 
 /**
  * Public entry point. Extracts CrUX data and writes it to a Google Sheet.
  *
- * This is the single public function. It is exposed both when this file is
- * copy-pasted into an Apps Script project and when the project is added as a
- * library — call it as `Crux.extract(config)`, where `Crux` is the library
- * identifier you chose. As a library, the code runs under the CONSUMER's
- * authorization, so the consuming project must authorize the UrlFetchApp and
- * SpreadsheetApp scopes on first run.
+ * This is the main public function (see also extractAll() and migrate()).
+ * It is exposed both when this file is copy-pasted into an Apps Script
+ * project and when the project is added as a library — call it as
+ * `Crux.extract(config)`, where `Crux` is the library identifier you chose.
+ * As a library, the code runs under the CONSUMER's
+ * authorization. Apps Script infers scopes from the code, not from the
+ * config, so the first run asks for every service this file references -
+ * UrlFetchApp, SpreadsheetApp, DriveApp, MailApp and ScriptApp - unless the
+ * project lists narrower `oauthScopes` in its manifest (see README).
  *
  * @param {Object} config - Configuration object
- * @param {string[]} config.urls - URLs to fetch CrUX data for
+ * @param {string[]} [config.urls] - Page URLs to fetch CrUX data for
+ * @param {string[]} [config.origins] - Origins to fetch origin-level data for
+ *   (at least one URL or origin is required)
  * @param {string} config.spreadsheetId - Target Google Sheets ID
  * @param {string} config.apiKey - Google API key with CrUX API access
  *   (See: https://developer.chrome.com/docs/crux/api)
  * @param {string[]} [config.formFactor=["PHONE","DESKTOP","ALL_FORM_FACTORS"]]
  *   - Form factors to query: PHONE, DESKTOP, TABLET, or ALL_FORM_FACTORS
  *     (ALL_FORM_FACTORS returns data aggregated across all form factors)
+ * @param {string[]} [config.effectiveConnectionType=["ALL_CONNECTION_TYPES"]]
+ *   - Connection types to query: 4G, 3G, 2G, slow-2G, offline, or
+ *     ALL_CONNECTION_TYPES (aggregated across all connection types)
  * @param {string} [config.sheetTabName="cruxData"] - Target tab (created if missing)
+ * @param {string} [config.mode="record"] - "record" (latest 28-day snapshot) or
+ *   "history" (weekly time series from the CrUX History API)
+ * @param {number} [config.collectionPeriodCount=25] - History mode: periods to fetch (1-40)
+ * @param {string} [config.historyTabName="cruxHistory"] - History mode: target tab
+ * @param {number} [config.maxRetries=3] - Retries per request on network errors,
+ *   429 and 5xx responses (0 disables retrying)
+ * @param {number} [config.retryBaseDelayMs=1000] - Initial backoff delay in ms
+ * @param {string} [config.onDuplicate="skip"] - Rows already in the tab for the
+ *   same key: "skip", "overwrite" or "append"
+ * @param {boolean} [config.lcpBreakdown=false] - Also write LCP subparts and
+ *   resource type to `lcpBreakdownTabName` (default "lcpBreakdown")
+ * @param {string[]} [config.metrics] - CrUX API metric names to request and
+ *   write (default: all, in the fixed column layout)
+ * @param {string} [config.outputFormat="wide"] - "wide" (four columns per
+ *   metric) or "long" (one row per metric)
+ * @param {boolean} [config.originFallback=false] - Query a page's origin when
+ *   the page has no CrUX data, writing it with Scope ORIGIN_FALLBACK
+ * @param {Object} [config.cwvThresholds] - Overrides for the Core Web Vitals
+ *   status thresholds, e.g.
+ *   `{ largest_contentful_paint: { good: 2000, poor: 3500 } }`
+ * @param {string[]} [config.alertRecipients=[]] - Email a regression summary
+ *   to these addresses after each run (record mode)
+ * @param {number} [config.alertThresholdPercent=10] - p75 increase, in
+ *   percent, that counts as a regression
+ * @param {string[]} [config.webhookUrls=[]] - POST the run summary, failed
+ *   requests and regressions to these URLs after each run
+ * @param {string} [config.webhookFormat="chat"] - "chat" (Slack/Google Chat
+ *   `{ text }` message) or "json" (raw data)
+ * @param {boolean} [config.resumable=false] - Checkpoint progress and continue
+ *   in a later execution when `timeBudgetMs` runs out
+ * @param {number} [config.timeBudgetMs=270000] - Resumable runs: time to spend
+ *   fetching per execution
+ * @param {string} [config.continuationFunction="main"] - Resumable runs:
+ *   function the continuation trigger calls; it must call extract() with the
+ *   same config
+ * @param {string} [config.configSheetName] - Also read URLs, per-URL form
+ *   factors, labels and an enabled flag from this tab of the spreadsheet
+ * @param {string} [config.sitemapUrl] - Also query the page URLs listed in
+ *   this sitemap or sitemap index
+ * @param {number} [config.sitemapMaxUrls=500] - Most URLs to take from the sitemap
+ * @param {Array<string|RegExp>} [config.sitemapInclude=[]] - Only take sitemap
+ *   URLs matching one of these patterns
+ * @param {Array<string|RegExp>} [config.sitemapExclude=[]] - Skip sitemap URLs
+ *   matching any of these patterns
+ * @param {Array<{name: string, urls?: string[], pattern?: (string|RegExp)}>}
+ *   [config.urlGroups=[]] - Named page groups, by URL list or a regular
+ *   expression on the path; aggregate rows per group go to `groupTabName`
+ * @param {string} [config.groupTabName="cruxGroups"] - Tab for the group rows
+ * @param {boolean} [config.skipUnchanged=false] - Skip rows whose collection
+ *   period is already in the tab, logging their requests as UNCHANGED
+ * @param {Array<string|Object>} [config.sinks=["sheets"]] - Outputs for the
+ *   rows: "sheets", "csv" and/or "json" (files in Drive), "http" (batched
+ *   POSTs to an endpoint), or custom sinks
  * @returns {Promise<Object>} Execution summary
  * @throws {Error} If config is missing or not an object
  */
@@ -750,8 +4912,182 @@ function extract(config) {
 }
 
 /**
- * Copy-paste entry point. Edit the config below and bind an Apps Script
- * time-based trigger to this `main` function.
+ * Runs several extractions - e.g. one per brand, each with its own
+ * spreadsheet and URL list - one after another in a single call.
+ *
+ * Takes the script lock for the whole batch (`tryLock(0)`: if another run
+ * holds it, nothing runs), so one trigger replaces one per config; don't
+ * wrap it in a lock of your own. Jobs share an execution ID prefix, with
+ * `_1`, `_2`, ... per job. A failing job doesn't stop the others; its error
+ * is reported in the combined summary.
+ *
+ * @param {Object[]} jobs - extract() configs, each with an optional `name`
+ *   for the summary and logs (default "job1", "job2", ...). `resumable` is
+ *   not supported
+ * @returns {Promise<?Object>} Combined summary: `{ executionId, succeeded,
+ *   failed, totals, jobs }`, where `totals` sums the jobs' numeric summary
+ *   fields and `jobs` holds each job's name, executionId, status
+ *   (SUCCESS/FAILED), summary and error. null if the lock is held
+ * @throws {Error} If jobs is not a non-empty array of objects, names repeat,
+ *   or every job failed
+ */
+function extractAll(jobs) {
+  if (
+    !Array.isArray(jobs) ||
+    jobs.length === 0 ||
+    !jobs.every((job) => job && typeof job === "object")
+  ) {
+    throw new Error(
+      "Crux Extractor: extractAll(jobs) requires a non-empty array of configuration objects"
+    );
+  }
+  const names = jobs.map((job, index) => job.name || `job${index + 1}`);
+  if (new Set(names).size !== names.length) {
+    throw new Error("Crux Extractor: extractAll() job names must be unique");
+  }
+  return CruxExtractor_.runJobs(jobs);
+}
+
+/**
+ * Upgrades an existing data tab to the current sheet schema.
+ *
+ * Pass the same config you give `extract()`: the tab (`sheetTabName`, or
+ * `historyTabName` in history mode) is rewritten in the layout that config
+ * writes. Drops the empty FID columns, adds any missing columns and turns
+ * text dates into real dates. The original is copied to a backup tab first.
+ * Tabs already at the current version are left alone.
+ *
+ * @param {Object} config - Same configuration object as extract()
+ * @returns {Promise<Object>} Migration summary: tabName, fromVersion,
+ *   toVersion, rowsMigrated, backupTabName
+ * @throws {Error} If config is missing or not an object, or the tab does not exist
+ */
+function migrate(config) {
+  if (!config || typeof config !== "object") {
+    throw new Error(
+      "Crux Extractor: migrate(config) requires a configuration object"
+    );
+  }
+  return new CruxExtractor_(config).migrateSheet();
+}
+
+/**
+ * Installs a time-driven trigger that runs your entry function on a schedule.
+ *
+ * Idempotent: calling it again with the same options does nothing, and with
+ * new options replaces the schedule. Duplicate triggers for the function
+ * (from installing it twice, or by hand) are replaced by one, since each
+ * would fire its own run. Run it once from the editor (`Crux.installSchedule`
+ * as a library). Continuation triggers of resumable runs are never touched.
+ *
+ * @param {Object} options - Schedule options
+ * @param {string} options.function - Name of the top-level function to run,
+ *   e.g. "main"
+ * @param {string} [options.frequency="daily"] - "hourly", "daily" or "weekly"
+ * @param {number} [options.hour=6] - Hour of day, 0-23 (daily and weekly);
+ *   Apps Script fires within that hour
+ * @param {string} [options.weekDay="MONDAY"] - Day of week (weekly)
+ * @param {string} [options.timezone] - IANA time zone for `hour`, e.g.
+ *   "Europe/Berlin" (default: the script's time zone)
+ * @returns {{installed: boolean, removed: number, schedule: Object}} Whether
+ *   a trigger was created, how many existing ones were deleted, and the
+ *   resulting listSchedules() entry
+ * @throws {Error} If an option is invalid
+ */
+function installSchedule(options) {
+  if (!options || typeof options !== "object") {
+    throw new Error(
+      "Crux Extractor: installSchedule(options) requires an options object"
+    );
+  }
+  const {
+    function: handler,
+    frequency = "daily",
+    hour = 6,
+    weekDay = "MONDAY",
+    timezone = Session.getScriptTimeZone(),
+  } = options;
+  const weekDays = [
+    "MONDAY",
+    "TUESDAY",
+    "WEDNESDAY",
+    "THURSDAY",
+    "FRIDAY",
+    "SATURDAY",
+    "SUNDAY",
+  ];
+
+  if (typeof handler !== "string" || !handler.trim()) {
+    throw new Error(
+      "Crux Extractor: 'function' must be the name of a top-level function"
+    );
+  }
+  if (!["hourly", "daily", "weekly"].includes(frequency)) {
+    throw new Error(
+      'Crux Extractor: \'frequency\' must be "hourly", "daily" or "weekly"'
+    );
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error("Crux Extractor: 'hour' must be an integer from 0 to 23");
+  }
+  if (!weekDays.includes(weekDay)) {
+    throw new Error(
+      `Crux Extractor: 'weekDay' must be one of ${weekDays.join(", ")}`
+    );
+  }
+  if (typeof timezone !== "string" || !timezone.trim()) {
+    throw new Error("Crux Extractor: 'timezone' must be a non-empty string");
+  }
+
+  return CruxExtractor_.installSchedule({
+    function: handler.trim(),
+    frequency,
+    hour,
+    weekDay,
+    timezone: timezone.trim(),
+  });
+}
+
+/**
+ * Lists the project's time-driven triggers. Triggers created by
+ * installSchedule() include their schedule; others (created by hand) have
+ * `managed: false`, and continuation triggers of resumable runs
+ * `continuation: true`.
+ *
+ * @returns {Array<Object>} `{ uniqueId, function, managed, continuation,
+ *   frequency, hour, weekDay, timezone }` per trigger
+ */
+function listSchedules() {
+  return CruxExtractor_.listSchedules();
+}
+
+/**
+ * Deletes the triggers installSchedule() created, or every time-driven
+ * trigger running one function (including ones made by hand). Continuation
+ * triggers of resumable runs in progress are kept.
+ *
+ * @param {string} [functionName] - Remove all triggers for this function
+ *   instead
+ * @returns {number} Number of triggers deleted
+ * @throws {Error} If functionName is given but not a non-empty string
+ */
+function removeSchedules(functionName) {
+  if (
+    functionName !== undefined &&
+    (typeof functionName !== "string" || !functionName.trim())
+  ) {
+    throw new Error(
+      "Crux Extractor: removeSchedules(functionName) requires a function name"
+    );
+  }
+  return CruxExtractor_.removeSchedules(
+    functionName === undefined ? undefined : functionName.trim()
+  );
+}
+
+/**
+ * Copy-paste entry point. Edit the config below, then run `setup()` once to
+ * schedule this `main` function.
  *
  * This function is only present in the copy-paste build (dist/standalone.js);
  * it is NOT part of the library surface. Library consumers call `extract()`
@@ -763,9 +5099,9 @@ function extract(config) {
 async function main() {
   // Reduce the chance of duplicate rows from a CONCURRENT trigger double-fire:
   // if another invocation is already running, skip this one. tryLock(0) returns
-  // immediately without waiting. Note this does not dedupe SEQUENTIAL re-runs
-  // (a second fire after the first finishes and releases the lock); for full
-  // idempotency, dedupe by date before writing.
+  // immediately without waiting. SEQUENTIAL re-runs (a second fire after the
+  // first finishes and releases the lock) are handled at write time by the
+  // onDuplicate option below.
   const lock = LockService.getScriptLock();
   if (!lock.tryLock(0)) {
     Logger.log(
@@ -783,6 +5119,9 @@ async function main() {
       // (ALL_FORM_FACTORS returns data aggregated across all form factors).
       formFactor: ["PHONE", "DESKTOP", "ALL_FORM_FACTORS"],
       sheetTabName: "cruxData",
+      // Rows already written for the same date/platform/URL: "skip" (default),
+      // "overwrite" in place, or "append" anyway.
+      onDuplicate: "skip",
     });
   } catch (error) {
     // Log before rethrowing so a failed trigger run leaves a diagnosable
@@ -796,3 +5135,14 @@ async function main() {
     lock.releaseLock();
   }
 }
+
+/**
+ * One-time setup: run this once from the editor to run `main()` every day
+ * between 6 and 7 am (script time zone). Safe to run again; it never
+ * creates a second trigger. Adjust the schedule and re-run to change it.
+ *
+ * @returns {Object} installSchedule() result
+ */
+function setup() {
+  return installSchedule({ function: "main", frequency: "daily", hour: 6 });
+}
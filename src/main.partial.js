@@ -1,6 +1,6 @@
 /**
- * Copy-paste entry point. Edit the config below and bind an Apps Script
- * time-based trigger to this `main` function.
+ * Copy-paste entry point. Edit the config below, then run `setup()` once to
+ * schedule this `main` function.
  *
  * This function is only present in the copy-paste build (dist/standalone.js);
  * it is NOT part of the library surface. Library consumers call `extract()`
@@ -12,9 +12,9 @@
 async function main() {
   // Reduce the chance of duplicate rows from a CONCURRENT trigger double-fire:
   // if another invocation is already running, skip this one. tryLock(0) returns
-  // immediately without waiting. Note this does not dedupe SEQUENTIAL re-runs
-  // (a second fire after the first finishes and releases the lock); for full
-  // idempotency, dedupe by date before writing.
+  // immediately without waiting. SEQUENTIAL re-runs (a second fire after the
+  // first finishes and releases the lock) are handled at write time by the
+  // onDuplicate option below.
   const lock = LockService.getScriptLock();
   if (!lock.tryLock(0)) {
     Logger.log(
@@ -32,6 +32,9 @@ async function main() {
       // (ALL_FORM_FACTORS returns data aggregated across all form factors).
       formFactor: ["PHONE", "DESKTOP", "ALL_FORM_FACTORS"],
       sheetTabName: "cruxData",
+      // Rows already written for the same date/platform/URL: "skip" (default),
+      // "overwrite" in place, or "append" anyway.
+      onDuplicate: "skip",
     });
   } catch (error) {
     // Log before rethrowing so a failed trigger run leaves a diagnosable
@@ -45,3 +48,14 @@ async function main() {
     lock.releaseLock();
   }
 }
+
+/**
+ * One-time setup: run this once from the editor to run `main()` every day
+ * between 6 and 7 am (script time zone). Safe to run again; it never
+ * creates a second trigger. Adjust the schedule and re-run to change it.
+ *
+ * @returns {Object} installSchedule() result
+ */
+function setup() {
+  return installSchedule({ function: "main", frequency: "daily", hour: 6 });
+}
@@ -12,6 +12,18 @@ function runE2ETests() {
   testErrorRecovery();
   testPartialFailures();
   testEdgeCases();
+  testHistoryBackfill();
+  testOriginQueries();
+  testTransientFailureRetry();
+  testSequentialReRun();
+  testSameCollectionPeriodReRun();
+  testLcpBreakdownExtraction();
+  testSelectedMetricsExtraction();
+  testLegacySheetMigration();
+  testLongFormatExtraction();
+  testNoDataFallback();
+  testRegressionAlertFlow();
+  testResumableRunFlow();
 
   TestMocks.cleanupGlobalMocks();
   return TestFramework.printResults();
@@ -68,10 +80,10 @@ function testCompleteDataExtractionFlow() {
 
       const normalized = extractor.normalizedResponse;
       TestFramework.expect(normalized.length).toBe(1);
-      TestFramework.expect(normalized[0].length).toBe(31);
+      TestFramework.expect(normalized[0].length).toBe(45);
 
       // Verify data structure
-      TestFramework.expect(typeof normalized[0][0]).toBe("string"); // Date
+      TestFramework.expect(normalized[0][0]).toBeInstanceOf(Date); // Period end
       TestFramework.expect(typeof normalized[0][1]).toBe("string"); // FormFactor
       TestFramework.expect(typeof normalized[0][2]).toBe("string"); // URL
       // Remaining are metric values (numbers or "-")
@@ -119,6 +131,7 @@ function testErrorRecovery() {
         spreadsheetId: "test-sheet-id",
         apiKey: "test-api-key",
         formFactor: ["PHONE", "DESKTOP"],
+        maxRetries: 0, // Treat the 500 as final rather than retrying it
       });
 
       try {
@@ -230,6 +243,7 @@ function testPartialFailures() {
         spreadsheetId: "test-sheet-id",
         apiKey: "test-api-key",
         formFactor: ["PHONE", "DESKTOP", "ALL_FORM_FACTORS"],
+        maxRetries: 0, // Treat the 500 as final rather than retrying it
       });
 
       const summary = await extractor.run();
@@ -345,7 +359,7 @@ function testEdgeCases() {
               histogram: [{ density: 0.5 }, { density: 0.3 }, { density: 0.2 }],
               percentiles: { p75: 2500 },
             },
-            // Missing FID, CLS, FCP
+            // Missing INP, CLS, FCP
           },
         },
       };
@@ -370,7 +384,7 @@ function testEdgeCases() {
 
       // Verify missing metrics are filled with "-"
       const row = extractor.normalizedResponse[0];
-      TestFramework.expect(row[7]).toBe("-"); // FID Good should be "-"
+      TestFramework.expect(row[7]).toBe("-"); // INP Good should be "-"
     });
 
     TestFramework.it("should handle empty histogram arrays", async () => {
@@ -423,3 +437,452 @@ function testEdgeCases() {
     });
   });
 }
+
+/**
+ * Test history-mode backfill
+ */
+function testHistoryBackfill() {
+  TestFramework.describe("E2E: History Backfill", () => {
+    TestFramework.it("should backfill every collection period per URL/form factor", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createHistoryResponse(25),
+          TestMocks.createHistoryResponse(25, { formFactor: "DESKTOP" }),
+        ],
+        sheetExists: false,
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE", "DESKTOP"],
+        mode: "history",
+      });
+
+      const summary = await extractor.run();
+
+      TestFramework.expect(summary.totalRequests).toBe(2);
+      TestFramework.expect(summary.successfulResponses).toBe(2);
+      TestFramework.expect(summary.rowsWritten).toBe(50);
+      TestFramework.expect(UrlFetchApp.getCalls()[0].url).toContain(
+        "records:queryHistoryRecord"
+      );
+    });
+  });
+}
+
+/**
+ * Test origin-level queries alongside page URLs
+ */
+function testOriginQueries() {
+  TestFramework.describe("E2E: Origin Queries", () => {
+    TestFramework.it("should collect page and origin rows in one run", async () => {
+      const originResponse = TestMocks.createMockResponse(200, {
+        record: {
+          key: { formFactor: "PHONE", origin: "https://example.com" },
+          metrics: {},
+        },
+      });
+
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse(), originResponse],
+        sheetExists: false,
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        origins: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      });
+
+      const summary = await extractor.run();
+
+      TestFramework.expect(summary.totalRequests).toBe(2);
+      TestFramework.expect(summary.rowsWritten).toBe(2);
+      TestFramework.expect(extractor.normalizedResponse[1][27]).toBe("ORIGIN");
+    });
+  });
+}
+
+/**
+ * Test retrying transient API failures
+ */
+function testTransientFailureRetry() {
+  TestFramework.describe("E2E: Transient Failure Retry", () => {
+    TestFramework.it("should fill the gap left by a transient 503", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createMockResponse(503, "Service Unavailable"),
+          TestMocks.createMockResponse(429, "Too Many Requests", {
+            "Retry-After": "2",
+          }),
+          TestMocks.createDefaultResponse(),
+          TestMocks.createDefaultResponse(),
+        ],
+        sheetExists: false,
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE", "DESKTOP"],
+      });
+
+      const summary = await extractor.run();
+
+      TestFramework.expect(summary.successfulResponses).toBe(2);
+      TestFramework.expect(summary.failedRequests).toBe(0);
+      TestFramework.expect(extractor.executionRecords[0].attempts).toBe(3);
+      TestFramework.expect(extractor.executionRecords[1].attempts).toBe(1);
+      TestFramework.expect(Utilities.getSleeps()).toContain(2000);
+    });
+  });
+}
+
+/**
+ * Test that a sequential re-run does not duplicate rows
+ */
+function testSequentialReRun() {
+  TestFramework.describe("E2E: Sequential Re-run", () => {
+    TestFramework.it("should not append the same rows twice", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createDefaultResponse(),
+        ],
+        sheetExists: true,
+      });
+
+      const config = {
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      };
+
+      const first = await new CruxExtractor_(config).run();
+      const second = await new CruxExtractor_(config).run();
+
+      TestFramework.expect(first.rowsWritten).toBe(1);
+      TestFramework.expect(second.rowsWritten).toBe(0);
+      TestFramework.expect(second.duplicatesSkipped).toBe(1);
+    });
+  });
+}
+
+/**
+ * Test that runs on different days over the same CrUX window are recognised
+ */
+function testSameCollectionPeriodReRun() {
+  TestFramework.describe("E2E: Same Collection Period", () => {
+    TestFramework.it("should recognise a re-run over an unchanged data window", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createDefaultResponse(),
+        ],
+        sheetExists: true,
+      });
+
+      const config = {
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        onDuplicate: "overwrite",
+      };
+
+      const first = new CruxExtractor_(config);
+      await first.run();
+      const second = new CruxExtractor_(config);
+      const summary = await second.run();
+
+      TestFramework.expect(summary.rowsUpdated).toBe(1);
+      TestFramework.expect(second.normalizedResponse[0][29]).toBeInstanceOf(Date);
+    });
+  });
+}
+
+/**
+ * Test that the LCP breakdown tab is filled alongside the main tab
+ */
+function testLcpBreakdownExtraction() {
+  TestFramework.describe("E2E: LCP Breakdown", () => {
+    TestFramework.it("should write LCP subparts next to the main data", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createLcpBreakdownResponse()],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        lcpBreakdown: true,
+      });
+
+      const summary = await extractor.run();
+
+      TestFramework.expect(summary.rowsWritten).toBe(1);
+      TestFramework.expect(summary.lcpBreakdownRowsWritten).toBe(1);
+      TestFramework.expect(extractor.lcpBreakdownResponse[0][5]).toBe(800);
+      TestFramework.expect(extractor.lcpBreakdownResponse[0][9]).toBe(0.65);
+    });
+  });
+}
+
+/**
+ * Test a run restricted to a subset of metrics
+ */
+function testSelectedMetricsExtraction() {
+  TestFramework.describe("E2E: Selected Metrics", () => {
+    TestFramework.it("should request and write only the selected metrics", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse()],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        metrics: ["largest_contentful_paint", "cumulative_layout_shift"],
+      });
+
+      const summary = await extractor.run();
+      const payload = JSON.parse(UrlFetchApp.getCalls()[0].options.payload);
+
+      TestFramework.expect(summary.rowsWritten).toBe(1);
+      TestFramework.expect(payload.metrics.slice(0, 2)).toEqual([
+        "largest_contentful_paint",
+        "cumulative_layout_shift",
+      ]);
+      TestFramework.expect(extractor.normalizedResponse[0].length).toBe(29);
+    });
+  });
+}
+
+/**
+ * Test that a pre-versioning tab keeps working, then migrates cleanly
+ */
+function testLegacySheetMigration() {
+  TestFramework.describe("E2E: Legacy Sheet Migration", () => {
+    TestFramework.it("should write the legacy layout, then the current one after migrate()", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createDefaultResponse(),
+        ],
+      });
+
+      const config = {
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        onDuplicate: "append",
+      };
+
+      // Seed the 31-column header row the extractor used to write
+      const sheet = SpreadsheetApp.openById("test-sheet-id").insertSheet("cruxData");
+      const legacy = new CruxExtractor_(config);
+      legacy.schemaVersion = 2;
+      sheet.getRange(1, 1, 1, 31).setValues([legacy.getRecordHeaders().slice(0, 31)]);
+
+      const before = new CruxExtractor_(config);
+      await before.run();
+      TestFramework.expect(before.normalizedResponse[0].length).toBe(49);
+
+      const result = await migrate(config);
+      TestFramework.expect(result.fromVersion).toBe(2);
+      TestFramework.expect(result.rowsMigrated).toBe(1);
+
+      const after = new CruxExtractor_(config);
+      await after.run();
+      TestFramework.expect(after.schemaVersion).toBe(3);
+      TestFramework.expect(after.normalizedResponse[0].length).toBe(45);
+      TestFramework.expect(sheet.getData()[2].length).toBe(45);
+    });
+  });
+}
+
+/**
+ * Test a long-format run, including a re-run over the same period
+ */
+function testLongFormatExtraction() {
+  TestFramework.describe("E2E: Long Output Format", () => {
+    TestFramework.it("should write one row per metric and skip them on a re-run", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createDefaultResponse(),
+        ],
+      });
+
+      const config = {
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        sheetTabName: "cruxLong",
+        outputFormat: "long",
+      };
+
+      const first = await new CruxExtractor_(config).run();
+      const second = await new CruxExtractor_(config).run();
+      const sheet = SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxLong");
+
+      TestFramework.expect(first.rowsWritten).toBe(6);
+      TestFramework.expect(second.rowsWritten).toBe(0);
+      TestFramework.expect(second.duplicatesSkipped).toBe(6);
+      TestFramework.expect(sheet.getLastRow()).toBe(7);
+    });
+  });
+}
+
+/**
+ * Test a page without CrUX data falling back to its origin
+ */
+function testNoDataFallback() {
+  TestFramework.describe("E2E: No Data and Origin Fallback", () => {
+    TestFramework.it("should log NO_DATA and write the origin under the page", async () => {
+      const originResponse = JSON.parse(TestMocks.createDefaultResponse().getContentText());
+      originResponse.record.key = { formFactor: "PHONE", origin: "https://example.com" };
+
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createMockResponse(404, {
+            error: { code: 404, message: "chrome ux report data not found", status: "NOT_FOUND" },
+          }),
+          TestMocks.createMockResponse(200, originResponse),
+        ],
+        sheetExists: false,
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com/rare"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        originFallback: true,
+      });
+
+      const summary = await extractor.run();
+      const spreadsheet = SpreadsheetApp.openById("test-sheet-id");
+      const dataRow = spreadsheet.getSheetByName("cruxData").getData()[1];
+      const history = spreadsheet.getSheetByName("executionHistory").getData();
+
+      TestFramework.expect(summary.rowsWritten).toBe(1);
+      TestFramework.expect(summary.failedRequests).toBe(0);
+      TestFramework.expect(summary.noDataUrls).toBe(1);
+      TestFramework.expect(summary.originFallbacks).toBe(1);
+      TestFramework.expect(dataRow[2]).toBe("https://example.com/rare");
+      TestFramework.expect(dataRow[27]).toBe("ORIGIN_FALLBACK");
+      TestFramework.expect(history[1][4]).toBe("NO_DATA");
+      TestFramework.expect(history[2][2]).toBe("https://example.com");
+      TestFramework.expect(history[2][4]).toBe("SUCCESS");
+      TestFramework.expect(history[2][7]).toBe("YES");
+    });
+  });
+}
+
+/**
+ * Test a daily run that regresses against the previous day's row
+ */
+function testRegressionAlertFlow() {
+  TestFramework.describe("E2E: Regression Alerts", () => {
+    TestFramework.it("should email the recipients once a metric regresses", async () => {
+      const dayResponse = (day, inp) => {
+        const content = JSON.parse(TestMocks.createDefaultResponse().getContentText());
+        content.record.metrics.interaction_to_next_paint = {
+          histogram: [{ density: 0.8 }, { density: 0.15 }, { density: 0.05 }],
+          percentiles: { p75: inp },
+        };
+        content.record.collectionPeriod.lastDate = { year: 2024, month: 2, day };
+        return TestMocks.createMockResponse(200, content);
+      };
+
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [dayResponse(1, 180), dayResponse(2, 180), dayResponse(3, 520)],
+        sheetExists: false,
+      });
+
+      const config = {
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        onDuplicate: "append", // The Utilities mock formats every date the same
+        alertRecipients: ["team@example.com"],
+      };
+
+      const first = await new CruxExtractor_(config).run();
+      const second = await new CruxExtractor_(config).run();
+      const third = await new CruxExtractor_(config).run();
+      const sent = MailApp.getSent();
+
+      TestFramework.expect(first.regressionsDetected).toBe(0);
+      TestFramework.expect(second.regressionsDetected).toBe(0);
+      TestFramework.expect(third.regressionsDetected).toBe(1);
+      TestFramework.expect(sent.length).toBe(1);
+      TestFramework.expect(sent[0].to).toBe("team@example.com");
+      TestFramework.expect(sent[0].body).toContain("INP p75 180 -> 520");
+      TestFramework.expect(sent[0].body).toContain("Good -> Poor");
+    });
+  });
+}
+
+/**
+ * E2E Test: A resumable run spread over several executions
+ */
+function testResumableRunFlow() {
+  TestFramework.describe("E2E: Resumable Run", () => {
+    TestFramework.it("should finish a large URL set across executions", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+
+      const config = {
+        urls: [
+          "https://example.com/a",
+          "https://example.com/b",
+          "https://example.com/c",
+        ],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE", "DESKTOP"],
+        onDuplicate: "append", // The Utilities mock formats every date the same
+        resumable: true,
+        timeBudgetMs: 0, // One request per execution
+        continuationFunction: "runCrux",
+      };
+
+      const results = [];
+      let result;
+      do {
+        result = await new CruxExtractor_(config).run();
+        results.push(result);
+      } while (!result.completed);
+
+      const data = SpreadsheetApp.openById("test-sheet-id")
+        .getSheetByName("cruxData")
+        .getData();
+      const history = SpreadsheetApp.openById("test-sheet-id")
+        .getSheetByName("executionHistory")
+        .getData();
+      const executionIds = new Set(results.map((r) => r.executionId));
+
+      TestFramework.expect(results.length).toBe(6);
+      TestFramework.expect(executionIds.size).toBe(1);
+      TestFramework.expect(results[2].requestsProcessed).toBe(3);
+      TestFramework.expect(result.executions).toBe(6);
+      TestFramework.expect(result.rowsWritten).toBe(6);
+      TestFramework.expect(data.length).toBe(7);
+      TestFramework.expect(history.length).toBe(7);
+      TestFramework.expect(history[1][0]).toBe(result.executionId);
+      TestFramework.expect(ScriptApp.getProjectTriggers().length).toBe(0);
+    });
+  });
+}
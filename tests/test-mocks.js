@@ -8,14 +8,20 @@ const TestMocks = {
    */
   createUrlFetchAppMock(responses = []) {
     let callIndex = 0;
+    const calls = [];
 
     return {
       fetch(url, options) {
+        calls.push({ url, options });
         const response = responses[callIndex] || TestMocks.createDefaultResponse();
         callIndex++;
         return response;
       },
 
+      getCalls() {
+        return calls;
+      },
+
       fetchAll(urls, options) {
         return responses.slice(0, urls.length);
       },
@@ -29,11 +35,14 @@ const TestMocks = {
   /**
    * Create a mock HTTP response
    */
-  createMockResponse(statusCode, content) {
+  createMockResponse(statusCode, content, headers = {}) {
     return {
       getResponseCode() {
         return statusCode;
       },
+      getHeaders() {
+        return headers;
+      },
       getContentText() {
         return typeof content === "string" ? content : JSON.stringify(content);
       },
@@ -84,6 +93,101 @@ const TestMocks = {
             percentiles: { p75: 1800 },
           },
         },
+        collectionPeriod: {
+          firstDate: { year: 2023, month: 12, day: 4 },
+          lastDate: { year: 2023, month: 12, day: 31 },
+        },
+      },
+    };
+
+    return TestMocks.createMockResponse(200, content);
+  },
+
+  /**
+   * Create a successful CrUX History API response with the given number of
+   * weekly collection periods
+   */
+  createHistoryResponse(periodCount = 3, key = {}) {
+    const periods = [];
+    for (let i = 0; i < periodCount; i++) {
+      periods.push({
+        firstDate: { year: 2024, month: 1, day: 1 + i * 7 },
+        lastDate: { year: 2024, month: 1, day: 28 + i },
+      });
+    }
+    const series = (value) => Array(periodCount).fill(value);
+
+    const content = {
+      record: {
+        key: Object.assign(
+          { formFactor: "PHONE", url: "https://example.com" },
+          key
+        ),
+        metrics: {
+          largest_contentful_paint: {
+            histogramTimeseries: [
+              { start: 0, end: 2500, densities: series(0.7) },
+              { start: 2500, end: 4000, densities: series(0.2) },
+              { start: 4000, densities: series(0.1) },
+            ],
+            percentilesTimeseries: { p75s: series(2500) },
+          },
+          cumulative_layout_shift: {
+            histogramTimeseries: [
+              { start: "0.00", end: "0.10", densities: series(0.75) },
+              { start: "0.10", end: "0.25", densities: series(0.2) },
+              { start: "0.25", densities: series(0.05) },
+            ],
+            percentilesTimeseries: { p75s: series("0.10") },
+          },
+        },
+        collectionPeriods: periods,
+      },
+    };
+
+    return TestMocks.createMockResponse(200, content);
+  },
+
+  /**
+   * Create a successful CrUX API response carrying the LCP subpart
+   * percentiles and resource type fractions
+   */
+  createLcpBreakdownResponse() {
+    const content = {
+      record: {
+        key: {
+          formFactor: "PHONE",
+          url: "https://example.com",
+        },
+        metrics: {
+          largest_contentful_paint: {
+            histogram: [
+              { density: 0.7 },
+              { density: 0.2 },
+              { density: 0.1 },
+            ],
+            percentiles: { p75: 2500 },
+          },
+          largest_contentful_paint_image_time_to_first_byte: {
+            percentiles: { p75: 800 },
+          },
+          largest_contentful_paint_image_resource_load_delay: {
+            percentiles: { p75: 300 },
+          },
+          largest_contentful_paint_image_resource_load_duration: {
+            percentiles: { p75: 900 },
+          },
+          largest_contentful_paint_image_element_render_delay: {
+            percentiles: { p75: 500 },
+          },
+          largest_contentful_paint_resource_type: {
+            fractions: { image: 0.65, text: 0.35 },
+          },
+        },
+        collectionPeriod: {
+          firstDate: { year: 2023, month: 12, day: 4 },
+          lastDate: { year: 2023, month: 12, day: 31 },
+        },
       },
     };
 
@@ -104,13 +208,27 @@ const TestMocks = {
             return sheets;
           },
           getSheetByName(name) {
-            return sheetExists ? mockSheet : null;
+            if (sheetExists) {
+              return mockSheet;
+            }
+            return sheets.find((sheet) => sheet.getName() === name) || null;
           },
           insertSheet(name) {
+            if (sheets.some((existing) => existing.getName() === name)) {
+              throw new Error(
+                `A sheet with the name "${name}" already exists. Please enter another name.`
+              );
+            }
             const newSheet = TestMocks.createMockSheet(name);
             sheets.push(newSheet);
             return newSheet;
           },
+          deleteSheet(sheet) {
+            const index = sheets.indexOf(sheet);
+            if (index !== -1) {
+              sheets.splice(index, 1);
+            }
+          },
           setActiveSheet(sheet) {
             return sheet;
           },
@@ -123,8 +241,9 @@ const TestMocks = {
    * Create a mock sheet object
    */
   createMockSheet(name = "cruxData") {
-    const data = [];
+    let data = [];
     let lastRow = 0;
+    const metadata = [];
 
     return {
       getName() {
@@ -133,11 +252,39 @@ const TestMocks = {
       getLastRow() {
         return lastRow;
       },
+      getLastColumn() {
+        return data.reduce((max, cells) => Math.max(max, cells.length), 0);
+      },
+      clearContents() {
+        data = [];
+        lastRow = 0;
+      },
+      getDeveloperMetadata() {
+        return metadata.slice();
+      },
+      addDeveloperMetadata(key, value) {
+        let stored = value;
+        metadata.push({
+          getKey() {
+            return key;
+          },
+          getValue() {
+            return stored;
+          },
+          setValue(newValue) {
+            stored = newValue;
+          },
+        });
+      },
       getRange(row, col, numRows, numCols) {
         return {
           setValues(values) {
             values.forEach((rowData, index) => {
-              data[row + index - 1] = rowData;
+              const cells = (data[row + index - 1] || []).slice();
+              rowData.forEach((value, offset) => {
+                cells[col - 1 + offset] = value;
+              });
+              data[row + index - 1] = cells;
               if (row + index > lastRow) {
                 lastRow = row + index;
               }
@@ -146,7 +293,8 @@ const TestMocks = {
           getValues() {
             const result = [];
             for (let i = 0; i < numRows; i++) {
-              result.push(data[row + i - 1] || []);
+              const cells = data[row + i - 1] || [];
+              result.push(cells.slice(col - 1, col - 1 + numCols));
             }
             return result;
           },
@@ -162,11 +310,17 @@ const TestMocks = {
    * Mock Utilities service
    */
   createUtilitiesMock() {
+    const sleeps = [];
+
     return {
       sleep(ms) {
-        // In tests, we don't actually sleep
+        // In tests, we don't actually sleep; record the duration instead
+        sleeps.push(ms);
         return;
       },
+      getSleeps() {
+        return sleeps;
+      },
       formatDate(date, timeZone, format) {
         return "01-01-2024";
       },
@@ -203,6 +357,329 @@ const TestMocks = {
     };
   },
 
+  /**
+   * Mock MailApp service
+   */
+  createMailAppMock() {
+    const sent = [];
+
+    return {
+      sendEmail(message) {
+        sent.push(message);
+      },
+      getSent() {
+        return sent;
+      },
+    };
+  },
+
+  /**
+   * Mock PropertiesService (script properties only)
+   */
+  createPropertiesServiceMock() {
+    const store = {};
+
+    const scriptProperties = {
+      getProperty(key) {
+        return key in store ? store[key] : null;
+      },
+      setProperty(key, value) {
+        store[key] = String(value);
+        return scriptProperties;
+      },
+      setProperties(properties) {
+        for (const key of Object.keys(properties)) {
+          store[key] = String(properties[key]);
+        }
+        return scriptProperties;
+      },
+      deleteProperty(key) {
+        delete store[key];
+        return scriptProperties;
+      },
+      getKeys() {
+        return Object.keys(store);
+      },
+      getProperties() {
+        return { ...store };
+      },
+    };
+
+    return {
+      getScriptProperties() {
+        return scriptProperties;
+      },
+    };
+  },
+
+  /**
+   * Mock ScriptApp service (time-based triggers). Each trigger keeps the
+   * builder calls it was created with in `schedule`.
+   */
+  createScriptAppMock() {
+    let triggers = [];
+    let nextId = 1;
+
+    return {
+      EventType: { CLOCK: "CLOCK", ON_OPEN: "ON_OPEN" },
+      WeekDay: {
+        MONDAY: "MONDAY",
+        TUESDAY: "TUESDAY",
+        WEDNESDAY: "WEDNESDAY",
+        THURSDAY: "THURSDAY",
+        FRIDAY: "FRIDAY",
+        SATURDAY: "SATURDAY",
+        SUNDAY: "SUNDAY",
+      },
+      newTrigger(handlerFunction) {
+        const trigger = {
+          uniqueId: `trigger_${nextId++}`,
+          handlerFunction,
+          eventType: "CLOCK",
+          afterMs: null,
+          schedule: {},
+          getUniqueId() {
+            return this.uniqueId;
+          },
+          getHandlerFunction() {
+            return this.handlerFunction;
+          },
+          getEventType() {
+            return this.eventType;
+          },
+        };
+        const builder = {
+          timeBased() {
+            return builder;
+          },
+          after(ms) {
+            trigger.afterMs = ms;
+            return builder;
+          },
+          everyHours(hours) {
+            trigger.schedule.everyHours = hours;
+            return builder;
+          },
+          everyDays(days) {
+            trigger.schedule.everyDays = days;
+            return builder;
+          },
+          onWeekDay(day) {
+            trigger.schedule.weekDay = day;
+            return builder;
+          },
+          atHour(hour) {
+            trigger.schedule.hour = hour;
+            return builder;
+          },
+          inTimezone(timezone) {
+            trigger.schedule.timezone = timezone;
+            return builder;
+          },
+          create() {
+            triggers.push(trigger);
+            return trigger;
+          },
+        };
+        return builder;
+      },
+      getProjectTriggers() {
+        return triggers.slice();
+      },
+      deleteTrigger(trigger) {
+        triggers = triggers.filter(
+          (t) => t.getUniqueId() !== trigger.getUniqueId()
+        );
+      },
+    };
+  },
+
+  /**
+   * Mock XmlService. Parses the element/text subset of XML that sitemaps use;
+   * attributes other than xmlns are ignored.
+   */
+  createXmlServiceMock() {
+    const createElement = (name, namespace) => ({
+      name,
+      namespace,
+      children: [],
+      text: "",
+      getName() {
+        return this.name;
+      },
+      getNamespace() {
+        return { getURI: () => this.namespace };
+      },
+      getChildren(childName, childNamespace) {
+        return this.children.filter(
+          (child) =>
+            child.name === childName &&
+            (!childNamespace || childNamespace.getURI() === child.namespace)
+        );
+      },
+      getChildText(childName, childNamespace) {
+        const [child] = this.getChildren(childName, childNamespace);
+        return child ? child.text : null;
+      },
+      getText() {
+        return this.text;
+      },
+    });
+
+    return {
+      parse(xml) {
+        const body = String(xml).replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, "");
+        const tagPattern = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+        const stack = [];
+        let root = null;
+        let match;
+
+        while ((match = tagPattern.exec(body)) !== null) {
+          const [, closing, name, attributes, selfClosing, text] = match;
+          if (text !== undefined) {
+            if (stack.length > 0) {
+              stack[stack.length - 1].text += text;
+            } else if (text.trim()) {
+              throw new Error("Content is not allowed in prolog.");
+            }
+            continue;
+          }
+          if (closing) {
+            const element = stack.pop();
+            if (!element || element.name !== name) {
+              throw new Error(`Unexpected closing tag </${name}>`);
+            }
+            continue;
+          }
+
+          const xmlns = attributes.match(/xmlns="([^"]*)"/);
+          const parent = stack[stack.length - 1];
+          const element = createElement(
+            name,
+            xmlns ? xmlns[1] : parent ? parent.namespace : ""
+          );
+          if (parent) {
+            parent.children.push(element);
+          } else if (root) {
+            throw new Error("Multiple root elements");
+          } else {
+            root = element;
+          }
+          if (!selfClosing) {
+            stack.push(element);
+          }
+        }
+
+        if (!root || stack.length > 0) {
+          throw new Error("Premature end of file.");
+        }
+        return {
+          getRootElement() {
+            return root;
+          },
+        };
+      },
+    };
+  },
+
+  /**
+   * Create a mock sitemap (or sitemap index) response
+   */
+  createSitemapResponse(locs, isIndex = false) {
+    const [root, entry] = isIndex ? ["sitemapindex", "sitemap"] : ["urlset", "url"];
+    const entries = locs.map((loc) => `<${entry}><loc>${loc}</loc></${entry}>`);
+    return TestMocks.createMockResponse(
+      200,
+      `<?xml version="1.0" encoding="UTF-8"?>\n<${root} xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries.join("")}</${root}>`
+    );
+  },
+
+  /**
+   * Mock LockService (script lock). `held: true` simulates another execution
+   * holding the lock.
+   */
+  createLockServiceMock(held = false) {
+    const lock = {
+      held,
+      acquired: false,
+      released: false,
+      tryLock() {
+        if (this.held) {
+          return false;
+        }
+        this.acquired = true;
+        return true;
+      },
+      releaseLock() {
+        this.released = true;
+      },
+    };
+
+    return {
+      getScriptLock() {
+        return lock;
+      },
+    };
+  },
+
+  /**
+   * Mock DriveApp. Files created in any folder are kept in one list,
+   * `getFiles()`, each with the folder ID it was created in ("root" for the
+   * root folder).
+   */
+  createDriveAppMock() {
+    const files = [];
+    const folder = (id) => ({
+      getId() {
+        return id;
+      },
+      createFile(name, content, mimeType) {
+        const file = { folderId: id, name, content, mimeType };
+        files.push(file);
+        return {
+          getId() {
+            return `file-${files.length}`;
+          },
+          getName() {
+            return file.name;
+          },
+        };
+      },
+    });
+
+    return {
+      getRootFolder() {
+        return folder("root");
+      },
+      getFolderById(id) {
+        if (id === "missing-folder") {
+          throw new Error("No item with the given ID could be found");
+        }
+        return folder(id);
+      },
+      getFiles() {
+        return files;
+      },
+    };
+  },
+
+  /**
+   * Create a CruxExtractor_ config: one URL, the mock spreadsheet and
+   * PHONE only, with each override object merged over it in turn. An
+   * override of `undefined` falls back to the constructor's default.
+   */
+  createConfig(...overrides) {
+    return Object.assign(
+      {
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      },
+      ...overrides
+    );
+  },
+
   /**
    * Setup all mocks in global scope
    */
@@ -217,6 +694,12 @@ const TestMocks = {
     global.Utilities = TestMocks.createUtilitiesMock();
     global.Session = TestMocks.createSessionMock();
     global.Logger = TestMocks.createLoggerMock();
+    global.MailApp = TestMocks.createMailAppMock();
+    global.PropertiesService = TestMocks.createPropertiesServiceMock();
+    global.ScriptApp = TestMocks.createScriptAppMock();
+    global.XmlService = TestMocks.createXmlServiceMock();
+    global.LockService = TestMocks.createLockServiceMock();
+    global.DriveApp = TestMocks.createDriveAppMock();
   },
 
   /**
@@ -228,5 +711,11 @@ const TestMocks = {
     delete global.Utilities;
     delete global.Session;
     delete global.Logger;
+    delete global.MailApp;
+    delete global.PropertiesService;
+    delete global.ScriptApp;
+    delete global.XmlService;
+    delete global.LockService;
+    delete global.DriveApp;
   },
 };
@@ -96,9 +96,84 @@ function runSpecificTest(testName) {
     case "run":
       testRun();
       break;
+    case "historyMode":
+      testHistoryMode();
+      break;
+    case "origins":
+      testOrigins();
+      break;
+    case "effectiveConnectionType":
+      testEffectiveConnectionType();
+      break;
+    case "retry":
+      testRetry();
+      break;
+    case "duplicateHandling":
+      testDuplicateHandling();
+      break;
+    case "collectionPeriod":
+      testCollectionPeriod();
+      break;
+    case "lcpBreakdown":
+      testLcpBreakdown();
+      break;
+    case "fractions":
+      testFractions();
+      break;
+    case "metricSelection":
+      testMetricSelection();
+      break;
+    case "schemaVersion":
+      testSchemaVersion();
+      break;
+    case "longFormat":
+      testLongFormat();
+      break;
+    case "urlNormalization":
+      testUrlNormalization();
+      break;
+    case "noData":
+      testNoData();
+      break;
+    case "cwvAssessment":
+      testCwvAssessment();
+      break;
+    case "regressionAlerts":
+      testRegressionAlerts();
+      break;
+    case "webhooks":
+      testWebhooks();
+      break;
+    case "resumable":
+      testResumableExecution();
+      break;
+    case "configSheet":
+      testConfigSheet();
+      break;
+    case "sitemap":
+      testSitemapDiscovery();
+      break;
+    case "urlGroups":
+      testUrlGroups();
+      break;
+    case "extractAll":
+      testExtractAll();
+      break;
+    case "schedules":
+      testSchedules();
+      break;
+    case "skipUnchanged":
+      testSkipUnchanged();
+      break;
+    case "sinks":
+      testSinks();
+      break;
+    case "httpSink":
+      testHttpSink();
+      break;
     default:
       Logger.log(`Unknown test: ${testName}`);
-      Logger.log("Available tests: constructor, isValidUrl, buildRequestUrls, fetchData, normalizeData, addToSpreadsheet, run");
+      Logger.log("Available tests: constructor, isValidUrl, buildRequestUrls, fetchData, normalizeData, addToSpreadsheet, run, historyMode, origins, effectiveConnectionType, retry, duplicateHandling, collectionPeriod, lcpBreakdown, fractions, metricSelection, schemaVersion, longFormat, urlNormalization, noData, cwvAssessment, regressionAlerts, webhooks, resumable, configSheet, sitemap, urlGroups, extractAll, schedules, skipUnchanged, sinks, httpSink");
       TestMocks.cleanupGlobalMocks();
       return null;
   }
@@ -192,6 +267,68 @@ function generateCoverageReport() {
     "normalizeData",
     "addToSpreadsheet",
     "run",
+    "buildHistoryRows",
+    "isValidOrigin",
+    "ensureHeaders",
+    "fetchWithRetry",
+    "getRetryDelay",
+    "getRowKey",
+    "getExistingRowNumbers",
+    "toCollectionDate",
+    "getLcpBreakdownRowKey",
+    "writeRows",
+    "fractionLabel",
+    "getMetricColumns",
+    "getRequestedMetrics",
+    "getMetricHeaders",
+    "getSchemaVersion",
+    "setSchemaVersion",
+    "resolveSchemaVersion",
+    "toSheetDate",
+    "migrateSheet",
+    "buildLongRows",
+    "getLongHeaders",
+    "markNormalized",
+    "fetchRecord",
+    "getCwvStatus",
+    "buildCwvColumns",
+    "getCwvHeaders",
+    "getP75Entries",
+    "findRegressions",
+    "sendRegressionAlert",
+    "formatRegression",
+    "buildWebhookPayload",
+    "notifyWebhooks",
+    "getCheckpointKey",
+    "loadCheckpoint",
+    "saveCheckpoint",
+    "clearCheckpoint",
+    "getCheckpointTabName",
+    "findCheckpointTab",
+    "scheduleContinuation",
+    "deleteContinuationTrigger",
+    "loadConfigSheet",
+    "discoverSitemapUrls",
+    "addToUrlGroup",
+    "getUrlGroup",
+    "getGroupHeaders",
+    "buildGroupRows",
+    "getGroupRowKey",
+    "runJobs",
+    "getContinuationTriggerIds",
+    "listSchedules",
+    "installSchedule",
+    "removeSchedules",
+    "deleteSchedules",
+    "readLatestPeriods",
+    "getPeriodIdentity",
+    "isUnchangedPeriod",
+    "createSink",
+    "writeToSinks",
+    "writeDriveFile",
+    "toCsv",
+    "toRowObjects",
+    "writeHttpBatches",
   ];
 
   Logger.log("Methods with test coverage:");
@@ -17,6 +17,31 @@ function runUnitTests() {
   testGetExecutionHistorySheet();
   testLogExecutionHistory();
   testRun();
+  testHistoryMode();
+  testOrigins();
+  testEffectiveConnectionType();
+  testRetry();
+  testDuplicateHandling();
+  testCollectionPeriod();
+  testLcpBreakdown();
+  testFractions();
+  testMetricSelection();
+  testSchemaVersion();
+  testLongFormat();
+  testUrlNormalization();
+  testNoData();
+  testCwvAssessment();
+  testRegressionAlerts();
+  testWebhooks();
+  testResumableExecution();
+  testConfigSheet();
+  testSitemapDiscovery();
+  testUrlGroups();
+  testExtractAll();
+  testSchedules();
+  testSkipUnchanged();
+  testSinks();
+  testHttpSink();
 
   TestMocks.cleanupGlobalMocks();
   return TestFramework.printResults();
@@ -417,7 +442,7 @@ function testNormalizeData() {
       const normalized = await extractor.normalizeData();
 
       TestFramework.expect(normalized.length).toBe(1);
-      TestFramework.expect(normalized[0].length).toBe(31); // 31 columns
+      TestFramework.expect(normalized[0].length).toBe(45); // 45 columns
       TestFramework.expect(normalized[0][0]).toBeTruthy(); // Date
       TestFramework.expect(normalized[0][1]).toBe("PHONE"); // Form factor
       TestFramework.expect(normalized[0][2]).toBe("https://example.com"); // URL
@@ -562,7 +587,7 @@ function testAddToSpreadsheet() {
         apiKey: "test-api-key",
       });
 
-      extractor.normalizedResponse = [Array(31).fill("test-data")];
+      extractor.normalizedResponse = [Array(41).fill("test-data")];
 
       await extractor.addToSpreadsheet();
 
@@ -579,7 +604,7 @@ function testAddToSpreadsheet() {
         apiKey: "test-api-key",
       });
 
-      extractor.normalizedResponse = [Array(31).fill("test-data")];
+      extractor.normalizedResponse = [Array(41).fill("test-data")];
 
       await extractor.addToSpreadsheet();
 
@@ -642,7 +667,7 @@ function testRun() {
     TestFramework.it("should return correct failure count", async () => {
       const responses = [
         TestMocks.createDefaultResponse(),
-        TestMocks.createMockResponse(404, "Not Found"),
+        TestMocks.createMockResponse(403, "Forbidden"),
       ];
 
       TestMocks.setupGlobalMocks({
@@ -879,3 +904,4602 @@ function testLogExecutionHistory() {
     });
   });
 }
+
+/**
+ * Test history mode (CrUX History API)
+ */
+function testHistoryMode() {
+  TestFramework.describe("History mode", () => {
+    TestFramework.it("should default to record mode", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(extractor.mode).toBe("record");
+      TestFramework.expect(extractor.cruxUrl).toContain("records:queryRecord");
+    });
+
+    TestFramework.it("should throw on an unknown mode", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          mode: "timeseries",
+        });
+      }).toThrow("'mode' must be");
+    });
+
+    TestFramework.it(
+      "should throw if collectionPeriodCount is out of range",
+      () => {
+        TestFramework.expect(() => {
+          new CruxExtractor_({
+            urls: ["https://example.com"],
+            spreadsheetId: "test-sheet-id",
+            apiKey: "test-api-key",
+            mode: "history",
+            collectionPeriodCount: 41,
+          });
+        }).toThrow(
+          "'collectionPeriodCount' must be an integer between 1 and 40"
+        );
+      }
+    );
+
+    TestFramework.it("should target the queryHistoryRecord endpoint", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        mode: "history",
+      });
+
+      TestFramework.expect(extractor.cruxUrl).toContain(
+        "records:queryHistoryRecord"
+      );
+      TestFramework.expect(extractor.cruxUrl).toContain("test-api-key");
+    });
+
+    TestFramework.it(
+      "should send collectionPeriodCount in each payload",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE", "ALL_FORM_FACTORS"],
+          mode: "history",
+          collectionPeriodCount: 10,
+        });
+
+        const requests = await extractor.buildRequestUrls();
+
+        TestFramework.expect(requests.length).toBe(2);
+        TestFramework.expect(
+          JSON.parse(requests[0].payload).collectionPeriodCount
+        ).toBe(10);
+        TestFramework.expect(
+          JSON.parse(requests[1].payload).collectionPeriodCount
+        ).toBe(10);
+      }
+    );
+
+    TestFramework.it("should write one row per collection period", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createHistoryResponse(3)],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        mode: "history",
+      });
+
+      await extractor.buildRequestUrls();
+      await extractor.fetchData();
+      const rows = await extractor.normalizeData();
+
+      TestFramework.expect(rows.length).toBe(3);
+      TestFramework.expect(rows[0].length).toBe(43);
+      TestFramework.expect(rows[0][0]).toBeInstanceOf(Date); // Period Start
+      TestFramework.expect(rows[0][0].getDate()).toBe(1);
+      TestFramework.expect(rows[0][1].getDate()).toBe(28); // Period End
+      TestFramework.expect(rows[1][0].getDate()).toBe(8);
+      TestFramework.expect(rows[0][2]).toBe("PHONE");
+      TestFramework.expect(rows[0][3]).toBe("https://example.com");
+      TestFramework.expect(rows[0][4]).toBe(0.7); // LCP Good
+      TestFramework.expect(rows[0][7]).toBe(2500); // LCP p75
+      TestFramework.expect(rows[0][8]).toBe("-"); // INP Good (missing metric)
+      TestFramework.expect(extractor.executionRecords[0].normalized).toBe(
+        "YES"
+      );
+    });
+
+    TestFramework.it('should write NaN densities and null p75s as "-"', () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        mode: "history",
+      });
+
+      const rows = extractor.buildHistoryRows({
+        key: { url: "https://example.com" },
+        metrics: {
+          largest_contentful_paint: {
+            histogramTimeseries: [
+              { densities: ["NaN"] },
+              { densities: ["NaN"] },
+              { densities: ["NaN"] },
+            ],
+            percentilesTimeseries: { p75s: [null] },
+          },
+        },
+        collectionPeriods: [
+          {
+            firstDate: { year: 2024, month: 3, day: 3 },
+            lastDate: { year: 2024, month: 3, day: 30 },
+          },
+        ],
+      });
+
+      TestFramework.expect(rows.length).toBe(1);
+      TestFramework.expect(rows[0][2]).toBe("AGGREGATED");
+      TestFramework.expect(rows[0][4]).toBe("-");
+      TestFramework.expect(rows[0][7]).toBe("-");
+    });
+
+    TestFramework.it(
+      "should write history rows to the history tab",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          mode: "history",
+        });
+
+        TestFramework.expect(extractor.getHistoryHeaders().length).toBe(43);
+        TestFramework.expect(extractor.getHistoryHeaders()[0]).toBe(
+          "Period Start"
+        );
+
+        extractor.normalizedResponse = [Array(39).fill("test-data")];
+        await extractor.addToSpreadsheet();
+
+        TestFramework.expect(true).toBeTruthy();
+      }
+    );
+  });
+}
+
+/**
+ * Test origin-level queries
+ */
+function testOrigins() {
+  TestFramework.describe("Origins", () => {
+    TestFramework.it("should accept an origin-only config", () => {
+      const extractor = new CruxExtractor_({
+        origins: ["https://example.com/"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(extractor.urls).toEqual([]);
+      TestFramework.expect(extractor.origins).toEqual(["https://example.com"]);
+    });
+
+    TestFramework.it("should throw if origins is not an array", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          origins: "https://example.com",
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+      }).toThrow("'origins' must be an array");
+    });
+
+    TestFramework.it("should throw if origins contain empty strings", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          origins: ["https://example.com", " "],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+      }).toThrow("All origins must be non-empty strings");
+    });
+
+    TestFramework.it("should validate bare origins only", () => {
+      const extractor = new CruxExtractor_({
+        origins: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(
+        extractor.isValidOrigin("https://example.com")
+      ).toBeTruthy();
+      TestFramework.expect(
+        extractor.isValidOrigin("https://example.com:8443")
+      ).toBeTruthy();
+      TestFramework.expect(
+        extractor.isValidOrigin("https://example.com/page")
+      ).toBeFalsy();
+      TestFramework.expect(
+        extractor.isValidOrigin("https://example.com?q=1")
+      ).toBeFalsy();
+    });
+
+    TestFramework.it("should send origins as { origin }", async () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com/page"],
+        origins: ["https://example.com", "https://example.com/not-an-origin"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      });
+
+      const requests = await extractor.buildRequestUrls();
+
+      TestFramework.expect(requests.length).toBe(2); // Invalid origin skipped
+      const pagePayload = JSON.parse(requests[0].payload);
+      const originPayload = JSON.parse(requests[1].payload);
+      TestFramework.expect(pagePayload.url).toBe("https://example.com/page");
+      TestFramework.expect(originPayload.origin).toBe("https://example.com");
+      TestFramework.expect("url" in originPayload).toBe(false);
+    });
+
+    TestFramework.it(
+      "should write a Scope column that tells origin rows apart",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createDefaultResponse(),
+            TestMocks.createMockResponse(200, {
+              record: {
+                key: { formFactor: "PHONE", origin: "https://example.com" },
+                metrics: {},
+              },
+            }),
+          ],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          origins: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+        });
+
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+        const rows = await extractor.normalizeData();
+
+        TestFramework.expect(rows[0][2]).toBe("https://example.com");
+        TestFramework.expect(rows[0][27]).toBe("PAGE");
+        TestFramework.expect(rows[1][2]).toBe("https://example.com");
+        TestFramework.expect(rows[1][27]).toBe("ORIGIN");
+        TestFramework.expect(extractor.executionRecords[1].scope).toBe(
+          "ORIGIN"
+        );
+        TestFramework.expect(extractor.executionRecords[0].normalized).toBe(
+          "YES"
+        );
+        TestFramework.expect(extractor.executionRecords[1].normalized).toBe(
+          "YES"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should add missing trailing headers to an existing 31-column tab",
+      () => {
+        const sheet = TestMocks.createMockSheet();
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+        extractor.schemaVersion = 2; // Legacy layout, as resolveSchemaVersion() picks
+        const headers = extractor.getRecordHeaders();
+        sheet.getRange(1, 1, 1, 31).setValues([headers.slice(0, 31)]);
+
+        extractor.ensureHeaders(sheet, headers);
+
+        TestFramework.expect(sheet.getData()[0].length).toBe(49);
+        TestFramework.expect(sheet.getData()[0][0]).toBe("Date");
+        TestFramework.expect(sheet.getData()[0][31]).toBe("Scope");
+        TestFramework.expect(sheet.getData()[0][32]).toBe("Connection Type");
+      }
+    );
+  });
+}
+
+/**
+ * Test the effective connection type dimension
+ */
+function testEffectiveConnectionType() {
+  TestFramework.describe("Effective connection type", () => {
+    TestFramework.it("should default to the aggregated connection type", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(extractor.effectiveConnectionType).toEqual([
+        "ALL_CONNECTION_TYPES",
+      ]);
+    });
+
+    TestFramework.it(
+      "should throw if effectiveConnectionType is not an array",
+      () => {
+        TestFramework.expect(() => {
+          new CruxExtractor_({
+            urls: ["https://example.com"],
+            spreadsheetId: "test-sheet-id",
+            apiKey: "test-api-key",
+            effectiveConnectionType: "3G",
+          });
+        }).toThrow("'effectiveConnectionType' must be a non-empty array");
+      }
+    );
+
+    TestFramework.it("should reject connection types in history mode", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          mode: "history",
+          effectiveConnectionType: ["3G"],
+        });
+      }).toThrow("not supported in history mode");
+    });
+
+    TestFramework.it(
+      "should build the URL x form factor x ECT cross product",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com", "https://test.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE", "DESKTOP"],
+          effectiveConnectionType: ["4G", "3G", "ALL_CONNECTION_TYPES"],
+        });
+
+        const requests = await extractor.buildRequestUrls();
+
+        TestFramework.expect(requests.length).toBe(12); // 2 x 2 x 3
+        const first = JSON.parse(requests[0].payload);
+        const aggregated = JSON.parse(requests[2].payload);
+        TestFramework.expect(first.effectiveConnectionType).toBe("4G");
+        TestFramework.expect(first.formFactor).toBe("PHONE");
+        TestFramework.expect("effectiveConnectionType" in aggregated).toBe(
+          false
+        );
+      }
+    );
+
+    TestFramework.it("should skip invalid connection types", async () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        effectiveConnectionType: ["3G", "5G"],
+      });
+
+      const requests = await extractor.buildRequestUrls();
+
+      TestFramework.expect(requests.length).toBe(1);
+    });
+
+    TestFramework.it(
+      "should write the connection type into its own column",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createMockResponse(200, {
+              record: {
+                key: {
+                  formFactor: "PHONE",
+                  url: "https://example.com",
+                  effectiveConnectionType: "3G",
+                },
+                metrics: {},
+              },
+            }),
+            TestMocks.createDefaultResponse(),
+          ],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+          effectiveConnectionType: ["3G", "ALL_CONNECTION_TYPES"],
+        });
+
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+        const rows = await extractor.normalizeData();
+
+        TestFramework.expect(rows[0].length).toBe(45);
+        TestFramework.expect(rows[0][28]).toBe("3G");
+        TestFramework.expect(rows[1][28]).toBe("AGGREGATED");
+        TestFramework.expect(extractor.executionRecords[0].connectionType).toBe(
+          "3G"
+        );
+        TestFramework.expect(extractor.executionRecords[0].normalized).toBe(
+          "YES"
+        );
+        TestFramework.expect(extractor.executionRecords[1].normalized).toBe(
+          "YES"
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Test retry with exponential backoff
+ */
+function testRetry() {
+  TestFramework.describe("Retry and backoff", () => {
+    TestFramework.it("should default to three retries", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(extractor.maxRetries).toBe(3);
+      TestFramework.expect(extractor.retryBaseDelayMs).toBe(1000);
+    });
+
+    TestFramework.it("should throw if maxRetries is negative", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          maxRetries: -1,
+        });
+      }).toThrow("'maxRetries' must be a non-negative integer");
+    });
+
+    TestFramework.it("should retry 500 and 503 until success", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createMockResponse(500, "Server Error"),
+          TestMocks.createMockResponse(503, "Service Unavailable"),
+          TestMocks.createDefaultResponse(),
+        ],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      });
+
+      await extractor.buildRequestUrls();
+      const data = await extractor.fetchData();
+
+      TestFramework.expect(data.length).toBe(1);
+      TestFramework.expect(extractor.executionRecords[0].status).toBe(
+        "SUCCESS"
+      );
+      TestFramework.expect(extractor.executionRecords[0].attempts).toBe(3);
+      TestFramework.expect(UrlFetchApp.getCalls().length).toBe(3);
+    });
+
+    TestFramework.it(
+      "should give up after maxRetries and record FAILED",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createMockResponse(503, "Service Unavailable"),
+            TestMocks.createMockResponse(503, "Service Unavailable"),
+            TestMocks.createMockResponse(503, "Service Unavailable"),
+          ],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+          maxRetries: 2,
+        });
+
+        await extractor.buildRequestUrls();
+        const data = await extractor.fetchData();
+
+        TestFramework.expect(data.length).toBe(0);
+        TestFramework.expect(extractor.executionRecords[0].status).toBe(
+          "FAILED"
+        );
+        TestFramework.expect(extractor.executionRecords[0].responseCode).toBe(
+          503
+        );
+        TestFramework.expect(extractor.executionRecords[0].attempts).toBe(3);
+      }
+    );
+
+    TestFramework.it("should not retry a 404", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createMockResponse(404, "Not Found")],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      });
+
+      await extractor.buildRequestUrls();
+      await extractor.fetchData();
+
+      TestFramework.expect(extractor.executionRecords[0].attempts).toBe(1);
+      TestFramework.expect(UrlFetchApp.getCalls().length).toBe(1);
+    });
+
+    TestFramework.it("should retry thrown fetch errors", () => {
+      TestMocks.setupGlobalMocks();
+      let calls = 0;
+      UrlFetchApp.fetch = () => {
+        calls++;
+        if (calls === 1) {
+          throw new Error("Address unavailable");
+        }
+        return TestMocks.createDefaultResponse();
+      };
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const result = extractor.fetchWithRetry({});
+
+      TestFramework.expect(result.error).toBeNull();
+      TestFramework.expect(result.attempts).toBe(2);
+    });
+
+    TestFramework.it("should honour Retry-After seconds on 429", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const response = TestMocks.createMockResponse(429, "Too Many Requests", {
+        "retry-after": "7",
+      });
+
+      TestFramework.expect(extractor.getRetryDelay(1, response)).toBe(7000);
+    });
+
+    TestFramework.it("should cap Retry-After at MAX_RETRY_DELAY_MS", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const response = TestMocks.createMockResponse(429, "Too Many Requests", {
+        "Retry-After": "3600",
+      });
+
+      TestFramework.expect(extractor.getRetryDelay(1, response)).toBe(
+        CruxExtractor_.CONFIG.MAX_RETRY_DELAY_MS
+      );
+    });
+
+    TestFramework.it("should back off exponentially with jitter", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        retryBaseDelayMs: 1000,
+      });
+
+      const first = extractor.getRetryDelay(1, null);
+      const third = extractor.getRetryDelay(3, null);
+
+      TestFramework.expect(first >= 500 && first <= 1000).toBeTruthy();
+      TestFramework.expect(third >= 2000 && third <= 4000).toBeTruthy();
+    });
+
+    TestFramework.it(
+      "should log the attempt count to execution history",
+      () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+
+        const historySheet = extractor.getExecutionHistorySheet();
+        const headers = historySheet.getRange(1, 1, 1, 10).getValues()[0];
+
+        TestFramework.expect(headers[9]).toBe("Attempts");
+      }
+    );
+  });
+}
+
+/**
+ * Test idempotent writes (duplicate detection)
+ */
+function testDuplicateHandling() {
+  const buildRow = (date, p75) => {
+    const row = Array(41).fill("-");
+    row[0] = date;
+    row[1] = "PHONE";
+    row[2] = "https://example.com";
+    row[6] = p75;
+    row[27] = "PAGE";
+    row[28] = "AGGREGATED";
+    return row;
+  };
+
+  const seedSheet = (extractor, rows) => {
+    const sheet =
+      SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxData");
+    extractor.ensureHeaders(sheet, extractor.getRecordHeaders());
+    sheet.getRange(2, 1, rows.length, 41).setValues(rows);
+    return sheet;
+  };
+
+  TestFramework.describe("Duplicate handling", () => {
+    TestFramework.it("should default to skipping duplicates", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(extractor.onDuplicate).toBe("skip");
+    });
+
+    TestFramework.it("should throw on an unknown onDuplicate value", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          onDuplicate: "ignore",
+        });
+      }).toThrow("'onDuplicate' must be");
+    });
+
+    TestFramework.it(
+      "should skip rows already present for the same key",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: true });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+        const sheet = seedSheet(extractor, [buildRow("01-01-2024", 2400)]);
+
+        extractor.normalizedResponse = [
+          buildRow("01-01-2024", 2500),
+          buildRow("02-01-2024", 2600),
+        ];
+        const result = await extractor.addToSpreadsheet();
+
+        TestFramework.expect(result.appended).toBe(1);
+        TestFramework.expect(result.skipped).toBe(1);
+        TestFramework.expect(sheet.getLastRow()).toBe(3);
+        TestFramework.expect(sheet.getData()[1][6]).toBe(2400); // Untouched
+        TestFramework.expect(sheet.getData()[2][0]).toBe("02-01-2024");
+      }
+    );
+
+    TestFramework.it("should overwrite duplicates in place", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: true });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        onDuplicate: "overwrite",
+      });
+      const sheet = seedSheet(extractor, [buildRow("01-01-2024", 2400)]);
+
+      extractor.normalizedResponse = [buildRow("01-01-2024", 2500)];
+      const result = await extractor.addToSpreadsheet();
+
+      TestFramework.expect(result.updated).toBe(1);
+      TestFramework.expect(result.appended).toBe(0);
+      TestFramework.expect(sheet.getLastRow()).toBe(2);
+      TestFramework.expect(sheet.getData()[1][6]).toBe(2500);
+    });
+
+    TestFramework.it(
+      "should append duplicates when onDuplicate is append",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: true });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          onDuplicate: "append",
+        });
+        const sheet = seedSheet(extractor, [buildRow("01-01-2024", 2400)]);
+
+        extractor.normalizedResponse = [buildRow("01-01-2024", 2500)];
+        const result = await extractor.addToSpreadsheet();
+
+        TestFramework.expect(result.appended).toBe(1);
+        TestFramework.expect(sheet.getLastRow()).toBe(3);
+      }
+    );
+
+    TestFramework.it(
+      "should treat rows differing only by form factor as distinct",
+      () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+        const phone = buildRow("01-01-2024", 2400);
+        const desktop = buildRow("01-01-2024", 2400);
+        desktop[1] = "DESKTOP";
+
+        TestFramework.expect(
+          extractor.getRowKey(phone) === extractor.getRowKey(desktop)
+        ).toBe(false);
+      }
+    );
+
+    TestFramework.it(
+      "should match legacy rows and auto-converted dates",
+      () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+        // A 31-column row from before Scope/Connection Type, whose date cell
+        // Sheets turned into a Date (the mock formats every date as 01-01-2024).
+        const legacy = buildRow(new Date(2024, 0, 1), 2400).slice(0, 31);
+
+        TestFramework.expect(extractor.getRowKey(legacy)).toBe(
+          extractor.getRowKey(buildRow("01-01-2024", 2500))
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Test dating rows by the CrUX collection period
+ */
+function testCollectionPeriod() {
+  TestFramework.describe("Collection period", () => {
+    TestFramework.it("should date rows by the collection period", async () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      extractor.filteredResponse = [
+        {
+          record: {
+            key: { url: "https://example.com", formFactor: "PHONE" },
+            metrics: {},
+            collectionPeriod: {
+              firstDate: { year: 2024, month: 2, day: 3 },
+              lastDate: { year: 2024, month: 3, day: 1 },
+            },
+          },
+        },
+      ];
+
+      const rows = await extractor.normalizeData();
+      const [date, periodStart, periodEnd] = [
+        rows[0][0],
+        rows[0][29],
+        rows[0][30],
+      ];
+
+      TestFramework.expect(periodStart).toBeInstanceOf(Date);
+      TestFramework.expect(periodStart.getFullYear()).toBe(2024);
+      TestFramework.expect(periodStart.getMonth()).toBe(1); // February
+      TestFramework.expect(periodStart.getDate()).toBe(3);
+      TestFramework.expect(periodEnd.getMonth()).toBe(2); // March
+      TestFramework.expect(periodEnd.getDate()).toBe(1);
+      TestFramework.expect(date.getTime()).toBe(periodEnd.getTime());
+    });
+
+    TestFramework.it(
+      "should fall back to the run date without a period",
+      async () => {
+        TestMocks.setupGlobalMocks();
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+
+        extractor.filteredResponse = [
+          {
+            record: {
+              key: { url: "https://example.com", formFactor: "PHONE" },
+              metrics: {},
+            },
+          },
+        ];
+
+        const rows = await extractor.normalizeData();
+
+        TestFramework.expect(rows[0][0]).toBe("01-01-2024"); // Mocked run date
+        TestFramework.expect(rows[0][29]).toBe("-");
+        TestFramework.expect(rows[0][30]).toBe("-");
+      }
+    );
+
+    TestFramework.it("should label the period columns", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const headers = extractor.getRecordHeaders();
+
+      TestFramework.expect(headers.length).toBe(45);
+      TestFramework.expect(headers[29]).toBe("Period Start");
+      TestFramework.expect(headers[30]).toBe("Period End");
+    });
+  });
+}
+
+/**
+ * Test LCP subparts and resource type
+ */
+function testLcpBreakdown() {
+  TestFramework.describe("LCP breakdown", () => {
+    TestFramework.it("should be disabled by default", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      TestFramework.expect(extractor.lcpBreakdown).toBe(false);
+      TestFramework.expect(extractor.lcpBreakdownTabName).toBe("lcpBreakdown");
+    });
+
+    TestFramework.it("should reject a non-boolean lcpBreakdown", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          lcpBreakdown: "yes",
+        });
+      }).toThrow("'lcpBreakdown' must be a boolean");
+    });
+
+    TestFramework.it("should reject lcpBreakdown in history mode", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          mode: "history",
+          lcpBreakdown: true,
+        });
+      }).toThrow("'lcpBreakdown' is not supported in history mode");
+    });
+
+    TestFramework.it(
+      "should extract subpart p75s and resource type",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          lcpBreakdown: true,
+        });
+
+        extractor.filteredResponse = [
+          JSON.parse(TestMocks.createLcpBreakdownResponse().getContentText()),
+        ];
+
+        const rows = await extractor.normalizeData();
+        const breakdown = extractor.lcpBreakdownResponse;
+
+        TestFramework.expect(rows.length).toBe(1);
+        TestFramework.expect(rows[0].length).toBe(45);
+        TestFramework.expect(breakdown.length).toBe(1);
+        TestFramework.expect(breakdown[0].length).toBe(11);
+        TestFramework.expect(breakdown[0][0].getTime()).toBe(
+          rows[0][0].getTime()
+        );
+        TestFramework.expect(breakdown[0][1]).toBe("PHONE");
+        TestFramework.expect(breakdown[0][2]).toBe("https://example.com");
+        TestFramework.expect(breakdown[0][3]).toBe("PAGE");
+        TestFramework.expect(breakdown[0][4]).toBe("AGGREGATED");
+        TestFramework.expect(breakdown[0].slice(5)).toEqual([
+          800, 300, 900, 500, 0.65, 0.35,
+        ]);
+      }
+    );
+
+    TestFramework.it(
+      "should use placeholders when subparts are missing",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          lcpBreakdown: true,
+        });
+
+        extractor.filteredResponse = [
+          JSON.parse(TestMocks.createDefaultResponse().getContentText()),
+        ];
+
+        await extractor.normalizeData();
+
+        TestFramework.expect(
+          extractor.lcpBreakdownResponse[0].slice(5)
+        ).toEqual(["-", "-", "-", "-", "-", "-"]);
+      }
+    );
+
+    TestFramework.it(
+      "should not collect breakdown rows when disabled",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+
+        extractor.filteredResponse = [
+          JSON.parse(TestMocks.createLcpBreakdownResponse().getContentText()),
+        ];
+
+        await extractor.normalizeData();
+
+        TestFramework.expect(extractor.lcpBreakdownResponse.length).toBe(0);
+      }
+    );
+
+    TestFramework.it(
+      "should write breakdown rows to their own tab",
+      async () => {
+        TestMocks.setupGlobalMocks();
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          lcpBreakdown: true,
+          lcpBreakdownTabName: "lcp",
+        });
+
+        extractor.filteredResponse = [
+          JSON.parse(TestMocks.createLcpBreakdownResponse().getContentText()),
+        ];
+        await extractor.normalizeData();
+
+        const result = await extractor.addToSpreadsheet();
+        const sheet = SpreadsheetApp.openById("test-sheet-id")
+          .getSheets()
+          .find((tab) => tab.getName() === "lcp");
+
+        TestFramework.expect(result.lcpBreakdownRows).toBe(1);
+        TestFramework.expect(sheet).toBeTruthy();
+        TestFramework.expect(sheet.getLastRow()).toBe(2);
+      }
+    );
+
+    TestFramework.it("should key breakdown rows like the main tab", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const key = extractor.getLcpBreakdownRowKey([
+        "01-01-2024",
+        "PHONE",
+        "https://example.com",
+        "",
+        "",
+        800,
+      ]);
+
+      TestFramework.expect(key).toBe(
+        "01-01-2024|PHONE|https://example.com|PAGE|AGGREGATED"
+      );
+    });
+
+    TestFramework.it("should label the breakdown columns", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const headers = extractor.getLcpBreakdownHeaders();
+
+      TestFramework.expect(headers.length).toBe(11);
+      TestFramework.expect(headers[5]).toBe("LCP TTFB (75th Percentile)");
+      TestFramework.expect(headers[10]).toBe("LCP Resource Type (Text)");
+    });
+  });
+}
+
+/**
+ * Test navigation type and form factor share columns
+ */
+function testFractions() {
+  TestFramework.describe("Fractions", () => {
+    TestFramework.it(
+      "should write navigation types and form factor share",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+
+        extractor.filteredResponse = [
+          {
+            record: {
+              key: { url: "https://example.com" },
+              metrics: {
+                navigation_types: {
+                  fractions: {
+                    navigate: 0.6,
+                    navigate_cache: 0.01,
+                    reload: 0.05,
+                    restore: 0.02,
+                    back_forward: 0.04,
+                    back_forward_cache: 0.2,
+                    prerender: 0.08,
+                  },
+                },
+                form_factors: {
+                  fractions: { desktop: 0.3, phone: 0.68, tablet: 0.02 },
+                },
+              },
+            },
+          },
+        ];
+
+        const rows = await extractor.normalizeData();
+
+        TestFramework.expect(rows[0].slice(31, 41)).toEqual([
+          0.6, 0.01, 0.05, 0.02, 0.04, 0.2, 0.08, 0.3, 0.68, 0.02,
+        ]);
+      }
+    );
+
+    TestFramework.it(
+      "should use placeholders when fractions are missing",
+      async () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+        });
+
+        extractor.filteredResponse = [
+          {
+            record: {
+              key: { url: "https://example.com", formFactor: "PHONE" },
+              metrics: {
+                navigation_types: { fractions: { navigate: 0.9 } },
+              },
+            },
+          },
+        ];
+
+        const rows = await extractor.normalizeData();
+
+        TestFramework.expect(rows[0][31]).toBe(0.9);
+        TestFramework.expect(rows[0][32]).toBe("-");
+        TestFramework.expect(rows[0].slice(38, 41)).toEqual(["-", "-", "-"]);
+      }
+    );
+
+    TestFramework.it("should read fraction timeseries in history mode", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        mode: "history",
+      });
+
+      const rows = extractor.buildHistoryRows({
+        key: { url: "https://example.com" },
+        metrics: {
+          navigation_types: {
+            fractionTimeseries: {
+              prerender: { fractions: [0.05, "NaN"] },
+            },
+          },
+          form_factors: {
+            fractionTimeseries: {
+              phone: { fractions: [0.7, 0.72] },
+            },
+          },
+        },
+        collectionPeriods: [
+          {
+            firstDate: { year: 2024, month: 1, day: 1 },
+            lastDate: { year: 2024, month: 1, day: 28 },
+          },
+          {
+            firstDate: { year: 2024, month: 1, day: 8 },
+            lastDate: { year: 2024, month: 2, day: 4 },
+          },
+        ],
+      });
+
+      TestFramework.expect(rows[0].length).toBe(43);
+      TestFramework.expect(rows[0][35]).toBe(0.05);
+      TestFramework.expect(rows[1][35]).toBe("-");
+      TestFramework.expect(rows[0][37]).toBe(0.7);
+      TestFramework.expect(rows[1][37]).toBe(0.72);
+    });
+
+    TestFramework.it("should label the fraction columns", () => {
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      const headers = extractor.getRecordHeaders();
+      const historyHeaders = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        mode: "history",
+      }).getHistoryHeaders();
+
+      TestFramework.expect(headers[31]).toBe("Navigation Type (Navigate)");
+      TestFramework.expect(headers[36]).toBe(
+        "Navigation Type (Back/Forward Cache)"
+      );
+      TestFramework.expect(headers[39]).toBe("Form Factor Share (Phone)");
+      TestFramework.expect(historyHeaders[28]).toBe("Scope");
+      TestFramework.expect(historyHeaders[29]).toBe(
+        "Navigation Type (Navigate)"
+      );
+    });
+
+    TestFramework.it(
+      "should key history rows on Scope, not the last column",
+      () => {
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          mode: "history",
+        });
+
+        const row = Array(39).fill(0.5);
+        row[28] = "ORIGIN";
+
+        TestFramework.expect(extractor.getRowKey(row).endsWith("|ORIGIN")).toBe(
+          true
+        );
+      }
+    );
+  });
+}
+
+/**
+ * Test the metrics option
+ */
+function testMetricSelection() {
+  const defaults = {
+    metrics: [
+      "largest_contentful_paint",
+      "interaction_to_next_paint",
+      "cumulative_layout_shift",
+    ],
+  };
+
+  TestFramework.describe("Metric selection", () => {
+    TestFramework.it("should default to every metric", async () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, { metrics: undefined })
+      );
+      const requests = await extractor.buildRequestUrls();
+
+      TestFramework.expect(extractor.metrics).toBe(null);
+      TestFramework.expect(
+        JSON.parse(requests[0].payload).metrics
+      ).toBeUndefined();
+      TestFramework.expect(extractor.getRecordHeaders().length).toBe(45);
+    });
+
+    TestFramework.it("should reject unknown metrics", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            metrics: ["largest_contentful_paint", "LCP"],
+          })
+        );
+      }).toThrow("Unknown metric(s) LCP");
+    });
+
+    TestFramework.it("should reject removed FID", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { metrics: ["first_input_delay"] })
+        );
+      }).toThrow("Unknown metric(s) first_input_delay");
+    });
+
+    TestFramework.it("should reject an empty or duplicated list", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(TestMocks.createConfig(defaults, { metrics: [] }));
+      }).toThrow("'metrics' must be a non-empty array");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            metrics: ["largest_contentful_paint", "largest_contentful_paint"],
+          })
+        );
+      }).toThrow("'metrics' must not contain duplicates");
+    });
+
+    TestFramework.it(
+      "should send the selection as the metrics field",
+      async () => {
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        const requests = await extractor.buildRequestUrls();
+
+        TestFramework.expect(JSON.parse(requests[0].payload).metrics).toEqual([
+          "largest_contentful_paint",
+          "interaction_to_next_paint",
+          "cumulative_layout_shift",
+          "navigation_types",
+          "form_factors",
+        ]);
+      }
+    );
+
+    TestFramework.it("should request the LCP breakdown metrics too", () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          metrics: ["largest_contentful_paint"],
+          lcpBreakdown: true,
+        })
+      );
+
+      const requested = extractor.getRequestedMetrics();
+
+      TestFramework.expect(requested.length).toBe(8);
+      TestFramework.expect(requested[7]).toBe(
+        "largest_contentful_paint_resource_type"
+      );
+    });
+
+    TestFramework.it("should build headers from the selection", () => {
+      const headers = new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).getRecordHeaders();
+
+      TestFramework.expect(headers.length).toBe(33);
+      TestFramework.expect(headers[3]).toBe("LCP (Good)");
+      TestFramework.expect(headers[7]).toBe("INP (Good)");
+      TestFramework.expect(headers[14]).toBe("CLS (75th Percentile)");
+      TestFramework.expect(headers[15]).toBe("Scope");
+      TestFramework.expect(headers.join("|").includes("FID")).toBe(false);
+    });
+
+    TestFramework.it("should keep the configured order", () => {
+      const headers = new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          metrics: ["cumulative_layout_shift", "largest_contentful_paint"],
+        })
+      ).getRecordHeaders();
+
+      TestFramework.expect(headers[3]).toBe("CLS (Good)");
+      TestFramework.expect(headers[7]).toBe("LCP (Good)");
+    });
+
+    TestFramework.it("should normalize only the selected metrics", async () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+      extractor.filteredResponse = [
+        JSON.parse(TestMocks.createDefaultResponse().getContentText()),
+      ];
+
+      const rows = await extractor.normalizeData();
+
+      TestFramework.expect(rows[0].length).toBe(33);
+      TestFramework.expect(rows[0][6]).toBe(2500); // LCP p75
+      TestFramework.expect(rows[0][7]).toBe("-"); // INP not in mock
+      TestFramework.expect(rows[0][14]).toBe(0.1); // CLS p75
+      TestFramework.expect(rows[0][15]).toBe("PAGE");
+      TestFramework.expect(rows[0][16]).toBe("AGGREGATED");
+    });
+
+    TestFramework.it("should key rows on the shifted Scope column", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+      const row = Array(29).fill("-");
+      row[0] = "01-01-2024";
+      row[1] = "PHONE";
+      row[2] = "https://example.com";
+      row[15] = "ORIGIN";
+      row[16] = "4G";
+
+      TestFramework.expect(extractor.getRowKey(row)).toBe(
+        "01-01-2024|PHONE|https://example.com|ORIGIN|4G"
+      );
+    });
+
+    TestFramework.it("should size history rows by the selection", () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          mode: "history",
+          metrics: ["largest_contentful_paint"],
+        })
+      );
+
+      const response = JSON.parse(
+        TestMocks.createHistoryResponse(2).getContentText()
+      );
+      const rows = extractor.buildHistoryRows(response.record);
+
+      TestFramework.expect(rows[0].length).toBe(23);
+      TestFramework.expect(rows[0][7]).toBe(2500);
+      TestFramework.expect(rows[0][8]).toBe("PAGE");
+      TestFramework.expect(extractor.getHistoryHeaders().length).toBe(23);
+    });
+  });
+}
+
+/**
+ * Test sheet schema versioning and migration
+ */
+function testSchemaVersion() {
+  // A record tab as written before versioning: FID block, text dates.
+  const seedLegacySheet = (width) => {
+    TestMocks.setupGlobalMocks({ sheetExists: true });
+    const legacy = new CruxExtractor_(TestMocks.createConfig());
+    legacy.schemaVersion = 2;
+    const headers = legacy.getRecordHeaders().slice(0, width);
+    const row = Array(width).fill("-");
+    row[0] = "15-01-2024";
+    row[1] = "PHONE";
+    row[2] = "https://example.com";
+    row[6] = 2100; // LCP p75
+    row[7] = 0.9; // FID Good, from before the metric was removed
+    row[14] = 180; // INP p75
+    const sheet =
+      SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxData");
+    sheet.getRange(1, 1, 1, width).setValues([headers]);
+    sheet.getRange(2, 1, 1, width).setValues([row]);
+    return sheet;
+  };
+
+  TestFramework.describe("Schema version", () => {
+    TestFramework.it(
+      "should stamp a new tab with the current version",
+      async () => {
+        TestMocks.setupGlobalMocks();
+        const extractor = new CruxExtractor_(TestMocks.createConfig());
+        extractor.normalizedResponse = [Array(41).fill("-")];
+
+        await extractor.addToSpreadsheet();
+        const sheet = SpreadsheetApp.openById("test-sheet-id")
+          .getSheets()
+          .find((tab) => tab.getName() === "cruxData");
+
+        TestFramework.expect(extractor.getSchemaVersion(sheet)).toBe(3);
+        TestFramework.expect(sheet.getDeveloperMetadata()[0].getKey()).toBe(
+          "cruxExtractor.schemaVersion"
+        );
+      }
+    );
+
+    TestFramework.it("should detect unversioned legacy tabs", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+
+      TestFramework.expect(
+        extractor.getSchemaVersion(seedLegacySheet(31))
+      ).toBe(1);
+      TestFramework.expect(
+        extractor.getSchemaVersion(seedLegacySheet(45))
+      ).toBe(2);
+      TestFramework.expect(
+        extractor.getSchemaVersion(TestMocks.createMockSheet())
+      ).toBe(3);
+    });
+
+    TestFramework.it(
+      "should keep writing the legacy layout until migrated",
+      async () => {
+        const sheet = seedLegacySheet(45);
+        const extractor = new CruxExtractor_(TestMocks.createConfig());
+
+        TestFramework.expect(extractor.resolveSchemaVersion()).toBe(2);
+
+        extractor.filteredResponse = [
+          JSON.parse(TestMocks.createDefaultResponse().getContentText()),
+        ];
+        const rows = await extractor.normalizeData();
+        await extractor.addToSpreadsheet();
+
+        TestFramework.expect(rows[0].length).toBe(49);
+        TestFramework.expect(rows[0][31]).toBe("PAGE");
+        TestFramework.expect(sheet.getData()[2].length).toBe(49);
+        TestFramework.expect(extractor.getSchemaVersion(sheet)).toBe(2);
+      }
+    );
+
+    TestFramework.it(
+      "should refuse rows built for another version",
+      async () => {
+        seedLegacySheet(45);
+        const extractor = new CruxExtractor_(TestMocks.createConfig());
+        extractor.normalizedResponse = [Array(41).fill("-")];
+
+        try {
+          await extractor.addToSpreadsheet();
+          TestFramework.expect(true).toBe(false); // Should not reach here
+        } catch (error) {
+          TestFramework.expect(error.message).toContain(
+            "is at schema version 2 but rows were built for version 3"
+          );
+        }
+      }
+    );
+
+    TestFramework.it("should parse text dates", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+      const date = extractor.toSheetDate("15-01-2024");
+
+      TestFramework.expect(date).toBeInstanceOf(Date);
+      TestFramework.expect(date.getFullYear()).toBe(2024);
+      TestFramework.expect(date.getMonth()).toBe(0);
+      TestFramework.expect(date.getDate()).toBe(15);
+      TestFramework.expect(extractor.toSheetDate("-")).toBe("-");
+    });
+  });
+
+  TestFramework.describe("Schema migration", () => {
+    TestFramework.it("should drop FID and convert text dates", async () => {
+      const sheet = seedLegacySheet(45);
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+
+      const result = await extractor.migrateSheet();
+      const [headers, row] = sheet.getData();
+
+      TestFramework.expect(result.fromVersion).toBe(2);
+      TestFramework.expect(result.toVersion).toBe(3);
+      TestFramework.expect(result.rowsMigrated).toBe(1);
+      TestFramework.expect(result.backupTabName).toBe(
+        "cruxData (schema 2 backup)"
+      );
+      TestFramework.expect(headers.length).toBe(45);
+      TestFramework.expect(headers.join("|").includes("FID")).toBe(false);
+      TestFramework.expect(row.length).toBe(45);
+      TestFramework.expect(row[0]).toBeInstanceOf(Date);
+      TestFramework.expect(row[6]).toBe(2100);
+      TestFramework.expect(row[10]).toBe(180); // INP p75, moved left by four
+      TestFramework.expect(extractor.getSchemaVersion(sheet)).toBe(3);
+    });
+
+    TestFramework.it(
+      "should keep a backup left by an earlier attempt",
+      async () => {
+        seedLegacySheet(45);
+        SpreadsheetApp.openById("test-sheet-id").insertSheet(
+          "cruxData (schema 2 backup)"
+        );
+
+        const result = await new CruxExtractor_(
+          TestMocks.createConfig()
+        ).migrateSheet();
+
+        TestFramework.expect(result.rowsMigrated).toBe(1);
+        TestFramework.expect(result.backupTabName).toBe(
+          "cruxData (schema 2 backup 2)"
+        );
+      }
+    );
+
+    TestFramework.it("should fill columns a version 1 tab lacks", async () => {
+      const sheet = seedLegacySheet(31);
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+
+      await extractor.migrateSheet();
+      const row = sheet.getData()[1];
+
+      TestFramework.expect(row[27]).toBe("PAGE");
+      TestFramework.expect(row[28]).toBe("AGGREGATED");
+      TestFramework.expect(row[29]).toBe("-");
+      TestFramework.expect(extractor.getRowKey(row)).toBe(
+        "01-01-2024|PHONE|https://example.com|PAGE|AGGREGATED"
+      );
+    });
+
+    TestFramework.it("should migrate to the selected metrics", async () => {
+      const sheet = seedLegacySheet(45);
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig({
+          metrics: ["interaction_to_next_paint", "largest_contentful_paint"],
+        })
+      );
+
+      await extractor.migrateSheet();
+      const [headers, row] = sheet.getData();
+
+      TestFramework.expect(headers.length).toBe(29);
+      TestFramework.expect(headers[3]).toBe("INP (Good)");
+      TestFramework.expect(row[6]).toBe(180);
+      TestFramework.expect(row[10]).toBe(2100);
+    });
+
+    TestFramework.it("should leave a current tab alone", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: true });
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+      const sheet =
+        SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxData");
+      extractor.ensureHeaders(sheet, extractor.getRecordHeaders());
+
+      const result = await extractor.migrateSheet();
+
+      TestFramework.expect(result.rowsMigrated).toBe(0);
+      TestFramework.expect(result.backupTabName).toBe(null);
+      TestFramework.expect(extractor.getSchemaVersion(sheet)).toBe(3);
+    });
+
+    TestFramework.it("should throw for a missing tab", async () => {
+      TestMocks.setupGlobalMocks();
+
+      try {
+        await new CruxExtractor_(TestMocks.createConfig()).migrateSheet();
+        TestFramework.expect(true).toBe(false); // Should not reach here
+      } catch (error) {
+        TestFramework.expect(error.message).toContain(
+          "Tab 'cruxData' does not exist"
+        );
+      }
+    });
+
+    TestFramework.it("should require a config object", () => {
+      TestFramework.expect(() => migrate()).toThrow(
+        "migrate(config) requires a configuration object"
+      );
+    });
+  });
+}
+
+/**
+ * Test outputFormat: "long"
+ */
+function testLongFormat() {
+  const defaults = { outputFormat: "long" };
+
+  TestFramework.describe("Long output format", () => {
+    TestFramework.it("should default to wide", () => {
+      TestFramework.expect(
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { outputFormat: undefined })
+        ).outputFormat
+      ).toBe("wide");
+    });
+
+    TestFramework.it("should reject an unknown format", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { outputFormat: "tall" })
+        );
+      }).toThrow('\'outputFormat\' must be "wide" or "long"');
+    });
+
+    TestFramework.it("should write one row per metric", async () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+      extractor.filteredResponse = [
+        JSON.parse(TestMocks.createDefaultResponse().getContentText()),
+      ];
+
+      const rows = await extractor.normalizeData();
+
+      TestFramework.expect(rows.length).toBe(6); // No row for removed FID
+      TestFramework.expect(rows[0].length).toBe(13);
+      TestFramework.expect(rows[0][0]).toBeInstanceOf(Date);
+      TestFramework.expect(rows[0].slice(1, 5)).toEqual([
+        "PHONE",
+        "https://example.com",
+        "PAGE",
+        "AGGREGATED",
+      ]);
+      TestFramework.expect(rows[0].slice(7)).toEqual([
+        "LCP",
+        0.7,
+        0.2,
+        0.1,
+        2500,
+        "Good",
+      ]);
+      TestFramework.expect(rows[1].slice(7)).toEqual([
+        "INP",
+        "-",
+        "-",
+        "-",
+        "-",
+        "-",
+      ]);
+      TestFramework.expect(rows[2][7]).toBe("CLS");
+    });
+
+    TestFramework.it("should follow the metrics selection", async () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          metrics: ["cumulative_layout_shift"],
+        })
+      );
+      extractor.filteredResponse = [
+        JSON.parse(TestMocks.createDefaultResponse().getContentText()),
+      ];
+
+      const rows = await extractor.normalizeData();
+
+      TestFramework.expect(rows.length).toBe(1);
+      TestFramework.expect(rows[0][7]).toBe("CLS");
+      TestFramework.expect(rows[0][11]).toBe(0.1);
+    });
+
+    TestFramework.it(
+      "should write one row per period and metric in history mode",
+      async () => {
+        const extractor = new CruxExtractor_(
+          TestMocks.createConfig(defaults, { mode: "history" })
+        );
+        extractor.filteredResponse = [
+          JSON.parse(TestMocks.createHistoryResponse(2).getContentText()),
+        ];
+
+        const rows = await extractor.normalizeData();
+
+        TestFramework.expect(rows.length).toBe(12);
+        TestFramework.expect(rows[0].length).toBe(13);
+        TestFramework.expect(rows[0][0].getTime()).toBe(rows[0][6].getTime());
+        TestFramework.expect(rows[0][4]).toBe("AGGREGATED");
+        TestFramework.expect(rows[0][7]).toBe("LCP");
+        TestFramework.expect(rows[0][11]).toBe(2500);
+        TestFramework.expect(rows[6][7]).toBe("LCP"); // Second period
+      }
+    );
+
+    TestFramework.it("should key rows on the metric", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+      const row = [
+        "01-01-2024",
+        "PHONE",
+        "https://example.com",
+        "PAGE",
+        "AGGREGATED",
+        "-",
+        "-",
+        "INP",
+        0.8,
+        0.1,
+        0.1,
+        180,
+      ];
+
+      TestFramework.expect(extractor.getRowKey(row)).toBe(
+        "01-01-2024|PHONE|https://example.com|PAGE|AGGREGATED|INP"
+      );
+    });
+
+    TestFramework.it("should write the long headers", async () => {
+      TestMocks.setupGlobalMocks();
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, { sheetTabName: "cruxLong" })
+      );
+      extractor.normalizedResponse = [Array(12).fill("-")];
+
+      await extractor.addToSpreadsheet();
+      const sheet =
+        SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxLong");
+
+      TestFramework.expect(sheet.getData()[0]).toEqual(
+        extractor.getLongHeaders()
+      );
+    });
+
+    TestFramework.it("should not migrate long tabs", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: true });
+
+      try {
+        await new CruxExtractor_(
+          TestMocks.createConfig(defaults)
+        ).migrateSheet();
+        TestFramework.expect(true).toBe(false); // Should not reach here
+      } catch (error) {
+        TestFramework.expect(error.message).toContain(
+          "long-format tabs have a single layout"
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Test reconciliation of URLs CrUX normalized
+ */
+function testUrlNormalization() {
+  const normalizedResponse = (requestedUrl, resolvedUrl) =>
+    TestMocks.createMockResponse(200, {
+      record: {
+        key: { formFactor: "PHONE", url: resolvedUrl },
+        metrics: {},
+      },
+      urlNormalizationDetails: {
+        originalUrl: requestedUrl,
+        normalizedUrl: resolvedUrl,
+      },
+    });
+
+  TestFramework.describe("URL normalization", () => {
+    TestFramework.it(
+      "should store the resolved URL and log the details",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            normalizedResponse(
+              "https://example.com/page?utm=x",
+              "https://example.com/page"
+            ),
+          ],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com/page?utm=x"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+        });
+
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+        const record = extractor.executionRecords[0];
+
+        TestFramework.expect(record.url).toBe("https://example.com/page?utm=x");
+        TestFramework.expect(record.resolvedUrl).toBe(
+          "https://example.com/page"
+        );
+        TestFramework.expect(
+          Logger.getLogs().some((line) =>
+            line.includes(
+              "CrUX normalized https://example.com/page?utm=x to https://example.com/page"
+            )
+          )
+        ).toBe(true);
+      }
+    );
+
+    TestFramework.it("should mark a normalized URL as normalized", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          normalizedResponse(
+            "https://example.com/page/",
+            "https://example.com/page"
+          ),
+        ],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com/page/"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      });
+
+      await extractor.buildRequestUrls();
+      await extractor.fetchData();
+      await extractor.normalizeData();
+
+      TestFramework.expect(extractor.executionRecords[0].normalized).toBe(
+        "YES"
+      );
+    });
+
+    TestFramework.it(
+      "should mark every URL that resolves to the same key",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            normalizedResponse(
+              "https://example.com/a",
+              "https://example.com/a"
+            ),
+            normalizedResponse(
+              "https://example.com/a/",
+              "https://example.com/a"
+            ),
+          ],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com/a", "https://example.com/a/"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+        });
+
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+        await extractor.normalizeData();
+
+        TestFramework.expect(
+          extractor.executionRecords.map((record) => record.normalized)
+        ).toEqual(["YES", "YES"]);
+      }
+    );
+
+    TestFramework.it(
+      "should leave the resolved URL empty on failure",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [TestMocks.createMockResponse(404, "Not Found")],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+          maxRetries: 0,
+        });
+
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+
+        TestFramework.expect(extractor.executionRecords[0].resolvedUrl).toBe(
+          "-"
+        );
+      }
+    );
+
+    TestFramework.it("should log the resolved URL to execution history", () => {
+      TestMocks.setupGlobalMocks();
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+      });
+
+      extractor.logExecutionHistory("exec_1", [
+        {
+          url: "https://example.com/page/",
+          resolvedUrl: "https://example.com/page",
+          formFactor: "PHONE",
+          status: "SUCCESS",
+          responseCode: 200,
+        },
+      ]);
+      const [headers, row] = extractor.getExecutionHistorySheet().getData();
+
+      TestFramework.expect(headers.length).toBe(12);
+      TestFramework.expect(headers[10]).toBe("Resolved URL");
+      TestFramework.expect(row[2]).toBe("https://example.com/page/");
+      TestFramework.expect(row[10]).toBe("https://example.com/page");
+    });
+  });
+}
+
+/**
+ * Test NO_DATA status and origin fallback
+ */
+function testNoData() {
+  const notFound = () =>
+    TestMocks.createMockResponse(404, {
+      error: {
+        code: 404,
+        message: "chrome ux report data not found",
+        status: "NOT_FOUND",
+      },
+    });
+  const originResponse = (origin) =>
+    TestMocks.createMockResponse(200, {
+      record: {
+        key: { formFactor: "PHONE", origin },
+        metrics: {
+          largest_contentful_paint: {
+            histogram: [
+              { start: 0, end: 2500, density: 0.8 },
+              { start: 2500, end: 4000, density: 0.15 },
+              { start: 4000, density: 0.05 },
+            ],
+            percentiles: { p75: 2100 },
+          },
+        },
+      },
+    });
+
+  TestFramework.describe("No CrUX data", () => {
+    TestFramework.it("should reject a non-boolean originFallback", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_({
+          urls: ["https://example.com"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          originFallback: "yes",
+        });
+      }).toThrow("'originFallback' must be a boolean");
+    });
+
+    TestFramework.it("should record a 404 as NO_DATA", async () => {
+      TestMocks.setupGlobalMocks({ urlFetchResponses: [notFound()] });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com/rare"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+      });
+
+      await extractor.buildRequestUrls();
+      const data = await extractor.fetchData();
+      const record = extractor.executionRecords[0];
+
+      TestFramework.expect(data.length).toBe(0);
+      TestFramework.expect(record.status).toBe("NO_DATA");
+      TestFramework.expect(record.responseCode).toBe(404);
+      TestFramework.expect(record.errorMessage).toContain("No CrUX data");
+      TestFramework.expect(UrlFetchApp.getCalls().length).toBe(1);
+    });
+
+    TestFramework.it("should still record other errors as FAILED", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createMockResponse(403, "Forbidden")],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        originFallback: true,
+      });
+
+      await extractor.buildRequestUrls();
+      await extractor.fetchData();
+
+      TestFramework.expect(extractor.executionRecords[0].status).toBe("FAILED");
+      TestFramework.expect(UrlFetchApp.getCalls().length).toBe(1);
+    });
+
+    TestFramework.it(
+      "should count no-data URLs separately from failures",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createDefaultResponse(),
+            TestMocks.createDefaultResponse(),
+            notFound(),
+            notFound(),
+          ],
+          sheetExists: false,
+        });
+
+        // Both form factors of /rare have no data: one URL, two requests.
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com", "https://example.com/rare"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE", "DESKTOP"],
+        });
+
+        const summary = await extractor.run();
+
+        TestFramework.expect(summary.noDataUrls).toBe(1);
+        TestFramework.expect(summary.failedRequests).toBe(0);
+        TestFramework.expect(summary.originFallbacks).toBe(0);
+      }
+    );
+
+    TestFramework.it(
+      "should fall back to the origin and tag the row",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            notFound(),
+            originResponse("https://example.com"),
+          ],
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com/rare?q=1"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+          originFallback: true,
+        });
+
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+        const rows = await extractor.normalizeData();
+        const headers = extractor.getRecordHeaders();
+        const [pageRecord, fallbackRecord] = extractor.executionRecords;
+        const fallbackPayload = JSON.parse(
+          UrlFetchApp.getCalls()[1].options.payload
+        );
+
+        TestFramework.expect(fallbackPayload.origin).toBe(
+          "https://example.com"
+        );
+        TestFramework.expect(fallbackPayload.url).toBeUndefined();
+        TestFramework.expect(fallbackPayload.formFactor).toBe("PHONE");
+        TestFramework.expect(rows.length).toBe(1);
+        TestFramework.expect(rows[0][headers.indexOf("URL")]).toBe(
+          "https://example.com/rare?q=1"
+        );
+        TestFramework.expect(rows[0][headers.indexOf("Scope")]).toBe(
+          "ORIGIN_FALLBACK"
+        );
+        TestFramework.expect(
+          rows[0][headers.indexOf("LCP (75th Percentile)")]
+        ).toBe(2100);
+        TestFramework.expect(pageRecord.status).toBe("NO_DATA");
+        TestFramework.expect(pageRecord.errorMessage).toContain(
+          "fell back to origin https://example.com"
+        );
+        TestFramework.expect(fallbackRecord.url).toBe("https://example.com");
+        TestFramework.expect(fallbackRecord.scope).toBe("ORIGIN_FALLBACK");
+        TestFramework.expect(fallbackRecord.status).toBe("SUCCESS");
+        TestFramework.expect(fallbackRecord.normalized).toBe("YES");
+      }
+    );
+
+    TestFramework.it(
+      "should query each origin once for pages that share it",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            notFound(),
+            originResponse("https://example.com"),
+            notFound(),
+          ],
+          sheetExists: false,
+        });
+
+        const extractor = new CruxExtractor_({
+          urls: ["https://example.com/a", "https://example.com/b"],
+          spreadsheetId: "test-sheet-id",
+          apiKey: "test-api-key",
+          formFactor: ["PHONE"],
+          originFallback: true,
+        });
+
+        const summary = await extractor.run();
+        const urlColumn = extractor.getRecordHeaders().indexOf("URL");
+
+        TestFramework.expect(UrlFetchApp.getCalls().length).toBe(3);
+        TestFramework.expect(
+          extractor.normalizedResponse.map((row) => row[urlColumn])
+        ).toEqual(["https://example.com/a", "https://example.com/b"]);
+        TestFramework.expect(summary.noDataUrls).toBe(2);
+        TestFramework.expect(summary.originFallbacks).toBe(2);
+      }
+    );
+
+    TestFramework.it("should not fall back for origins", async () => {
+      TestMocks.setupGlobalMocks({ urlFetchResponses: [notFound()] });
+
+      const extractor = new CruxExtractor_({
+        origins: ["https://example.com"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        originFallback: true,
+      });
+
+      await extractor.buildRequestUrls();
+      await extractor.fetchData();
+
+      TestFramework.expect(UrlFetchApp.getCalls().length).toBe(1);
+      TestFramework.expect(extractor.executionRecords.length).toBe(1);
+    });
+
+    TestFramework.it("should tag history rows from a fallback", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          notFound(),
+          TestMocks.createHistoryResponse(2, {
+            url: undefined,
+            origin: "https://example.com",
+          }),
+        ],
+      });
+
+      const extractor = new CruxExtractor_({
+        urls: ["https://example.com/rare"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        mode: "history",
+        originFallback: true,
+      });
+
+      await extractor.buildRequestUrls();
+      await extractor.fetchData();
+      const rows = await extractor.normalizeData();
+      const headers = extractor.getHistoryHeaders();
+
+      TestFramework.expect(rows.length).toBe(2);
+      TestFramework.expect(rows[0][headers.indexOf("URL")]).toBe(
+        "https://example.com/rare"
+      );
+      TestFramework.expect(rows[1][headers.indexOf("Scope")]).toBe(
+        "ORIGIN_FALLBACK"
+      );
+      TestFramework.expect(extractor.executionRecords[1].normalized).toBe(
+        "YES"
+      );
+    });
+  });
+}
+
+/**
+ * Test Core Web Vitals status and assessment columns
+ */
+function testCwvAssessment() {
+  TestFramework.describe("Core Web Vitals assessment", () => {
+    TestFramework.it("should rate p75 values against the thresholds", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+
+      TestFramework.expect(
+        extractor.getCwvStatus("largest_contentful_paint", 2500)
+      ).toBe("Good");
+      TestFramework.expect(
+        extractor.getCwvStatus("largest_contentful_paint", 4000)
+      ).toBe("Needs Improvement");
+      TestFramework.expect(
+        extractor.getCwvStatus("largest_contentful_paint", 4001)
+      ).toBe("Poor");
+      TestFramework.expect(
+        extractor.getCwvStatus("interaction_to_next_paint", 201)
+      ).toBe("Needs Improvement");
+      TestFramework.expect(
+        extractor.getCwvStatus("cumulative_layout_shift", "0.10")
+      ).toBe("Good");
+      TestFramework.expect(
+        extractor.getCwvStatus("cumulative_layout_shift", "0.26")
+      ).toBe("Poor");
+    });
+
+    TestFramework.it("should not rate missing values or other metrics", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+
+      TestFramework.expect(
+        extractor.getCwvStatus("largest_contentful_paint", "-")
+      ).toBe("-");
+      TestFramework.expect(
+        extractor.getCwvStatus("interaction_to_next_paint", undefined)
+      ).toBe("-");
+      TestFramework.expect(
+        extractor.getCwvStatus("first_contentful_paint", 1000)
+      ).toBe("-");
+    });
+
+    TestFramework.it("should pass only when every vital is good", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+      const assess = (p75s) =>
+        extractor.buildCwvColumns((metric) => p75s[metric]);
+
+      TestFramework.expect(
+        assess({
+          largest_contentful_paint: 2000,
+          interaction_to_next_paint: 150,
+          cumulative_layout_shift: 0.05,
+        })
+      ).toEqual(["Good", "Good", "Good", "PASS"]);
+      TestFramework.expect(
+        assess({
+          largest_contentful_paint: 2000,
+          interaction_to_next_paint: 250,
+          cumulative_layout_shift: 0.05,
+        })
+      ).toEqual(["Good", "Needs Improvement", "Good", "FAIL"]);
+    });
+
+    TestFramework.it("should assess on LCP and CLS when INP is missing", () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+      const assess = (p75s) =>
+        extractor.buildCwvColumns((metric) => p75s[metric]);
+
+      TestFramework.expect(
+        assess({
+          largest_contentful_paint: 2000,
+          cumulative_layout_shift: 0.05,
+        })
+      ).toEqual(["Good", "-", "Good", "PASS"]);
+      TestFramework.expect(assess({ largest_contentful_paint: 2000 })).toEqual([
+        "Good",
+        "-",
+        "-",
+        "-",
+      ]);
+    });
+
+    TestFramework.it("should apply threshold overrides", () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig({
+          cwvThresholds: {
+            largest_contentful_paint: { good: 2000, poor: 4000 },
+          },
+        })
+      );
+
+      TestFramework.expect(
+        extractor.getCwvStatus("largest_contentful_paint", 2500)
+      ).toBe("Needs Improvement");
+      TestFramework.expect(
+        extractor.getCwvStatus("largest_contentful_paint", 4001)
+      ).toBe("Poor");
+      TestFramework.expect(
+        extractor.getCwvStatus("interaction_to_next_paint", 200)
+      ).toBe("Good");
+      TestFramework.expect(
+        CruxExtractor_.CWV_THRESHOLDS.largest_contentful_paint.good
+      ).toBe(2500);
+    });
+
+    TestFramework.it("should reject invalid threshold overrides", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(TestMocks.createConfig({ cwvThresholds: [] }));
+      }).toThrow("'cwvThresholds' must be an object");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig({
+            cwvThresholds: { first_contentful_paint: {} },
+          })
+        );
+      }).toThrow("Unknown metric 'first_contentful_paint'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig({
+            cwvThresholds: {
+              cumulative_layout_shift: { good: 0.3, poor: 0.25 },
+            },
+          })
+        );
+      }).toThrow("'cwvThresholds.cumulative_layout_shift'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig({
+            cwvThresholds: {
+              cumulative_layout_shift: { good: 0.2, poor: 0.2 },
+            },
+          })
+        );
+      }).toThrow("with good < poor");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig({
+            cwvThresholds: { largest_contentful_paint: null },
+          })
+        );
+      }).toThrow("'cwvThresholds.largest_contentful_paint'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig({
+            cwvThresholds: { largest_contentful_paint: { good: 2000 } },
+          })
+        );
+      }).toThrow("'cwvThresholds.largest_contentful_paint'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig({
+            cwvThresholds: {
+              interaction_to_next_paint: { good: "fast", poor: 500 },
+            },
+          })
+        );
+      }).toThrow("'cwvThresholds.interaction_to_next_paint'");
+    });
+
+    TestFramework.it("should append the columns to record rows", async () => {
+      const extractor = new CruxExtractor_(TestMocks.createConfig());
+      extractor.filteredResponse = [
+        JSON.parse(TestMocks.createDefaultResponse().getContentText()),
+      ];
+
+      const rows = await extractor.normalizeData();
+      const headers = extractor.getRecordHeaders();
+
+      TestFramework.expect(headers.slice(-4)).toEqual([
+        "LCP Status",
+        "INP Status",
+        "CLS Status",
+        "CWV Assessment",
+      ]);
+      TestFramework.expect(rows[0].slice(-4)).toEqual([
+        "Good",
+        "-",
+        "Good",
+        "PASS",
+      ]);
+    });
+
+    TestFramework.it("should assess each period in history mode", async () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig({
+          mode: "history",
+          cwvThresholds: {
+            largest_contentful_paint: { good: 2000, poor: 4000 },
+          },
+        })
+      );
+      extractor.filteredResponse = [
+        JSON.parse(TestMocks.createHistoryResponse(2).getContentText()),
+      ];
+
+      const rows = await extractor.normalizeData();
+
+      TestFramework.expect(extractor.getHistoryHeaders().slice(-1)).toEqual([
+        "CWV Assessment",
+      ]);
+      TestFramework.expect(rows[1].slice(-4)).toEqual([
+        "Needs Improvement",
+        "-",
+        "Good",
+        "FAIL",
+      ]);
+    });
+  });
+}
+
+/**
+ * Test regression detection and alert emails
+ */
+function testRegressionAlerts() {
+  const response = (day, lcp, fcp = 1800) => {
+    const content = JSON.parse(
+      TestMocks.createDefaultResponse().getContentText()
+    );
+    content.record.metrics.largest_contentful_paint.percentiles.p75 = lcp;
+    content.record.metrics.first_contentful_paint.percentiles.p75 = fcp;
+    content.record.collectionPeriod.lastDate = { year: 2024, month: 1, day };
+    return TestMocks.createMockResponse(200, content);
+  };
+  const defaults = {
+    alertRecipients: ["team@example.com", "lead@example.com"],
+    // The Utilities mock formats every date the same, so duplicate
+    // detection would treat each later period as a re-run.
+    onDuplicate: "append",
+  };
+
+  TestFramework.describe("Regression alerts", () => {
+    TestFramework.it("should validate the alert options", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            alertRecipients: "team@example.com",
+          })
+        );
+      }).toThrow("'alertRecipients' must be an array of email addresses");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { alertRecipients: ["team"] })
+        );
+      }).toThrow("'alertRecipients' must be an array of email addresses");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { alertThresholdPercent: 0 })
+        );
+      }).toThrow("'alertThresholdPercent' must be a positive number");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { mode: "history" })
+        );
+      }).toThrow("'alertRecipients' is not supported in history mode");
+    });
+
+    TestFramework.it("should not compare without recipients", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [response(1, 2400), response(2, 3000)],
+      });
+
+      await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { alertRecipients: [] })
+      ).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { alertRecipients: [] })
+      ).run();
+
+      TestFramework.expect(summary.regressionsDetected).toBe(0);
+      TestFramework.expect(summary.alertSent).toBe(false);
+      TestFramework.expect(MailApp.getSent().length).toBe(0);
+    });
+
+    TestFramework.it("should not alert on the first run", async () => {
+      TestMocks.setupGlobalMocks({ urlFetchResponses: [response(1, 2400)] });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+
+      TestFramework.expect(summary.regressionsDetected).toBe(0);
+      TestFramework.expect(MailApp.getSent().length).toBe(0);
+    });
+
+    TestFramework.it(
+      "should email when a p75 crosses a threshold",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [response(1, 2400), response(2, 2600)],
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        const summary = await extractor.run();
+        const [email] = MailApp.getSent();
+
+        TestFramework.expect(summary.regressionsDetected).toBe(1);
+        TestFramework.expect(summary.alertSent).toBe(true);
+        TestFramework.expect(email.to).toBe(
+          "team@example.com,lead@example.com"
+        );
+        TestFramework.expect(email.subject).toContain("1 metric(s) worsened");
+        TestFramework.expect(email.body).toContain(
+          "https://example.com (PHONE, PAGE, AGGREGATED): LCP p75 2400 -> 2600 (+8.3%, Good -> Needs Improvement)"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should flag an increase beyond the percentage",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [response(1, 2000), response(2, 2000, 2100)],
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        await extractor.buildRequestUrls();
+        await extractor.fetchData();
+        await extractor.normalizeData();
+        const regressions = extractor.findRegressions();
+
+        TestFramework.expect(regressions.length).toBe(1);
+        TestFramework.expect(regressions[0].metric).toBe("FCP");
+        TestFramework.expect(regressions[0].previous).toBe(1800);
+        TestFramework.expect(regressions[0].current).toBe(2100);
+        TestFramework.expect(regressions[0].changePercent).toBe(16.7);
+        TestFramework.expect(regressions[0].currentStatus).toBe("-");
+      }
+    );
+
+    TestFramework.it("should respect alertThresholdPercent", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [response(1, 2000), response(2, 2000, 2100)],
+      });
+
+      await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { alertThresholdPercent: 20 })
+      ).run();
+
+      TestFramework.expect(summary.regressionsDetected).toBe(0);
+      TestFramework.expect(MailApp.getSent().length).toBe(0);
+    });
+
+    TestFramework.it("should ignore improvements", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [response(1, 3000), response(2, 2000, 1500)],
+      });
+
+      await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+
+      TestFramework.expect(summary.regressionsDetected).toBe(0);
+    });
+
+    TestFramework.it(
+      "should not alert again for a collection period already written",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            response(1, 2400),
+            response(2, 2600),
+            response(2, 2600),
+          ],
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const refire = await new CruxExtractor_(
+          TestMocks.createConfig(defaults)
+        ).run();
+
+        TestFramework.expect(refire.regressionsDetected).toBe(0);
+        TestFramework.expect(MailApp.getSent().length).toBe(1);
+      }
+    );
+
+    TestFramework.it("should compare long-format rows", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [response(1, 2400), response(2, 4100)],
+      });
+
+      await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { outputFormat: "long" })
+      ).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { outputFormat: "long" })
+      ).run();
+
+      TestFramework.expect(summary.regressionsDetected).toBe(1);
+      TestFramework.expect(MailApp.getSent()[0].body).toContain("Good -> Poor");
+    });
+
+    TestFramework.it("should log a failed send without failing", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [response(1, 2400), response(2, 2600)],
+      });
+      MailApp.sendEmail = () => {
+        throw new Error("Service invoked too many times: email");
+      };
+
+      await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+
+      TestFramework.expect(summary.regressionsDetected).toBe(1);
+      TestFramework.expect(summary.alertSent).toBe(false);
+      TestFramework.expect(
+        Logger.getLogs().some((line) =>
+          line.includes("Error occurred: sendRegressionAlert")
+        )
+      ).toBe(true);
+    });
+  });
+}
+
+/**
+ * Test webhook notifications
+ */
+function testWebhooks() {
+  const slackUrl = "https://hooks.slack.com/services/T000/B000/secret";
+  const chatUrl = "https://chat.googleapis.com/v1/spaces/AAA/messages?key=k";
+  const defaults = { maxRetries: 0, webhookUrls: [slackUrl] };
+  const webhookCalls = () =>
+    UrlFetchApp.getCalls().filter((call) => !call.url.includes("chromeux"));
+
+  TestFramework.describe("Webhook notifications", () => {
+    TestFramework.it("should validate the webhook options", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { webhookUrls: slackUrl })
+        );
+      }).toThrow("'webhookUrls' must be an array of HTTP(S) URLs");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            webhookUrls: ["hooks.slack.com/x"],
+          })
+        );
+      }).toThrow("'webhookUrls' must be an array of HTTP(S) URLs");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { webhookFormat: "teams" })
+        );
+      }).toThrow('\'webhookFormat\' must be "chat" or "json"');
+    });
+
+    TestFramework.it("should post a chat message after the run", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createMockResponse(200, "ok"),
+        ],
+      });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+      const [call] = webhookCalls();
+      const payload = JSON.parse(call.options.payload);
+
+      TestFramework.expect(summary.webhooksNotified).toBe(1);
+      TestFramework.expect(call.url).toBe(slackUrl);
+      TestFramework.expect(call.options.method).toBe("post");
+      TestFramework.expect(call.options.muteHttpExceptions).toBe(true);
+      TestFramework.expect(Object.keys(payload)).toEqual(["text"]);
+      TestFramework.expect(payload.text).toContain(
+        `*CrUX run ${summary.executionId}*: 1 rows written from 1 requests`
+      );
+    });
+
+    TestFramework.it("should list failed requests", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createMockResponse(403, "Forbidden"),
+          TestMocks.createMockResponse(200, "ok"),
+        ],
+      });
+
+      await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { formFactor: ["PHONE", "DESKTOP"] })
+      ).run();
+      const { text } = JSON.parse(webhookCalls()[0].options.payload);
+
+      TestFramework.expect(text).toContain("1 failed");
+      TestFramework.expect(text).toContain("*Failed requests (1)*");
+      TestFramework.expect(text).toContain(
+        "• https://example.com (DESKTOP, AGGREGATED): 403 Non-200 response: Forbidden"
+      );
+    });
+
+    TestFramework.it("should include regressions", async () => {
+      const response = (day, lcp) => {
+        const content = JSON.parse(
+          TestMocks.createDefaultResponse().getContentText()
+        );
+        content.record.metrics.largest_contentful_paint.percentiles.p75 = lcp;
+        content.record.collectionPeriod.lastDate = {
+          year: 2024,
+          month: 1,
+          day,
+        };
+        return TestMocks.createMockResponse(200, content);
+      };
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          response(1, 2400),
+          TestMocks.createMockResponse(200, "ok"),
+          response(2, 4100),
+          TestMocks.createMockResponse(200, "ok"),
+        ],
+      });
+
+      // The Utilities mock formats every date the same; see testRegressionAlerts.
+      await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { onDuplicate: "append" })
+      ).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { onDuplicate: "append" })
+      ).run();
+      const { text } = JSON.parse(webhookCalls()[1].options.payload);
+
+      TestFramework.expect(summary.regressionsDetected).toBe(1);
+      TestFramework.expect(summary.alertSent).toBe(false);
+      TestFramework.expect(text).toContain("*Regressions (1)*");
+      TestFramework.expect(text).toContain(
+        "LCP p75 2400 -> 4100 (+70.8%, Good -> Poor)"
+      );
+    });
+
+    TestFramework.it("should send raw data in json format", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createMockResponse(200, "ok"),
+        ],
+      });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { webhookFormat: "json" })
+      ).run();
+      const payload = JSON.parse(webhookCalls()[0].options.payload);
+
+      TestFramework.expect(payload.executionId).toBe(summary.executionId);
+      TestFramework.expect(payload.status).toBe("SUCCESS");
+      TestFramework.expect(payload.summary.rowsWritten).toBe(1);
+      TestFramework.expect(payload.failures).toEqual([]);
+      TestFramework.expect(payload.regressions).toEqual([]);
+    });
+
+    TestFramework.it("should notify every webhook", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createMockResponse(200, "ok"),
+          TestMocks.createMockResponse(200, "{}"),
+        ],
+      });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { webhookUrls: [slackUrl, chatUrl] })
+      ).run();
+
+      TestFramework.expect(summary.webhooksNotified).toBe(2);
+      TestFramework.expect(webhookCalls().map((call) => call.url)).toEqual([
+        slackUrl,
+        chatUrl,
+      ]);
+    });
+
+    TestFramework.it("should retry a webhook like a CrUX request", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createMockResponse(503, "Unavailable"),
+          TestMocks.createMockResponse(200, "ok"),
+        ],
+      });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, { maxRetries: 1 })
+      ).run();
+
+      TestFramework.expect(summary.webhooksNotified).toBe(1);
+      TestFramework.expect(webhookCalls().length).toBe(2);
+    });
+
+    TestFramework.it(
+      "should log a failing webhook without failing the run",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createDefaultResponse(),
+            TestMocks.createMockResponse(404, "no_team"),
+          ],
+        });
+
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults)
+        ).run();
+        const logs = Logger.getLogs();
+
+        TestFramework.expect(summary.rowsWritten).toBe(1);
+        TestFramework.expect(summary.webhooksNotified).toBe(0);
+        TestFramework.expect(
+          logs.some((line) =>
+            line.includes(
+              "Webhook 1 (hooks.slack.com) failed after 1 attempt(s): 404 no_team"
+            )
+          )
+        ).toBe(true);
+        TestFramework.expect(logs.some((line) => line.includes("secret"))).toBe(
+          false
+        );
+      }
+    );
+
+    TestFramework.it("should survive a webhook that throws", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse()],
+      });
+      const fetch = UrlFetchApp.fetch;
+      UrlFetchApp.fetch = (url, options) => {
+        if (url === slackUrl) {
+          throw new Error("DNS error");
+        }
+        return fetch(url, options);
+      };
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+
+      TestFramework.expect(summary.webhooksNotified).toBe(0);
+      TestFramework.expect(
+        Logger.getLogs().some((line) => line.includes("DNS error"))
+      ).toBe(true);
+    });
+
+    TestFramework.it("should report a failed run", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createMockResponse(403, "Forbidden"),
+          TestMocks.createMockResponse(200, "ok"),
+        ],
+      });
+
+      try {
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        TestFramework.expect(true).toBe(false);
+      } catch (error) {
+        TestFramework.expect(error.message).toContain(
+          "No successful API responses"
+        );
+      }
+
+      const { text } = JSON.parse(webhookCalls()[0].options.payload);
+      TestFramework.expect(text).toContain(
+        "failed*: No successful API responses received"
+      );
+      TestFramework.expect(text).toContain("*Failed requests (1)*");
+    });
+  });
+}
+
+/**
+ * Test resumable runs: checkpointing, continuation triggers and resuming
+ */
+function testResumableExecution() {
+  const defaults = {
+    urls: ["https://example.com", "https://example.org"],
+    maxRetries: 0,
+    resumable: true,
+    // A zero budget stops after one request per execution.
+    timeBudgetMs: 0,
+  };
+
+  TestFramework.describe("Resumable execution", () => {
+    TestFramework.it("should validate the resumable options", () => {
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { resumable: "yes" })
+        );
+      }).toThrow("'resumable' must be a boolean");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { timeBudgetMs: -1 })
+        );
+      }).toThrow("'timeBudgetMs' must be a non-negative integer");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { continuationFunction: "" })
+        );
+      }).toThrow("'continuationFunction' must be a non-empty string");
+    });
+
+    TestFramework.it(
+      "should checkpoint and schedule a continuation",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        const progress = await new CruxExtractor_(
+          TestMocks.createConfig(defaults)
+        ).run();
+        const [trigger] = ScriptApp.getProjectTriggers();
+        const properties = PropertiesService.getScriptProperties();
+        const meta = JSON.parse(
+          properties.getProperty(
+            "cruxExtractor.checkpoint.test-sheet-id.cruxData"
+          )
+        );
+
+        TestFramework.expect(progress.completed).toBe(false);
+        TestFramework.expect(progress.requestsProcessed).toBe(1);
+        TestFramework.expect(progress.totalRequests).toBe(2);
+        TestFramework.expect(UrlFetchApp.getCalls().length).toBe(1);
+        TestFramework.expect(trigger.getHandlerFunction()).toBe("main");
+        TestFramework.expect(trigger.afterMs).toBe(
+          CruxExtractor_.CONFIG.CONTINUATION_DELAY_MS
+        );
+        TestFramework.expect(meta.executionId).toBe(progress.executionId);
+        TestFramework.expect(meta.cursor).toBe(1);
+        TestFramework.expect(meta.triggerId).toBe(trigger.getUniqueId());
+        TestFramework.expect(meta.rows).toBe(undefined);
+        TestFramework.expect(meta.entries).toBe(2);
+        TestFramework.expect(
+          SpreadsheetApp.openById("test-sheet-id")
+            .getSheetByName("cruxData (checkpoint)")
+            .getLastRow()
+        ).toBe(2);
+      }
+    );
+
+    TestFramework.it("should finish under the same execution ID", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+
+      const first = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+      const sheet =
+        SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxData");
+
+      TestFramework.expect(summary.completed).toBe(true);
+      TestFramework.expect(summary.executionId).toBe(first.executionId);
+      TestFramework.expect(summary.executions).toBe(2);
+      TestFramework.expect(summary.successfulResponses).toBe(2);
+      TestFramework.expect(summary.rowsWritten).toBe(2);
+      TestFramework.expect(sheet.getData().length).toBe(3);
+      TestFramework.expect(
+        SpreadsheetApp.openById("test-sheet-id").getSheetByName(
+          "cruxData (checkpoint)"
+        )
+      ).toBeNull();
+      TestFramework.expect(ScriptApp.getProjectTriggers().length).toBe(0);
+      TestFramework.expect(
+        PropertiesService.getScriptProperties().getKeys().length
+      ).toBe(0);
+    });
+
+    TestFramework.it(
+      "should append each execution's entries to the checkpoint tab",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+        const options = {
+          urls: [
+            "https://example.com",
+            "https://example.org",
+            "https://example.net",
+          ],
+        };
+
+        await new CruxExtractor_(
+          TestMocks.createConfig(defaults, options)
+        ).run();
+        const tab = SpreadsheetApp.openById("test-sheet-id").getSheetByName(
+          "cruxData (checkpoint)"
+        );
+        const [firstEntry] = tab.getData();
+        const writtenAt = [];
+        const getRange = tab.getRange;
+        tab.getRange = (row, ...rest) => {
+          writtenAt.push(row);
+          return getRange(row, ...rest);
+        };
+        tab.clearContents = () => {
+          throw new Error("checkpoint tab rewritten");
+        };
+        await new CruxExtractor_(
+          TestMocks.createConfig(defaults, options)
+        ).run();
+        const meta = JSON.parse(
+          PropertiesService.getScriptProperties().getProperty(
+            "cruxExtractor.checkpoint.test-sheet-id.cruxData"
+          )
+        );
+
+        TestFramework.expect(meta.cursor).toBe(2);
+        TestFramework.expect(meta.entries).toBe(4);
+        TestFramework.expect(writtenAt).toEqual([1, 3]);
+        TestFramework.expect(tab.getData()[0]).toEqual(firstEntry);
+        TestFramework.expect(tab.getLastRow()).toBe(4);
+      }
+    );
+
+    TestFramework.it("should restore dates from the checkpoint", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+      const row = ["https://example.com", new Date(2024, 1, 3)];
+      extractor.saveCheckpoint({
+        executionId: "exec_1",
+        cursor: 1,
+        requestCount: 2,
+        executions: 1,
+        triggerId: null,
+        successfulResponses: 1,
+        originFallbacks: 0,
+        rows: [row],
+        lcpBreakdownRows: [],
+        records: [],
+      });
+      const checkpoint = extractor.loadCheckpoint();
+
+      TestFramework.expect(checkpoint.executionId).toBe("exec_1");
+      TestFramework.expect(checkpoint.rows[0][1]).toBeInstanceOf(Date);
+      TestFramework.expect(checkpoint.rows[0][1].getTime()).toBe(
+        row[1].getTime()
+      );
+    });
+
+    TestFramework.it(
+      "should keep a large run's rows out of Script Properties",
+      () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        // 300 URLs x 3 form factors
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        const rows = Array.from({ length: 900 }, (_, index) => [
+          new Date(2024, 0, 28),
+          "PHONE",
+          `https://example.com/page-${index}`,
+          ...Array(42).fill(0.123456),
+        ]);
+        extractor.saveCheckpoint({
+          executionId: "exec_1",
+          cursor: 900,
+          requestCount: 1200,
+          executions: 3,
+          triggerId: null,
+          successfulResponses: 900,
+          originFallbacks: 0,
+          rows,
+          lcpBreakdownRows: [],
+          records: rows.map(() => ({
+            url: "https://example.com",
+            status: "SUCCESS",
+          })),
+        });
+        const properties = PropertiesService.getScriptProperties();
+        const stored = properties
+          .getKeys()
+          .map((key) => properties.getProperty(key).length)
+          .reduce((total, length) => total + length, 0);
+        const checkpoint = extractor.loadCheckpoint();
+
+        TestFramework.expect(stored < 500).toBe(true);
+        TestFramework.expect(checkpoint.rows.length).toBe(900);
+        TestFramework.expect(checkpoint.records.length).toBe(900);
+        TestFramework.expect(checkpoint.rows[899][2]).toBe(
+          "https://example.com/page-899"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should discard a checkpoint whose tab is incomplete",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        SpreadsheetApp.openById("test-sheet-id")
+          .getSheetByName("cruxData (checkpoint)")
+          .clearContents();
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+
+        TestFramework.expect(extractor.loadCheckpoint()).toBeNull();
+        TestFramework.expect(
+          PropertiesService.getScriptProperties().getKeys().length
+        ).toBe(0);
+      }
+    );
+
+    TestFramework.it(
+      "should discard a checkpoint for another request list",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults, { urls: ["https://example.com"] })
+        ).run();
+
+        TestFramework.expect(summary.completed).toBe(true);
+        TestFramework.expect(summary.executions).toBe(1);
+        TestFramework.expect(summary.totalRequests).toBe(1);
+      }
+    );
+
+    TestFramework.it(
+      "should reuse the sitemap URLs the first execution discovered",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createSitemapResponse([
+              "https://example.com/a",
+              "https://example.com/b",
+            ]),
+            TestMocks.createDefaultResponse(),
+            TestMocks.createDefaultResponse(),
+          ],
+          sheetExists: false,
+        });
+        const options = {
+          urls: [],
+          sitemapUrl: "https://example.com/sitemap.xml",
+        };
+
+        await new CruxExtractor_(
+          TestMocks.createConfig(defaults, options)
+        ).run();
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults, options)
+        ).run();
+        const calls = UrlFetchApp.getCalls();
+
+        TestFramework.expect(summary.completed).toBe(true);
+        TestFramework.expect(summary.executions).toBe(2);
+        TestFramework.expect(summary.sitemapUrls).toBe(2);
+        TestFramework.expect(
+          calls.filter(({ url }) => url === options.sitemapUrl).length
+        ).toBe(1);
+        TestFramework.expect(
+          calls
+            .filter(({ options: request }) => request.payload)
+            .map(({ options: request }) => JSON.parse(request.payload).url)
+        ).toEqual(["https://example.com/a", "https://example.com/b"]);
+      }
+    );
+
+    TestFramework.it(
+      "should clear the checkpoint when the run fails",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createMockResponse(403, "Forbidden"),
+            TestMocks.createMockResponse(403, "Forbidden"),
+          ],
+          sheetExists: false,
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        try {
+          await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+          TestFramework.expect(true).toBe(false);
+        } catch (error) {
+          TestFramework.expect(error.message).toContain(
+            "No successful API responses received"
+          );
+        }
+
+        TestFramework.expect(
+          PropertiesService.getScriptProperties().getKeys().length
+        ).toBe(0);
+      }
+    );
+
+    TestFramework.it(
+      "should not checkpoint when the budget is not reached",
+      async () => {
+        TestMocks.setupGlobalMocks({ sheetExists: false });
+
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults, { timeBudgetMs: 270000 })
+        ).run();
+
+        TestFramework.expect(summary.completed).toBe(true);
+        TestFramework.expect(summary.executions).toBe(1);
+        TestFramework.expect(ScriptApp.getProjectTriggers().length).toBe(0);
+      }
+    );
+  });
+}
+
+/**
+ * Test reading URLs and per-URL settings from a config tab
+ */
+function testConfigSheet() {
+  // The URLs come from the config tab.
+  const defaults = {
+    urls: undefined,
+    formFactor: ["PHONE", "DESKTOP"],
+    maxRetries: 0,
+    configSheetName: "urls",
+  };
+  const setupConfigTab = (rows) => {
+    TestMocks.setupGlobalMocks({ sheetExists: false });
+    const sheet = SpreadsheetApp.openById("test-sheet-id").insertSheet("urls");
+    sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  };
+  const expectConfigError = (message) => {
+    try {
+      new CruxExtractor_(TestMocks.createConfig(defaults)).applyConfigSheet();
+      TestFramework.expect(true).toBe(false);
+    } catch (error) {
+      TestFramework.expect(error.message).toContain(message);
+    }
+  };
+
+  TestFramework.describe("Config tab", () => {
+    TestFramework.it("should read enabled URLs with their settings", () => {
+      setupConfigTab([
+        ["Label", "url", "Enabled", "Form Factors", "Notes"],
+        ["Home", "https://example.com", true, "", "main page"],
+        ["Pricing", "https://example.com/pricing", "yes", "phone", ""],
+        ["Old", "https://example.com/old", false, "", ""],
+        ["", "", "", "", ""],
+      ]);
+
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+      extractor.applyConfigSheet();
+
+      TestFramework.expect(extractor.urls).toEqual([
+        "https://example.com",
+        "https://example.com/pricing",
+      ]);
+      TestFramework.expect(extractor.urlFormFactors).toEqual({
+        "https://example.com/pricing": ["PHONE"],
+      });
+      TestFramework.expect(extractor.labels).toEqual({
+        "https://example.com": "Home",
+        "https://example.com/pricing": "Pricing",
+      });
+    });
+
+    TestFramework.it(
+      "should use per-URL form factors for requests",
+      async () => {
+        setupConfigTab([
+          ["URL", "Form Factors"],
+          ["https://example.com", ""],
+          ["https://example.com/pricing", "DESKTOP, TABLET"],
+        ]);
+
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        extractor.applyConfigSheet();
+        const requests = await extractor.buildRequestUrls();
+        const bodies = requests.map((request) => JSON.parse(request.payload));
+
+        TestFramework.expect(requests.length).toBe(4);
+        TestFramework.expect(
+          bodies
+            .filter((body) => body.url === "https://example.com/pricing")
+            .map((body) => body.formFactor)
+        ).toEqual(["DESKTOP", "TABLET"]);
+      }
+    );
+
+    TestFramework.it("should add the tab's URLs to 'urls'", () => {
+      setupConfigTab([["URL"], ["https://example.com/pricing"]]);
+
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, { urls: ["https://example.com"] })
+      );
+      extractor.applyConfigSheet();
+
+      TestFramework.expect(extractor.urls.length).toBe(2);
+    });
+
+    TestFramework.it("should report every invalid row", () => {
+      setupConfigTab([
+        ["URL", "Form Factors", "Enabled"],
+        ["example.com", "", ""],
+        ["https://example.com", "MOBILE", ""],
+        ["https://example.com/a", "", "maybe"],
+        ["https://example.com/b", "", ""],
+        ["https://example.com/b", "", ""],
+        ["not a url", "", "no"],
+      ]);
+
+      expectConfigError("Config tab 'urls' has 4 invalid row(s)");
+      expectConfigError("row 2: 'example.com' is not a valid URL");
+      expectConfigError("row 3: unknown form factor(s) MOBILE");
+      expectConfigError(
+        "row 4: 'Enabled' must be TRUE, FALSE, yes, no or blank"
+      );
+      expectConfigError(
+        "row 6: 'https://example.com/b' is listed more than once"
+      );
+    });
+
+    TestFramework.it("should reject a missing or unusable tab", () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+      expectConfigError("Config tab 'urls' not found");
+
+      setupConfigTab([
+        ["Page", "Label"],
+        ["https://example.com", "Home"],
+      ]);
+      expectConfigError("must have a 'URL' header in row 1");
+
+      setupConfigTab([
+        ["URL", "Enabled"],
+        ["https://example.com", false],
+      ]);
+      expectConfigError("Config tab 'urls' has no enabled URLs");
+
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { configSheetName: " " })
+        );
+      }).toThrow("'configSheetName' must be a non-empty string");
+    });
+
+    TestFramework.it("should show labels in webhook messages", async () => {
+      setupConfigTab([
+        ["URL", "Label"],
+        ["https://example.com", "Home"],
+      ]);
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          formFactor: ["PHONE"],
+          webhookUrls: ["https://hooks.example.com/x"],
+        })
+      );
+      extractor.applyConfigSheet();
+      extractor.executionRecords = [
+        {
+          url: "https://example.com",
+          formFactor: "PHONE",
+          connectionType: "AGGREGATED",
+          status: "FAILED",
+          responseCode: 403,
+          errorMessage: "Forbidden",
+        },
+      ];
+
+      const { text } = extractor.buildWebhookPayload(
+        "exec_1",
+        null,
+        [],
+        new Error("x")
+      );
+
+      TestFramework.expect(text).toContain(
+        "• https://example.com [Home] (PHONE"
+      );
+    });
+
+    TestFramework.it(
+      "should read the tab when the run starts, not on construction",
+      async () => {
+        setupConfigTab([["URL"], ["https://example.com"]]);
+        const openById = SpreadsheetApp.openById;
+        SpreadsheetApp.openById = () => {
+          throw new Error("opened the spreadsheet");
+        };
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        SpreadsheetApp.openById = openById;
+
+        TestFramework.expect(extractor.urls).toEqual([]);
+
+        const summary = await extractor.run();
+
+        TestFramework.expect(extractor.urls).toEqual(["https://example.com"]);
+        TestFramework.expect(summary.totalRequests).toBe(2);
+      }
+    );
+
+    TestFramework.it("should fail the run, not the constructor", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+      const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+
+      try {
+        await extractor.run();
+        TestFramework.expect(true).toBe(false);
+      } catch (error) {
+        TestFramework.expect(error.message).toContain(
+          "Config tab 'urls' not found"
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Test discovering URLs from a sitemap
+ */
+function testSitemapDiscovery() {
+  const sitemapUrl = "https://example.com/sitemap.xml";
+  // The URLs come from the sitemap.
+  const defaults = { urls: undefined, maxRetries: 0, sitemapUrl };
+  const requestedUrls = (requests) =>
+    requests.map((request) => JSON.parse(request.payload).url);
+
+  TestFramework.describe("Sitemap discovery", () => {
+    TestFramework.it("should validate the sitemap options", () => {
+      TestMocks.setupGlobalMocks();
+
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            sitemapUrl: "example.com/sitemap.xml",
+          })
+        );
+      }).toThrow("'sitemapUrl' must be an HTTP(S) URL");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { sitemapMaxUrls: 0 })
+        );
+      }).toThrow("'sitemapMaxUrls' must be a positive integer");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { sitemapInclude: "/blog/" })
+        );
+      }).toThrow("'sitemapInclude' must be an array of regular expressions");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { sitemapExclude: ["(unclosed"] })
+        );
+      }).toThrow("Invalid pattern '(unclosed' in 'sitemapExclude'");
+    });
+
+    TestFramework.it("should add sitemap URLs after 'urls'", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createSitemapResponse([
+            "https://example.com/",
+            "https://example.com/about",
+            "https://example.com/about",
+            "not a url",
+          ]),
+        ],
+      });
+
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, { urls: ["https://example.com/"] })
+      );
+      const requests = await extractor.buildRequestUrls();
+
+      TestFramework.expect(UrlFetchApp.getCalls()[0].url).toBe(sitemapUrl);
+      TestFramework.expect(requestedUrls(requests)).toEqual([
+        "https://example.com/",
+        "https://example.com/about",
+      ]);
+      TestFramework.expect(
+        extractor.discoveryRecords.map((record) => record.status)
+      ).toEqual(["DISCOVERED"]);
+    });
+
+    TestFramework.it("should follow sitemap indexes", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createSitemapResponse(
+            [
+              "https://example.com/sitemap-blog.xml",
+              "https://example.com/sitemap-shop.xml",
+            ],
+            true
+          ),
+          TestMocks.createSitemapResponse(["https://example.com/blog/a"]),
+          TestMocks.createSitemapResponse(["https://example.com/shop/b"]),
+        ],
+      });
+
+      const requests = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).buildRequestUrls();
+
+      TestFramework.expect(requestedUrls(requests)).toEqual([
+        "https://example.com/blog/a",
+        "https://example.com/shop/b",
+      ]);
+    });
+
+    TestFramework.it("should apply the patterns and the cap", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createSitemapResponse([
+            "https://example.com/blog/a",
+            "https://example.com/blog/drafts/b",
+            "https://example.com/shop/c",
+            "https://example.com/blog/d",
+            "https://example.com/blog/e",
+          ]),
+        ],
+      });
+
+      const requests = await new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          sitemapInclude: ["/blog/"],
+          sitemapExclude: [/\/drafts\//],
+          sitemapMaxUrls: 2,
+        })
+      ).buildRequestUrls();
+
+      TestFramework.expect(requestedUrls(requests)).toEqual([
+        "https://example.com/blog/a",
+        "https://example.com/blog/d",
+      ]);
+    });
+
+    TestFramework.it(
+      "should record a sitemap that cannot be read",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createSitemapResponse(
+              [
+                "https://example.com/sitemap-missing.xml",
+                "https://example.com/sitemap-broken.xml",
+              ],
+              true
+            ),
+            TestMocks.createMockResponse(404, "Not Found"),
+            TestMocks.createMockResponse(200, "<urlset><url><loc>"),
+          ],
+        });
+
+        const extractor = new CruxExtractor_(
+          TestMocks.createConfig(defaults, { urls: ["https://example.com"] })
+        );
+        const requests = await extractor.buildRequestUrls();
+        const [missing, broken] = extractor.discoveryRecords;
+
+        TestFramework.expect(requests.length).toBe(1);
+        TestFramework.expect(missing.status).toBe("FAILED");
+        TestFramework.expect(missing.responseCode).toBe(404);
+        TestFramework.expect(broken.errorMessage).toContain(
+          "Invalid sitemap XML"
+        );
+      }
+    );
+
+    TestFramework.it(
+      "should log discovered URLs to executionHistory",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createSitemapResponse(["https://example.com/a"]),
+            TestMocks.createDefaultResponse(),
+          ],
+          sheetExists: false,
+        });
+
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults)
+        ).run();
+        const history = SpreadsheetApp.openById("test-sheet-id")
+          .getSheetByName("executionHistory")
+          .getData();
+
+        TestFramework.expect(summary.sitemapUrls).toBe(1);
+        TestFramework.expect(history.length).toBe(3);
+        TestFramework.expect(history[1][2]).toBe("https://example.com/a");
+        TestFramework.expect(history[1][4]).toBe("DISCOVERED");
+        TestFramework.expect(history[1][6]).toBe("-");
+        TestFramework.expect(history[1][11]).toBe(sitemapUrl);
+        TestFramework.expect(history[2][4]).toBe("SUCCESS");
+      }
+    );
+  });
+}
+
+/**
+ * Test URL groups and their aggregate rows
+ */
+function testUrlGroups() {
+  const pageResponse = (url, lcp, cls) => {
+    const content = JSON.parse(
+      TestMocks.createDefaultResponse().getContentText()
+    );
+    content.record.key.url = url;
+    content.record.metrics.largest_contentful_paint.percentiles.p75 = lcp;
+    content.record.metrics.cumulative_layout_shift = {
+      histogram: [{ density: 0.9 }, { density: 0.05 }, { density: 0.05 }],
+      percentiles: { p75: cls },
+    };
+    return TestMocks.createMockResponse(200, content);
+  };
+  const defaults = {
+    urls: [
+      "https://example.com/",
+      "https://example.com/products/a",
+      "https://example.com/products/b",
+      "https://example.com/products/c",
+    ],
+    maxRetries: 0,
+    urlGroups: [
+      { name: "Home", urls: ["https://example.com"] },
+      { name: "Product", pattern: "^/products/" },
+    ],
+  };
+
+  TestFramework.describe("URL groups", () => {
+    TestFramework.it("should validate the group options", () => {
+      TestMocks.setupGlobalMocks();
+
+      TestFramework.expect(() => {
+        new CruxExtractor_(TestMocks.createConfig(defaults, { urlGroups: {} }));
+      }).toThrow("'urlGroups' must be an array");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { urlGroups: [{ pattern: "^/" }] })
+        );
+      }).toThrow("'urlGroups[0]' must have a non-empty 'name'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { urlGroups: [{ name: "Blog" }] })
+        );
+      }).toThrow("'urlGroups[0]' must have 'urls' or a 'pattern'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            urlGroups: [{ name: "Blog", pattern: "(" }],
+          })
+        );
+      }).toThrow("Invalid pattern in 'urlGroups[0]'");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            urlGroups: [
+              { name: "Blog", pattern: "^/blog/" },
+              { name: "Blog", pattern: "^/news/" },
+            ],
+          })
+        );
+      }).toThrow("'urlGroups' names must be unique");
+      TestFramework.expect(() => {
+        new CruxExtractor_(
+          TestMocks.createConfig(defaults, { mode: "history" })
+        );
+      }).toThrow("'urlGroups' is not supported in history mode");
+    });
+
+    TestFramework.it("should assign URLs by list, then by path pattern", () => {
+      TestMocks.setupGlobalMocks();
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, {
+          urlGroups: [
+            { name: "Product", pattern: /^\/products\// },
+            {
+              name: "Featured",
+              urls: ["https://example.com/products/featured/"],
+            },
+          ],
+        })
+      );
+
+      TestFramework.expect(
+        extractor.getUrlGroup("https://example.com/products/a?ref=1")
+      ).toBe("Product");
+      TestFramework.expect(
+        extractor.getUrlGroup("https://example.com/products/featured")
+      ).toBe("Featured");
+      TestFramework.expect(
+        extractor.getUrlGroup("https://example.com/about")
+      ).toBeNull();
+    });
+
+    TestFramework.it("should write one aggregate row per group", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          pageResponse("https://example.com/", 1800, "0.05"),
+          pageResponse("https://example.com/products/a", 2000, "0.05"),
+          pageResponse("https://example.com/products/b", 4200, "0.30"),
+          pageResponse("https://example.com/products/c", 2400, "0.08"),
+        ],
+        sheetExists: false,
+      });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+      const [headers, home, product] = SpreadsheetApp.openById("test-sheet-id")
+        .getSheetByName("cruxGroups")
+        .getData();
+      const value = (row, label) => row[headers.indexOf(label)];
+
+      TestFramework.expect(headers.length).toBe(
+        CruxExtractor_.CONFIG.GROUP_COLUMN_COUNT
+      );
+      TestFramework.expect(summary.groupRowsWritten).toBe(2);
+      TestFramework.expect(value(home, "Group")).toBe("Home");
+      TestFramework.expect(value(home, "URLs")).toBe(1);
+      TestFramework.expect(value(product, "Group")).toBe("Product");
+      TestFramework.expect(value(product, "Platform")).toBe("PHONE");
+      TestFramework.expect(value(product, "URLs")).toBe(3);
+      TestFramework.expect(value(product, "LCP Median p75")).toBe(2400);
+      TestFramework.expect(value(product, "LCP % Good")).toBe(0.6667);
+      TestFramework.expect(value(product, "LCP Worst URL")).toBe(
+        "https://example.com/products/b"
+      );
+      TestFramework.expect(value(product, "CLS Median p75")).toBe(0.08);
+      TestFramework.expect(value(product, "INP Median p75")).toBe("-");
+      TestFramework.expect(value(product, "CWV % Passing")).toBe(0.6667);
+    });
+
+    TestFramework.it("should take groups from the config tab", () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+      SpreadsheetApp.openById("test-sheet-id")
+        .insertSheet("urls")
+        .getRange(1, 1, 3, 2)
+        .setValues([
+          ["URL", "Group"],
+          ["https://example.com/blog/a", "Blog"],
+          ["https://example.com/products/z", "Product"],
+        ]);
+
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, { configSheetName: "urls" })
+      );
+      extractor.applyConfigSheet();
+
+      TestFramework.expect(
+        extractor.getUrlGroup("https://example.com/blog/a")
+      ).toBe("Blog");
+      TestFramework.expect(
+        extractor.urlGroups.find(({ name }) => name === "Product").urls
+      ).toEqual(["https://example.com/products/z"]);
+    });
+  });
+}
+
+/**
+ * Test running several jobs in one call with extractAll()
+ */
+function testExtractAll() {
+  const job = (name, options = {}) =>
+    Object.assign(
+      {
+        name,
+        urls: ["https://example.com"],
+        spreadsheetId: `${name}-sheet-id`,
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        maxRetries: 0,
+        // The SpreadsheetApp mock shares its tabs across spreadsheet IDs.
+        onDuplicate: "append",
+      },
+      options
+    );
+
+  TestFramework.describe("extractAll()", () => {
+    TestFramework.it("should validate the jobs", () => {
+      TestMocks.setupGlobalMocks();
+
+      TestFramework.expect(() => extractAll([])).toThrow(
+        "extractAll(jobs) requires a non-empty array of configuration objects"
+      );
+      TestFramework.expect(() => extractAll([job("a"), null])).toThrow(
+        "extractAll(jobs) requires a non-empty array of configuration objects"
+      );
+      TestFramework.expect(() => extractAll([job("a"), job("a")])).toThrow(
+        "extractAll() job names must be unique"
+      );
+    });
+
+    TestFramework.it("should run every job under one ID prefix", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+
+      const result = await extractAll([job("brand-a"), job("brand-b")]);
+      const [first, second] = result.jobs;
+
+      TestFramework.expect(result.succeeded).toBe(2);
+      TestFramework.expect(result.failed).toBe(0);
+      TestFramework.expect(first.name).toBe("brand-a");
+      TestFramework.expect(first.executionId).toBe(`${result.executionId}_1`);
+      TestFramework.expect(second.executionId).toBe(`${result.executionId}_2`);
+      TestFramework.expect(second.summary.executionId).toBe(second.executionId);
+      TestFramework.expect(result.totals.totalRequests).toBe(2);
+      TestFramework.expect(result.totals.rowsWritten).toBe(2);
+      TestFramework.expect(LockService.getScriptLock().released).toBe(true);
+    });
+
+    TestFramework.it("should isolate a failing job", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [
+          TestMocks.createDefaultResponse(),
+          TestMocks.createMockResponse(403, "Forbidden"),
+          TestMocks.createDefaultResponse(),
+        ],
+        sheetExists: false,
+      });
+
+      const result = await extractAll([
+        job("brand-a"),
+        job("brand-b"),
+        job("brand-c", { spreadsheetId: "" }),
+        job("brand-d"),
+      ]);
+      const statuses = result.jobs.map(({ status }) => status);
+
+      TestFramework.expect(statuses).toEqual([
+        "SUCCESS",
+        "FAILED",
+        "FAILED",
+        "SUCCESS",
+      ]);
+      TestFramework.expect(result.jobs[1].error).toContain(
+        "No successful API responses received"
+      );
+      TestFramework.expect(result.jobs[2].error).toContain(
+        "'spreadsheetId' must be a non-empty string"
+      );
+      TestFramework.expect(result.totals.rowsWritten).toBe(2);
+    });
+
+    TestFramework.it("should reject resumable jobs", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+
+      const result = await extractAll([
+        job("brand-a"),
+        job("brand-b", { resumable: true }),
+      ]);
+
+      TestFramework.expect(result.jobs[1].error).toContain(
+        "'resumable' is not supported in extractAll() jobs"
+      );
+    });
+
+    TestFramework.it("should throw when every job fails", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+
+      try {
+        await extractAll([job("a", { apiKey: "" }), job("b", { urls: [] })]);
+        TestFramework.expect(true).toBe(false);
+      } catch (error) {
+        TestFramework.expect(error.message).toContain("All 2 jobs failed");
+        TestFramework.expect(error.message).toContain("a: Crux Extractor:");
+      }
+      TestFramework.expect(LockService.getScriptLock().released).toBe(true);
+    });
+
+    TestFramework.it(
+      "should skip the batch when the lock is held",
+      async () => {
+        TestMocks.setupGlobalMocks();
+        global.LockService = TestMocks.createLockServiceMock(true);
+
+        const result = await extractAll([job("brand-a")]);
+
+        TestFramework.expect(result).toBeNull();
+        TestFramework.expect(UrlFetchApp.getCalls().length).toBe(0);
+      }
+    );
+  });
+}
+
+/**
+ * Test schedule helpers: installSchedule(), listSchedules(), removeSchedules()
+ */
+function testSchedules() {
+  TestFramework.describe("Schedules", () => {
+    TestFramework.it("should validate the schedule options", () => {
+      TestMocks.setupGlobalMocks();
+
+      TestFramework.expect(() => installSchedule()).toThrow(
+        "installSchedule(options) requires an options object"
+      );
+      TestFramework.expect(() => installSchedule({})).toThrow(
+        "'function' must be the name of a top-level function"
+      );
+      TestFramework.expect(() =>
+        installSchedule({ function: "main", frequency: "monthly" })
+      ).toThrow('\'frequency\' must be "hourly", "daily" or "weekly"');
+      TestFramework.expect(() =>
+        installSchedule({ function: "main", hour: 24 })
+      ).toThrow("'hour' must be an integer from 0 to 23");
+      TestFramework.expect(() =>
+        installSchedule({ function: "main", weekDay: "MON" })
+      ).toThrow("'weekDay' must be one of MONDAY");
+      TestFramework.expect(() => removeSchedules("")).toThrow(
+        "removeSchedules(functionName) requires a function name"
+      );
+    });
+
+    TestFramework.it("should install a daily trigger", () => {
+      TestMocks.setupGlobalMocks();
+
+      const result = installSchedule({ function: "main", hour: 5 });
+      const [trigger] = ScriptApp.getProjectTriggers();
+
+      TestFramework.expect(result.installed).toBe(true);
+      TestFramework.expect(result.removed).toBe(0);
+      TestFramework.expect(trigger.getHandlerFunction()).toBe("main");
+      TestFramework.expect(trigger.schedule).toEqual({
+        everyDays: 1,
+        hour: 5,
+        timezone: "America/Los_Angeles",
+      });
+      TestFramework.expect(result.schedule.managed).toBe(true);
+      TestFramework.expect(result.schedule.frequency).toBe("daily");
+    });
+
+    TestFramework.it("should be idempotent", () => {
+      TestMocks.setupGlobalMocks();
+      const options = {
+        function: "main",
+        frequency: "weekly",
+        weekDay: "FRIDAY",
+        hour: 22,
+        timezone: "Europe/Berlin",
+      };
+
+      const first = installSchedule(options);
+      const second = installSchedule(options);
+
+      TestFramework.expect(second.installed).toBe(false);
+      TestFramework.expect(second.schedule.uniqueId).toBe(
+        first.schedule.uniqueId
+      );
+      TestFramework.expect(ScriptApp.getProjectTriggers().length).toBe(1);
+    });
+
+    TestFramework.it("should replace a changed schedule", () => {
+      TestMocks.setupGlobalMocks();
+
+      installSchedule({ function: "main", hour: 5 });
+      const result = installSchedule({ function: "main", frequency: "hourly" });
+      const schedules = listSchedules();
+
+      TestFramework.expect(result.installed).toBe(true);
+      TestFramework.expect(result.removed).toBe(1);
+      TestFramework.expect(schedules.length).toBe(1);
+      TestFramework.expect(schedules[0].frequency).toBe("hourly");
+      TestFramework.expect(schedules[0].hour).toBeNull();
+    });
+
+    TestFramework.it("should replace duplicate triggers with one", () => {
+      TestMocks.setupGlobalMocks();
+      ScriptApp.newTrigger("main").timeBased().everyDays(1).create();
+      ScriptApp.newTrigger("main").timeBased().everyDays(1).create();
+      ScriptApp.newTrigger("report").timeBased().everyDays(1).create();
+
+      const before = listSchedules();
+      const result = installSchedule({ function: "main" });
+
+      TestFramework.expect(before[0].managed).toBe(false);
+      TestFramework.expect(before[0].frequency).toBeNull();
+      TestFramework.expect(result.removed).toBe(2);
+      TestFramework.expect(
+        ScriptApp.getProjectTriggers().map((t) => t.getHandlerFunction())
+      ).toEqual(["report", "main"]);
+    });
+
+    TestFramework.it("should keep continuation triggers", async () => {
+      TestMocks.setupGlobalMocks({ sheetExists: false });
+      await new CruxExtractor_({
+        urls: ["https://example.com", "https://example.org"],
+        spreadsheetId: "test-sheet-id",
+        apiKey: "test-api-key",
+        formFactor: ["PHONE"],
+        resumable: true,
+        timeBudgetMs: 0,
+      }).run();
+
+      installSchedule({ function: "main" });
+      const continuation = listSchedules().filter((s) => s.continuation);
+      const removed = removeSchedules();
+
+      TestFramework.expect(continuation.length).toBe(1);
+      TestFramework.expect(removed).toBe(1);
+      TestFramework.expect(ScriptApp.getProjectTriggers().length).toBe(1);
+      TestFramework.expect(
+        PropertiesService.getScriptProperties()
+          .getKeys()
+          .some((key) => key.startsWith("cruxExtractor.schedule"))
+      ).toBe(false);
+    });
+
+    TestFramework.it("should remove only the named function's triggers", () => {
+      TestMocks.setupGlobalMocks();
+      installSchedule({ function: "main" });
+      installSchedule({ function: "report", frequency: "weekly" });
+
+      TestFramework.expect(removeSchedules("main")).toBe(1);
+      TestFramework.expect(listSchedules()[0].function).toBe("report");
+    });
+
+    TestFramework.it("should leave hand-made triggers alone by default", () => {
+      TestMocks.setupGlobalMocks();
+      ScriptApp.newTrigger("cleanup").timeBased().everyDays(1).create();
+      ScriptApp.newTrigger("main").timeBased().everyDays(1).create();
+      installSchedule({ function: "report", frequency: "weekly" });
+
+      TestFramework.expect(removeSchedules()).toBe(1);
+      TestFramework.expect(
+        ScriptApp.getProjectTriggers().map((t) => t.getHandlerFunction())
+      ).toEqual(["cleanup", "main"]);
+      TestFramework.expect(removeSchedules("main")).toBe(1);
+    });
+  });
+}
+
+/**
+ * Test skipping collection periods that are already in the tab
+ */
+function testSkipUnchanged() {
+  const defaults = {
+    skipUnchanged: true,
+    // The Utilities mock formats every date the same, so the row keys
+    // onDuplicate compares would collide across periods.
+    onDuplicate: "append",
+  };
+  const noPeriod = () => {
+    const content = JSON.parse(
+      TestMocks.createDefaultResponse().getContentText()
+    );
+    delete content.record.collectionPeriod;
+    return TestMocks.createMockResponse(200, content);
+  };
+  const movedWindow = () => {
+    const content = JSON.parse(
+      TestMocks.createDefaultResponse().getContentText()
+    );
+    content.record.collectionPeriod.lastDate = { year: 2024, month: 1, day: 7 };
+    return TestMocks.createMockResponse(200, content);
+  };
+
+  TestFramework.describe("Skip Unchanged Periods", () => {
+    TestFramework.it("should validate skipUnchanged", () => {
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig(defaults, { skipUnchanged: "yes" })
+          )
+      ).toThrow("Crux Extractor: 'skipUnchanged' must be a boolean");
+    });
+
+    TestFramework.it(
+      "should report a re-run over the same window as UNCHANGED",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createDefaultResponse(),
+            TestMocks.createDefaultResponse(),
+          ],
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const second = new CruxExtractor_(TestMocks.createConfig(defaults));
+        const summary = await second.run();
+        const sheet =
+          SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxData");
+        const history = SpreadsheetApp.openById("test-sheet-id")
+          .getSheetByName("executionHistory")
+          .getData();
+
+        TestFramework.expect(summary.unchangedRequests).toBe(1);
+        TestFramework.expect(summary.rowsWritten).toBe(0);
+        TestFramework.expect(summary.duplicatesSkipped).toBe(0);
+        TestFramework.expect(second.executionRecords[0].status).toBe(
+          "UNCHANGED"
+        );
+        TestFramework.expect(history[history.length - 1]).toContain(
+          "UNCHANGED"
+        );
+        TestFramework.expect(sheet.getLastRow()).toBe(2);
+      }
+    );
+
+    TestFramework.it("should write a window that has moved", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse(), movedWindow()],
+      });
+
+      await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig(defaults)
+      ).run();
+
+      TestFramework.expect(summary.unchangedRequests).toBe(0);
+      TestFramework.expect(summary.rowsWritten).toBe(1);
+    });
+
+    TestFramework.it(
+      "should ignore rows dated by the run rather than a period",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [noPeriod(), TestMocks.createDefaultResponse()],
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const extractor = new CruxExtractor_(TestMocks.createConfig(defaults));
+        const summary = await extractor.run();
+
+        TestFramework.expect(extractor.latestPeriods).toEqual({});
+        TestFramework.expect(summary.unchangedRequests).toBe(0);
+        TestFramework.expect(summary.rowsWritten).toBe(1);
+      }
+    );
+
+    TestFramework.it("should be off by default", () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig(defaults, { skipUnchanged: undefined })
+      );
+
+      TestFramework.expect(extractor.skipUnchanged).toBe(false);
+    });
+
+    TestFramework.it(
+      "should leave re-runs to onDuplicate when disabled",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createDefaultResponse(),
+            TestMocks.createDefaultResponse(),
+          ],
+        });
+
+        await new CruxExtractor_(TestMocks.createConfig(defaults)).run();
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            skipUnchanged: false,
+            onDuplicate: "skip",
+          })
+        ).run();
+
+        TestFramework.expect(summary.unchangedRequests).toBe(0);
+        TestFramework.expect(summary.duplicatesSkipped).toBe(1);
+      }
+    );
+
+    TestFramework.it(
+      "should write only the new periods in history mode",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            TestMocks.createHistoryResponse(2),
+            TestMocks.createHistoryResponse(3),
+            TestMocks.createHistoryResponse(3),
+          ],
+        });
+        const history = TestMocks.createConfig(defaults, { mode: "history" });
+
+        const first = await new CruxExtractor_(history).run();
+        const second = await new CruxExtractor_(history).run();
+        const third = await new CruxExtractor_(history).run();
+
+        TestFramework.expect(first.rowsWritten).toBe(2);
+        TestFramework.expect(second.rowsWritten).toBe(1);
+        TestFramework.expect(second.unchangedRequests).toBe(0);
+        TestFramework.expect(third.rowsWritten).toBe(0);
+        TestFramework.expect(third.unchangedRequests).toBe(1);
+      }
+    );
+
+    TestFramework.it(
+      "should still count skipped rows towards their group",
+      async () => {
+        TestMocks.setupGlobalMocks();
+        const urls = ["https://example.com/a", "https://example.com/b"];
+        const response = (url) => {
+          const content = JSON.parse(
+            TestMocks.createDefaultResponse().getContentText()
+          );
+          content.record.key.url = url;
+          return content;
+        };
+        const extractor = new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            urls,
+            urlGroups: [{ name: "Pages", pattern: "^/" }],
+          })
+        );
+        const skip = (skipped) =>
+          Object.fromEntries(
+            skipped.map((url) => [
+              extractor.getPeriodIdentity("PHONE", url),
+              Date.UTC(2024, 0, 1),
+            ])
+          );
+        extractor.filteredResponse = urls.map(response);
+
+        // Only /a's window is already in the tab.
+        extractor.latestPeriods = skip([urls[0]]);
+        await extractor.normalizeData();
+        const groupRows = extractor.buildGroupRows();
+
+        TestFramework.expect(extractor.normalizedResponse.length).toBe(1);
+        TestFramework.expect(groupRows.length).toBe(1);
+        TestFramework.expect(groupRows[0][4]).toBe(2);
+
+        // Nothing new: the tab's group row stands.
+        extractor.latestPeriods = skip(urls);
+        await extractor.normalizeData();
+
+        TestFramework.expect(extractor.buildGroupRows()).toEqual([]);
+      }
+    );
+  });
+}
+
+/**
+ * Test writing the rows to several sinks
+ */
+function testSinks() {
+  TestFramework.describe("Output Sinks", () => {
+    TestFramework.it("should validate sinks", () => {
+      TestMocks.setupGlobalMocks();
+
+      TestFramework.expect(
+        () => new CruxExtractor_(TestMocks.createConfig({ sinks: [] }))
+      ).toThrow("Crux Extractor: 'sinks' must be a non-empty array");
+      TestFramework.expect(
+        () => new CruxExtractor_(TestMocks.createConfig({ sinks: ["xml"] }))
+      ).toThrow(
+        "Crux Extractor: 'sinks[0]' must be one of sheets, csv, json, http, or an object with a write() function"
+      );
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig({
+              sinks: ["sheets", { type: "csv", folderId: "" }],
+            })
+          )
+      ).toThrow(
+        "Crux Extractor: 'sinks[1]'.folderId must be a non-empty string"
+      );
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig({ sinks: [{ write() {} }] })
+          )
+      ).toThrow("Crux Extractor: 'sinks[0]' must have a non-empty 'name'");
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(TestMocks.createConfig({ sinks: ["csv", "csv"] }))
+      ).toThrow("Crux Extractor: 'sinks' names must be unique");
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig({ sinks: ["csv"], skipUnchanged: true })
+          )
+      ).toThrow("Crux Extractor: 'skipUnchanged' requires the \"sheets\" sink");
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig({
+              sinks: ["json"],
+              alertRecipients: ["team@example.com"],
+            })
+          )
+      ).toThrow(
+        "Crux Extractor: 'alertRecipients' requires the \"sheets\" sink"
+      );
+    });
+
+    TestFramework.it("should default to the Sheets sink", () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig({ sinks: undefined })
+      );
+
+      TestFramework.expect(extractor.sinks.map(({ name }) => name)).toEqual([
+        "sheets",
+      ]);
+    });
+
+    TestFramework.it("should write the same rows to every sink", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse()],
+      });
+      const received = [];
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig({
+          sinks: [
+            "sheets",
+            { type: "csv", folderId: "drop-folder", fileName: "crux" },
+            "json",
+            { name: "custom", write: (output) => received.push(output) },
+          ],
+        })
+      );
+
+      const summary = await extractor.run("exec_1");
+      const files = DriveApp.getFiles();
+      const [csv, csvHistory, json] = files;
+      const content = JSON.parse(json.content);
+
+      TestFramework.expect(summary.rowsWritten).toBe(1);
+      TestFramework.expect(summary.sinkRowsWritten).toEqual({
+        sheets: 1,
+        csv: 1,
+        json: 1,
+        custom: 1,
+      });
+      TestFramework.expect(summary.failedSinks).toEqual([]);
+      TestFramework.expect(files.map(({ name }) => name)).toEqual([
+        "crux_exec_1.csv",
+        "crux_exec_1_executionHistory.csv",
+        "cruxData_exec_1.json",
+      ]);
+      TestFramework.expect(csv.folderId).toBe("drop-folder");
+      TestFramework.expect(csv.mimeType).toBe("text/csv");
+      TestFramework.expect(json.folderId).toBe("root");
+      TestFramework.expect(csv.content.split("\r\n").length).toBe(2);
+      TestFramework.expect(
+        csv.content.startsWith(extractor.getOutputHeaders().join(","))
+      ).toBe(true);
+      TestFramework.expect(csvHistory.content.split("\r\n")[1]).toContain(
+        "exec_1"
+      );
+      TestFramework.expect(content.rows[0].URL).toBe("https://example.com");
+      TestFramework.expect(content.rows[0].Date).toBe("01-01-2024");
+      TestFramework.expect(content.records[0].Status).toBe("SUCCESS");
+      TestFramework.expect(received[0].rows).toEqual(
+        extractor.normalizedResponse
+      );
+      TestFramework.expect(received[0].records).toEqual(
+        extractor.executionRecords
+      );
+    });
+
+    TestFramework.it(
+      "should write files without touching the data tab",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [TestMocks.createDefaultResponse()],
+        });
+
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig({ sinks: ["csv"] })
+        ).run();
+
+        TestFramework.expect(summary.rowsWritten).toBe(0);
+        TestFramework.expect(summary.sinkRowsWritten).toEqual({ csv: 1 });
+        TestFramework.expect(summary.duplicatesSkipped).toBe(0);
+        TestFramework.expect(
+          SpreadsheetApp.openById("test-sheet-id").getSheetByName("cruxData")
+        ).toBeNull();
+      }
+    );
+
+    TestFramework.it(
+      "should give every sink the LCP breakdown and group rows",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [TestMocks.createLcpBreakdownResponse()],
+        });
+        const received = [];
+        const extractor = new CruxExtractor_(
+          Object.assign(
+            TestMocks.createConfig({
+              sinks: [
+                "csv",
+                "json",
+                { name: "custom", write: (output) => received.push(output) },
+              ],
+            }),
+            {
+              lcpBreakdown: true,
+              urlGroups: [{ name: "Home", urls: ["https://example.com"] }],
+            }
+          )
+        );
+
+        await extractor.run("exec_1");
+        const files = DriveApp.getFiles();
+        const json = JSON.parse(files[files.length - 1].content);
+
+        TestFramework.expect(files.map(({ name }) => name)).toEqual([
+          "cruxData_exec_1.csv",
+          "cruxData_exec_1_lcpBreakdown.csv",
+          "cruxData_exec_1_groups.csv",
+          "cruxData_exec_1_executionHistory.csv",
+          "cruxData_exec_1.json",
+        ]);
+        TestFramework.expect(json.lcpBreakdownRows.length).toBe(1);
+        TestFramework.expect(json.groupRows[0].Group).toBe("Home");
+        TestFramework.expect(received[0].lcpBreakdownRows).toEqual(
+          extractor.lcpBreakdownResponse
+        );
+        TestFramework.expect(received[0].groupRows.length).toBe(1);
+        TestFramework.expect(received[0].groupHeaders).toEqual(
+          extractor.getGroupHeaders()
+        );
+      }
+    );
+
+    TestFramework.it("should keep writing when one sink fails", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse()],
+      });
+
+      const summary = await new CruxExtractor_(
+        TestMocks.createConfig({
+          sinks: [{ type: "csv", folderId: "missing-folder" }, "sheets"],
+        })
+      ).run();
+
+      TestFramework.expect(summary.failedSinks).toEqual(["csv"]);
+      TestFramework.expect(summary.sinkRowsWritten).toEqual({ sheets: 1 });
+      TestFramework.expect(summary.rowsWritten).toBe(1);
+    });
+
+    TestFramework.it("should fail the run when every sink fails", async () => {
+      TestMocks.setupGlobalMocks({
+        urlFetchResponses: [TestMocks.createDefaultResponse()],
+      });
+
+      let message = null;
+      try {
+        await new CruxExtractor_(
+          TestMocks.createConfig({
+            sinks: [{ type: "json", folderId: "missing-folder" }],
+          })
+        ).run();
+      } catch (error) {
+        message = error.message;
+      }
+
+      TestFramework.expect(message).toBe(
+        "No item with the given ID could be found"
+      );
+    });
+
+    TestFramework.it("should quote CSV fields that need it", () => {
+      const extractor = new CruxExtractor_(
+        TestMocks.createConfig({ sinks: ["csv"] })
+      );
+
+      TestFramework.expect(
+        extractor.toCsv([
+          ["a,b", 'say "hi"', 0.5],
+          ["line\nbreak", "-", "plain"],
+        ])
+      ).toBe('"a,b","say ""hi""",0.5\r\n"line\nbreak",-,plain');
+    });
+  });
+}
+
+/**
+ * Test the HTTP sink against a mocked ingest endpoint
+ */
+function testHttpSink() {
+  const endpoint = "https://metrics.example.com/ingest?token=secret";
+  const defaults = {
+    urls: ["https://example.com", "https://example.org"],
+    formFactor: ["PHONE", "DESKTOP"],
+    retryBaseDelayMs: 0,
+  };
+  const cruxResponses = () =>
+    Array.from({ length: 4 }, () => TestMocks.createDefaultResponse());
+  const sinkCalls = () =>
+    UrlFetchApp.getCalls().filter(({ url }) => url === endpoint);
+  const historyRows = () =>
+    SpreadsheetApp.openById("test-sheet-id")
+      .getSheetByName("executionHistory")
+      .getData()
+      .filter((row) => row[2] === "https://metrics.example.com/ingest");
+
+  TestFramework.describe("HTTP Sink", () => {
+    TestFramework.it("should validate the HTTP sink", () => {
+      TestMocks.setupGlobalMocks();
+
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig(defaults, {
+              sinks: [
+                "sheets",
+                { type: "http", url: endpoint, url: "ftp://example.com" },
+              ],
+            })
+          )
+      ).toThrow("Crux Extractor: 'sinks[1]'.url must be an HTTP(S) URL");
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig(defaults, {
+              sinks: [
+                "sheets",
+                { type: "http", url: endpoint, headers: { "X-Retry": 3 } },
+              ],
+            })
+          )
+      ).toThrow(
+        "Crux Extractor: 'sinks[1]'.headers must be an object of strings"
+      );
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig(defaults, {
+              sinks: ["sheets", { type: "http", url: endpoint, batchSize: 0 }],
+            })
+          )
+      ).toThrow(
+        "Crux Extractor: 'sinks[1]'.batchSize must be a positive integer"
+      );
+      TestFramework.expect(
+        () =>
+          new CruxExtractor_(
+            TestMocks.createConfig(defaults, {
+              sinks: [
+                "sheets",
+                { type: "http", url: endpoint, maxRetries: -1 },
+              ],
+            })
+          )
+      ).toThrow(
+        "Crux Extractor: 'sinks[1]'.maxRetries must be a non-negative integer"
+      );
+    });
+
+    TestFramework.it(
+      "should POST the rows in batches with custom headers",
+      async () => {
+        TestMocks.setupGlobalMocks({ urlFetchResponses: cruxResponses() });
+        const extractor = new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            sinks: [
+              "sheets",
+              {
+                type: "http",
+                url: endpoint,
+                batchSize: 3,
+                headers: { Authorization: "Bearer abc" },
+              },
+            ],
+          })
+        );
+
+        const summary = await extractor.run("exec_1");
+        const calls = sinkCalls();
+        const first = JSON.parse(calls[0].options.payload);
+        const second = JSON.parse(calls[1].options.payload);
+        const history = historyRows();
+
+        TestFramework.expect(calls.length).toBe(2);
+        TestFramework.expect(calls[0].options.method).toBe("post");
+        TestFramework.expect(calls[0].options.headers).toEqual({
+          Authorization: "Bearer abc",
+        });
+        TestFramework.expect(first.executionId).toBe("exec_1");
+        TestFramework.expect(first.batches).toBe(2);
+        TestFramework.expect(first.rows.length).toBe(3);
+        TestFramework.expect(second.rows.length).toBe(1);
+        TestFramework.expect(first.rows[0].URL).toBe("https://example.com");
+        TestFramework.expect(first.rows[0].Platform).toBe("PHONE");
+        TestFramework.expect(summary.sinkRowsWritten.http).toBe(4);
+        TestFramework.expect(summary.failedRequests).toBe(0);
+        TestFramework.expect(history.length).toBe(2);
+        TestFramework.expect(history[0][3]).toBe("-");
+        TestFramework.expect(history[0][4]).toBe("BATCH_SENT");
+        TestFramework.expect(history[0][11]).toBe("http batch 1/2");
+        TestFramework.expect(history[1][11]).toBe("http batch 2/2");
+      }
+    );
+
+    TestFramework.it(
+      "should retry a batch and log each batch's outcome",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            ...cruxResponses(),
+            TestMocks.createMockResponse(503, "Unavailable"),
+            TestMocks.createMockResponse(200, "ok"),
+            TestMocks.createMockResponse(400, "Bad batch"),
+          ],
+        });
+
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            sinks: [
+              "sheets",
+              { type: "http", url: endpoint, batchSize: 2, maxRetries: 1 },
+            ],
+          })
+        ).run();
+        const history = historyRows();
+
+        TestFramework.expect(sinkCalls().length).toBe(3);
+        TestFramework.expect(summary.failedSinks).toEqual(["http"]);
+        TestFramework.expect(summary.rowsWritten).toBe(4);
+        TestFramework.expect(history[0][4]).toBe("BATCH_SENT");
+        TestFramework.expect(history[0][9]).toBe(2);
+        TestFramework.expect(history[1][4]).toBe("BATCH_FAILED");
+        TestFramework.expect(history[1][5]).toBe(400);
+        TestFramework.expect(history[1][6]).toBe("HTTP 400: Bad batch");
+        TestFramework.expect(history.length).toBe(2);
+      }
+    );
+
+    TestFramework.it(
+      "should retry batches independently of the CrUX maxRetries",
+      async () => {
+        TestMocks.setupGlobalMocks({
+          urlFetchResponses: [
+            ...cruxResponses(),
+            TestMocks.createMockResponse(503, "Unavailable"),
+            TestMocks.createMockResponse(503, "Unavailable"),
+          ],
+        });
+
+        const summary = await new CruxExtractor_(
+          TestMocks.createConfig(defaults, {
+            sinks: ["sheets", { type: "http", url: endpoint, maxRetries: 0 }],
+            maxRetries: 5,
+          })
+        ).run();
+
+        TestFramework.expect(sinkCalls().length).toBe(1);
+        TestFramework.expect(summary.failedSinks).toEqual(["http"]);
+        TestFramework.expect(historyRows()[0][9]).toBe(1);
+      }
+    );
+  });
+}